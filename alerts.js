@@ -0,0 +1,390 @@
+// Alerting on per-tick diagnoses. A policy watches one cause (or any non-healthy one) and fires
+// an alert once it has matched for `for_ticks` consecutive ticks; the alert resolves after
+// `clear_ticks` ticks without a match. Each policy has at most one open alert, so a condition that
+// keeps matching is folded into it rather than notified again, and `suppress_ticks` holds back a
+// new alert for the same policy right after one resolved. Every state change (firing,
+// acknowledged, resolved) is handed to the registered sinks.
+
+const AlertSeverity = {
+  INFO: "info",
+  WARNING: "warning",
+  CRITICAL: "critical",
+};
+
+const ALERT_SEVERITY_RANK = { info: 0, warning: 1, critical: 2 };
+
+const AlertState = {
+  FIRING: "firing",
+  ACKNOWLEDGED: "acknowledged",
+  RESOLVED: "resolved",
+};
+
+// Latest alerts the manager keeps, latest events the log keeps, and latest sink errors; older
+// ones are dropped so long runs stay in bounded memory. Open alerts are never dropped.
+const ALERTS_KEPT = 1000;
+const ALERT_EVENTS_KEPT = 5000;
+const SINK_ERRORS_KEPT = 100;
+
+// Policy fields:
+//   id              unique name, also the deduplication key
+//   cause           a RootCause value, or "any" for every cause except healthy
+//   min_confidence  match when the cause's confidence exceeds this; omit to match whenever the
+//                   engine reports the cause as active (its own decision threshold)
+//   for_ticks       consecutive matching ticks before the alert fires
+//   clear_ticks     consecutive ticks without a match before it resolves
+//   suppress_ticks  ticks after a resolve during which the policy cannot fire again
+//   severity        info, warning or critical
+//   description     optional text used in notifications
+const DEFAULT_ALERT_POLICIES = [
+  {
+    id: "jammer_warning",
+    cause: "wideband_jammer",
+    min_confidence: 0.7,
+    for_ticks: 10,
+    clear_ticks: 10,
+    suppress_ticks: 30,
+    severity: "warning",
+    description: "Jammer confidence above 70% for 10 ticks.",
+  },
+  {
+    id: "sync_loss_critical",
+    cause: "sync_loss",
+    for_ticks: 1,
+    clear_ticks: 20,
+    suppress_ticks: 0,
+    severity: "critical",
+    description: "Sync loss diagnosed.",
+  },
+  {
+    id: "link_degraded",
+    cause: "any",
+    for_ticks: 30,
+    clear_ticks: 15,
+    suppress_ticks: 60,
+    severity: "info",
+    description: "Link degraded for 30 ticks.",
+  },
+];
+
+// Throws with a path to the offending entry if the policy list is invalid; fills in defaults.
+function validateAlertPolicies(policies) {
+  if (!Array.isArray(policies)) throw new Error("Alert policies must be a list.");
+  const ids = new Set();
+  return policies.map((policy, i) => {
+    const fail = (field, msg) => {
+      throw new Error(`policies[${i}]${field ? `.${field}` : ""}: ${msg}`);
+    };
+    if (!policy || typeof policy !== "object") fail("", "must be an object.");
+    if (typeof policy.id !== "string" || !policy.id) fail("id", "must be a non-empty string.");
+    if (ids.has(policy.id)) fail("id", `duplicate policy "${policy.id}".`);
+    ids.add(policy.id);
+    if (policy.cause !== "any" && !Object.values(RootCause).includes(policy.cause)) {
+      fail("cause", `unknown cause "${policy.cause}".`);
+    }
+    if (!(policy.severity in ALERT_SEVERITY_RANK)) fail("severity", "must be info, warning or critical.");
+    if (policy.min_confidence !== undefined && !(policy.min_confidence >= 0 && policy.min_confidence < 1)) {
+      fail("min_confidence", "must be a confidence from 0 up to (not including) 1.");
+    }
+    const out = Object.assign({ for_ticks: 1, clear_ticks: 10, suppress_ticks: 0, description: "" }, policy);
+    for (const field of ["for_ticks", "clear_ticks"]) {
+      if (!Number.isInteger(out[field]) || out[field] < 1) fail(field, "must be a whole number of at least 1 tick.");
+    }
+    if (!Number.isInteger(out.suppress_ticks) || out.suppress_ticks < 0) {
+      fail("suppress_ticks", "must be a whole number of ticks.");
+    }
+    return out;
+  });
+}
+
+// Highest confidence among the causes `policy` matches in `diag`, or null if none matches.
+function policyMatch(policy, diag) {
+  let best = null;
+  for (const entry of diag.causes) {
+    if (policy.cause === "any" ? entry.cause === RootCause.HEALTHY : entry.cause !== policy.cause) continue;
+    const hit =
+      policy.min_confidence === undefined
+        ? diag.active_causes.includes(entry.cause)
+        : entry.confidence > policy.min_confidence;
+    if (hit && (!best || entry.confidence > best.confidence)) best = entry;
+  }
+  return best;
+}
+
+class AlertManager {
+  constructor(policies = DEFAULT_ALERT_POLICIES) {
+    this.sinks = [];
+    this.setPolicies(policies);
+    this.reset();
+  }
+
+  // Forgets every alert without notifying; sinks stay registered.
+  reset() {
+    this.alerts = new RingBuffer(ALERTS_KEPT);
+    // Alerts fired since the reset, including those no longer kept.
+    this.fired = 0;
+    this.state = {};
+    this.suppressed = 0;
+    this.sink_errors = new RingBuffer(SINK_ERRORS_KEPT);
+    this.nextId = 1;
+    this.t = null;
+  }
+
+  // Leaves the policies unchanged if the list is invalid. Open alerts of a policy that is
+  // removed resolve on the spot.
+  setPolicies(policies) {
+    const validated = validateAlertPolicies(policies);
+    this.policies = validated;
+    if (!this.alerts) return;
+    for (const alert of this.open()) {
+      if (!validated.some((p) => p.id === alert.policy_id)) this._resolve(alert, this.t);
+    }
+    for (const id of Object.keys(this.state)) {
+      if (!validated.some((p) => p.id === id)) delete this.state[id];
+    }
+  }
+
+  // A sink is any object with notify(event); events are { type, t, alert } with a copy of the alert.
+  addSink(sink) {
+    this.sinks.push(sink);
+  }
+
+  removeSink(sink) {
+    this.sinks = this.sinks.filter((s) => s !== sink);
+  }
+
+  // Open alerts, oldest first. Each is held by its policy's state, so it stays open even after
+  // dropping out of `alerts`.
+  open() {
+    return Object.values(this.state)
+      .map((st) => st.alert)
+      .filter(Boolean)
+      .sort((a, b) => a.id - b.id);
+  }
+
+  // Feeds one diagnosis ({ t, causes, active_causes }) in tick order.
+  observe(diag) {
+    this.t = diag.t;
+    for (const policy of this.policies) {
+      const st = (this.state[policy.id] = this.state[policy.id] || { run: 0, miss: 0, run_start: null, alert: null });
+      const match = policyMatch(policy, diag);
+      if (match) {
+        if (st.run === 0) st.run_start = diag.t;
+        st.run += 1;
+        st.miss = 0;
+        if (st.alert) {
+          this._update(st.alert, diag.t, match);
+        } else if (st.run >= policy.for_ticks) {
+          this._fire(policy, st, diag.t, match);
+        }
+        continue;
+      }
+      st.run = 0;
+      if (!st.alert) continue;
+      st.miss += 1;
+      if (st.miss >= policy.clear_ticks) this._resolve(st.alert, diag.t - st.miss + 1);
+    }
+  }
+
+  // Returns false if there is no open, unacknowledged alert with that id.
+  acknowledge(id, t = this.t, by = "operator") {
+    const alert = this.open().find((a) => a.id === id);
+    if (!alert || alert.state !== AlertState.FIRING) return false;
+    alert.state = AlertState.ACKNOWLEDGED;
+    alert.acked_t = t;
+    alert.acked_by = by;
+    this._notify("acknowledged", t, alert);
+    return true;
+  }
+
+  _fire(policy, st, t, match) {
+    if (st.resolved_t !== undefined && t < st.resolved_t + policy.suppress_ticks) {
+      this.suppressed += 1;
+      st.run = 0;
+      return;
+    }
+    const alert = {
+      id: this.nextId++,
+      policy_id: policy.id,
+      cause: match.cause,
+      severity: policy.severity,
+      state: AlertState.FIRING,
+      started_t: st.run_start,
+      fired_t: t,
+      last_t: t,
+      resolved_t: null,
+      acked_t: null,
+      acked_by: null,
+      confidence: match.confidence,
+      peak_confidence: match.confidence,
+      occurrences: st.run,
+      description: policy.description,
+    };
+    alert.message = alertMessage(alert);
+    st.alert = alert;
+    this.alerts.push(alert);
+    this.fired += 1;
+    this._notify("firing", t, alert);
+  }
+
+  // Repeated matches of an open alert are deduplicated into it.
+  _update(alert, t, match) {
+    alert.last_t = t;
+    alert.cause = match.cause;
+    alert.confidence = match.confidence;
+    alert.peak_confidence = Math.max(alert.peak_confidence, match.confidence);
+    alert.occurrences += 1;
+  }
+
+  _resolve(alert, t) {
+    alert.state = AlertState.RESOLVED;
+    alert.resolved_t = t;
+    const st = this.state[alert.policy_id];
+    if (st && st.alert === alert) {
+      st.alert = null;
+      st.resolved_t = t;
+    }
+    this._notify("resolved", t, alert);
+  }
+
+  // One failing sink must not stop the others or the simulation.
+  _notify(type, t, alert) {
+    const event = { type, t, alert: Object.assign({}, alert) };
+    for (const sink of this.sinks) {
+      try {
+        sink.notify(event);
+      } catch (err) {
+        this.sink_errors.push({ t, sink: sink.name || "sink", message: err.message });
+      }
+    }
+  }
+}
+
+function alertMessage(alert) {
+  const cause = alert.cause.replace(/_/g, " ");
+  const conf = Math.round(alert.confidence * 100);
+  const detail = alert.description ? ` ${alert.description}` : "";
+  return `${alert.severity.toUpperCase()}: ${cause} at ${conf}% confidence since t=${alert.started_t}.${detail}`;
+}
+
+// Keeps the latest ALERT_EVENTS_KEPT events for download.
+class AlertLog {
+  constructor() {
+    this.name = "log";
+    this.events = new RingBuffer(ALERT_EVENTS_KEPT);
+  }
+
+  notify(event) {
+    this.events.push(event);
+  }
+
+  clear() {
+    this.events.clear();
+  }
+
+  toJSON() {
+    return JSON.stringify(this.events.toArray(), null, 2);
+  }
+
+  toCSV() {
+    const header = ["t", "event", "alert_id", "policy_id", "severity", "cause", "confidence", "state", "message"];
+    const quote = (v) => `"${String(v).replace(/"/g, '""')}"`;
+    const rows = this.events.map((ev) =>
+      [
+        ev.t,
+        ev.type,
+        ev.alert.id,
+        ev.alert.policy_id,
+        ev.alert.severity,
+        ev.alert.cause,
+        ev.alert.confidence.toFixed(3),
+        ev.alert.state,
+        quote(ev.alert.message),
+      ].join(",")
+    );
+    return [header.join(",")].concat(rows).join("\n");
+  }
+}
+
+// Webhook payloads are versioned so a receiver can reject a format it does not understand.
+const WEBHOOK_FORMAT_VERSION = 1;
+
+const WEBHOOK_ALERT_FIELDS = {
+  id: "number",
+  policy_id: "string",
+  cause: "string",
+  severity: "string",
+  state: "string",
+  started_t: "number",
+  fired_t: "number",
+  confidence: "number",
+  peak_confidence: "number",
+  occurrences: "number",
+  message: "string",
+};
+
+function webhookPayload(event, source = "link-simulator") {
+  return {
+    version: WEBHOOK_FORMAT_VERSION,
+    source,
+    event: event.type,
+    t: event.t,
+    sent_at: new Date().toISOString(),
+    alert: event.alert,
+  };
+}
+
+// Throws with the offending field if `payload` is not a webhook payload this version understands.
+function validateWebhookPayload(payload) {
+  const fail = (path, msg) => {
+    throw new Error(`${path}: ${msg}`);
+  };
+  if (!payload || typeof payload !== "object") fail("payload", "must be a JSON object.");
+  if (payload.version !== WEBHOOK_FORMAT_VERSION) fail("version", `must be ${WEBHOOK_FORMAT_VERSION}.`);
+  if (!["firing", "acknowledged", "resolved"].includes(payload.event)) fail("event", "unknown event type.");
+  if (typeof payload.t !== "number") fail("t", "must be a tick number.");
+  if (!payload.alert || typeof payload.alert !== "object") fail("alert", "must be an object.");
+  for (const [field, type] of Object.entries(WEBHOOK_ALERT_FIELDS)) {
+    if (typeof payload.alert[field] !== type) fail(`alert.${field}`, `must be a ${type}.`);
+  }
+  if (!(payload.alert.severity in ALERT_SEVERITY_RANK)) fail("alert.severity", "unknown severity.");
+  return payload;
+}
+
+// POSTs each event as JSON. Delivery is fire-and-forget; the counters and last error show
+// whether the receiver is keeping up.
+class WebhookSink {
+  constructor(url, { source, fetchFn } = {}) {
+    this.name = "webhook";
+    this.url = url;
+    this.source = source;
+    this.fetchFn = fetchFn || ((...args) => fetch(...args));
+    this.sent = 0;
+    this.failed = 0;
+    this.last_error = null;
+  }
+
+  notify(event) {
+    const body = JSON.stringify(webhookPayload(event, this.source));
+    return this.fetchFn(this.url, { method: "POST", headers: { "Content-Type": "application/json" }, body })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        this.sent += 1;
+      })
+      .catch((err) => {
+        this.failed += 1;
+        this.last_error = err.message;
+      });
+  }
+}
+
+// expose to global scope for non-module usage
+window.AlertSeverity = AlertSeverity;
+window.AlertState = AlertState;
+window.DEFAULT_ALERT_POLICIES = DEFAULT_ALERT_POLICIES;
+window.validateAlertPolicies = validateAlertPolicies;
+window.AlertManager = AlertManager;
+window.AlertLog = AlertLog;
+window.WEBHOOK_FORMAT_VERSION = WEBHOOK_FORMAT_VERSION;
+window.webhookPayload = webhookPayload;
+window.validateWebhookPayload = validateWebhookPayload;
+window.WebhookSink = WebhookSink;
@@ -1,46 +1,427 @@
 const els = {};
 let simulator;
 let diagEngine;
-let history = [];
-let diagnoses = [];
+let history;
+let diagnoses;
 let running = false;
 let timer = null;
+let recorder;
+let replayer = null;
+let replayTimer = null;
+let liveState = null;
+let sliderConfig;
+let scenarioSegments = [];
+let scenario = null;
+let bayesModel = null;
+let baselineLearning = null;
+let baselineError = null;
+let incidentTracker;
+let remediation;
+let mitigationListKey = null;
+let network = null;
+let changeDetector;
+let networkCells = null;
+let alertManager;
+let alertLog;
+let webhookSink = null;
+let telemetry;
+let telemetryFile = null;
+let alertListKey = null;
+let stream;
+let overview;
+// Fast-forward worker: undefined until first needed, null where the page cannot start one.
+let engineWorker;
+let engineJob = null;
+let engineNote = "";
+let tickRate = { at: 0, ticks: 0, rate: 0 };
+let ticksSeen = 0;
+
+// Live ticks kept for the charts and views; the run overview covers the whole run.
+const HISTORY_TICKS = 5000;
+const FRAME_MS = 250;
+// Time a fast-forward frame or worker batch may take.
+const FAST_FORWARD_BUDGET_MS = 200;
 
 function initElements() {
   els.snrCard = document.getElementById("snr-card");
   els.berCard = document.getElementById("ber-card");
   els.latencyCard = document.getElementById("latency-card");
   els.retriesCard = document.getElementById("retries-card");
+  els.throughputCard = document.getElementById("throughput-card");
+  els.goodputCard = document.getElementById("goodput-card");
+  els.mcsCard = document.getElementById("mcs-card");
 
   els.snrChart = document.getElementById("snr-chart");
   els.berChart = document.getElementById("ber-chart");
   els.latencyChart = document.getElementById("latency-chart");
   els.retriesChart = document.getElementById("retries-chart");
+  els.throughputChart = document.getElementById("throughput-chart");
+  els.goodputChart = document.getElementById("goodput-chart");
+  els.overviewChart = document.getElementById("overview-chart");
+  els.overviewRange = document.getElementById("overview-range");
+  els.chartRange = document.getElementById("chart-range");
+  els.chartLiveBtn = document.getElementById("chart-live-btn");
+  els.chartTooltip = document.getElementById("chart-tooltip");
+  els.speed = document.getElementById("speed");
+  els.speedStatus = document.getElementById("speed-status");
 
   els.diagPrimary = document.getElementById("diag-primary");
   els.confBars = document.getElementById("confidence-bars");
+  els.causeBars = document.getElementById("cause-bars");
   els.actionsList = document.getElementById("actions-list");
   els.evidenceList = document.getElementById("evidence-list");
+  els.changeList = document.getElementById("change-list");
+  els.whyNotList = document.getElementById("why-not-list");
+  els.autoHeal = document.getElementById("auto-heal");
+  els.alertTrayEnabled = document.getElementById("alert-tray-enabled");
+  els.alertWebhookEnabled = document.getElementById("alert-webhook-enabled");
+  els.alertWebhookUrl = document.getElementById("alert-webhook-url");
+  els.alertWebhookStatus = document.getElementById("alert-webhook-status");
+  els.alertSummary = document.getElementById("alert-summary");
+  els.alertBody = document.getElementById("alert-body");
+  els.alertPolicyEditor = document.getElementById("alert-policy-editor");
+  els.alertPolicyStatus = document.getElementById("alert-policy-status");
+  els.alertTray = document.getElementById("alert-tray");
+  els.telemetryKind = document.getElementById("telemetry-kind");
+  els.telemetryStatus = document.getElementById("telemetry-status");
+  els.telemetryFile = document.getElementById("telemetry-file");
+  els.telemetryFileInput = document.getElementById("telemetry-file-input");
+  els.telemetryFileName = document.getElementById("telemetry-file-name");
+  els.telemetryMapping = document.getElementById("telemetry-mapping");
+  els.telemetryUseBtn = document.getElementById("telemetry-use-btn");
+  els.telemetryAllBtn = document.getElementById("telemetry-all-btn");
+  els.telemetryStream = document.getElementById("telemetry-stream");
+  els.telemetryUrl = document.getElementById("telemetry-url");
+  els.telemetryError = document.getElementById("telemetry-error");
+  els.mitigationList = document.getElementById("mitigation-list");
+  els.mitigationState = document.getElementById("mitigation-state");
+  els.remediationBody = document.getElementById("remediation-body");
 
   els.accuracy = document.getElementById("accuracy");
   els.truthBody = document.getElementById("truth-body");
+  els.labelBody = document.getElementById("label-body");
+  els.incidentOpen = document.getElementById("incident-open");
+  els.incidentClose = document.getElementById("incident-close");
+  els.incidentSummary = document.getElementById("incident-summary");
+  els.incidentTimeline = document.getElementById("incident-timeline");
+  els.incidentBody = document.getElementById("incident-body");
+  els.calibrationChart = document.getElementById("calibration-chart");
+  els.calibrationSummary = document.getElementById("calibration-summary");
+  els.confidenceModel = document.getElementById("confidence-model");
+  els.confidenceModelStatus = document.getElementById("confidence-model-status");
 
   els.noise = document.getElementById("noise");
   els.jammer = document.getElementById("jammer");
   els.sync = document.getElementById("sync");
   els.congestion = document.getElementById("congestion");
   els.fading = document.getElementById("fading");
+  els.drift = document.getElementById("drift");
+  els.aci = document.getElementById("aci");
+  els.aciOffset = document.getElementById("aci-offset");
 
   els.noiseVal = document.getElementById("noise-val");
   els.jammerVal = document.getElementById("jammer-val");
   els.syncVal = document.getElementById("sync-val");
   els.congestionVal = document.getElementById("congestion-val");
   els.fadingVal = document.getElementById("fading-val");
+  els.driftVal = document.getElementById("drift-val");
+  els.aciVal = document.getElementById("aci-val");
+  els.aciOffsetVal = document.getElementById("aci-offset-val");
+  els.telemetryFaults = [...document.querySelectorAll("#telemetry-faults input")];
+  els.pluginFaults = document.getElementById("plugin-faults");
+
+  els.channelModel = document.getElementById("channel-model");
+  els.channelParams = {
+    k_factor_db: document.getElementById("channel-k"),
+    doppler_norm: document.getElementById("channel-doppler"),
+    ge_p_good_bad: document.getElementById("channel-pgb"),
+    ge_p_bad_good: document.getElementById("channel-pbg"),
+    ge_bad_snr_drop_db: document.getElementById("channel-drop"),
+  };
+
+  els.mcs = document.getElementById("mcs");
+  els.mcsMargin = document.getElementById("mcs-margin");
+  els.packetEnabled = document.getElementById("packet-enabled");
+  els.packetControls = document.getElementById("packet-controls");
+  els.packetParams = {
+    offered_load_mbps: document.getElementById("packet-load"),
+    packet_bits: document.getElementById("packet-size"),
+    queue_limit: document.getElementById("packet-queue"),
+    max_retries: document.getElementById("packet-retries"),
+    retry_delay_ms: document.getElementById("packet-delay"),
+  };
+  els.packetArq = document.getElementById("packet-arq");
+  els.packetError = document.getElementById("packet-error");
+  els.packetCard = document.getElementById("packet-card");
+  els.queueCard = document.getElementById("queue-card");
+  els.lossCard = document.getElementById("loss-card");
+  els.phyEnabled = document.getElementById("phy-enabled");
+  els.phyControls = document.getElementById("phy-controls");
+  els.phySymbols = document.getElementById("phy-symbols");
+  els.phyError = document.getElementById("phy-error");
+  els.evmCard = document.getElementById("evm-card");
+  els.evmValue = document.getElementById("evm-value");
+  els.evmModulation = document.getElementById("evm-modulation");
+  els.phyView = document.getElementById("phy-view");
+  els.constellationChart = document.getElementById("constellation-chart");
+  els.eyeChart = document.getElementById("eye-chart");
+  els.evmChart = document.getElementById("evm-chart");
+  MCS_TABLE.forEach((mcs, i) => {
+    const opt = document.createElement("option");
+    opt.value = String(i);
+    opt.textContent = `${mcs.name} (${mcs.rate_mbps} Mbps)`;
+    els.mcs.appendChild(opt);
+  });
+  els.mcs.value = String(simulator.rate_config.mcs_index);
+
+  els.seed = document.getElementById("seed");
+  els.seedVal = document.getElementById("seed-val");
+  els.seedError = document.getElementById("seed-error");
+
+  els.recordBtn = document.getElementById("record-btn");
+  els.recordStatus = document.getElementById("record-status");
+  els.exportJsonBtn = document.getElementById("export-json-btn");
+  els.exportCsvBtn = document.getElementById("export-csv-btn");
+  els.loadSession = document.getElementById("load-session");
+  els.replayControls = document.getElementById("replay-controls");
+  els.replayScrub = document.getElementById("replay-scrub");
+  els.replayStatus = document.getElementById("replay-status");
+
+  els.scenarioEnabled = document.getElementById("scenario-enabled");
+  els.scenarioPreset = document.getElementById("scenario-preset");
+  els.scenarioSegments = document.getElementById("scenario-segments");
+  els.scenarioError = document.getElementById("scenario-error");
+  els.scenarioChart = document.getElementById("scenario-chart");
+
+  els.baselineMethod = document.getElementById("baseline-method");
+  els.baselineK = document.getElementById("baseline-k");
+  els.baselinePercentile = document.getElementById("baseline-percentile");
+  els.baselineTicks = document.getElementById("baseline-ticks");
+  els.baselineStatus = document.getElementById("baseline-status");
+  els.baselineBody = document.getElementById("baseline-body");
+
+  els.networkTopology = document.getElementById("network-topology");
+  els.networkNodes = document.getElementById("network-nodes");
+  els.networkSummary = document.getElementById("network-summary");
+  els.networkMap = document.getElementById("network-map");
+  els.networkCorrelation = document.getElementById("network-correlation");
+  els.networkBody = document.getElementById("network-body");
+  els.areaJammer = {
+    enabled: document.getElementById("area-jammer-enabled"),
+    x: document.getElementById("area-jammer-x"),
+    y: document.getElementById("area-jammer-y"),
+    radius: document.getElementById("area-jammer-radius"),
+    severity: document.getElementById("area-jammer-severity"),
+  };
+  els.backhaul = {
+    enabled: document.getElementById("backhaul-enabled"),
+    node: document.getElementById("backhaul-node"),
+    severity: document.getElementById("backhaul-severity"),
+  };
+
+  els.rulesEditor = document.getElementById("rules-editor");
+  els.rulesStatus = document.getElementById("rules-status");
+  els.rulesNames = document.getElementById("rules-names");
+  els.rulesFile = document.getElementById("rules-file");
+  els.featureShort = document.getElementById("feature-short");
+  els.featureLong = document.getElementById("feature-long");
+  els.featureGroups = {};
+  for (const group of Object.keys(DEFAULT_FEATURE_CONFIG)) {
+    if (group === "windows") continue;
+    const label = document.createElement("label");
+    label.className = "check";
+    const box = document.createElement("input");
+    box.type = "checkbox";
+    box.addEventListener("change", () => updateFeatureConfig());
+    label.append(box, ` ${group.replace(/_/g, " ")}`);
+    document.getElementById("feature-groups").appendChild(label);
+    els.featureGroups[group] = box;
+  }
 
   document.getElementById("start-btn").addEventListener("click", () => startSimulation());
   document.getElementById("pause-btn").addEventListener("click", () => pauseSimulation());
   document.getElementById("step-btn").addEventListener("click", () => stepSimulation());
   document.getElementById("reset-btn").addEventListener("click", () => resetSimulation());
+  els.speed.addEventListener("change", () => renderSpeed());
+  bindCharts();
+  els.channelModel.addEventListener("change", () => updateChannelConfig());
+  els.mcs.addEventListener("change", () => updateRateConfig());
+  els.mcsMargin.addEventListener("change", () => updateRateConfig());
+  els.packetEnabled.addEventListener("change", () => updatePacketConfig());
+  els.packetArq.addEventListener("change", () => updatePacketConfig());
+  for (const input of Object.values(els.packetParams)) {
+    input.addEventListener("change", () => updatePacketConfig());
+  }
+  els.phyEnabled.addEventListener("change", () => updateSymbolConfig());
+  els.phySymbols.addEventListener("change", () => updateSymbolConfig());
+  for (const input of Object.values(els.channelParams)) {
+    input.addEventListener("change", () => updateChannelConfig());
+  }
+  document
+    .getElementById("seed-apply-btn")
+    .addEventListener("click", () => applySeed(els.seed.value === "" ? NaN : Number(els.seed.value)));
+  document.getElementById("seed-random-btn").addEventListener("click", () => applySeed(randomSeed()));
+  els.confidenceModel.addEventListener("change", () => setConfidenceModel(els.confidenceModel.value));
+  els.autoHeal.addEventListener("change", () => {
+    remediation.auto_heal = els.autoHeal.checked;
+  });
+  document.getElementById("mitigation-clear-btn").addEventListener("click", () => {
+    remediation.clearMitigations();
+    render();
+  });
+  for (const input of [els.incidentOpen, els.incidentClose]) {
+    input.addEventListener("change", () => {
+      rebuildIncidents();
+      render();
+    });
+  }
+
+  els.alertWebhookEnabled.addEventListener("change", () => updateWebhookSink());
+  els.alertWebhookUrl.addEventListener("change", () => updateWebhookSink());
+  document.getElementById("alert-log-json-btn").addEventListener("click", () =>
+    downloadFile("alerts.json", "application/json", alertLog.toJSON())
+  );
+  document.getElementById("alert-log-csv-btn").addEventListener("click", () =>
+    downloadFile("alerts.csv", "text/csv", alertLog.toCSV())
+  );
+  document.getElementById("alert-policy-apply-btn").addEventListener("click", () => applyAlertPolicies());
+  document.getElementById("alert-policy-default-btn").addEventListener("click", () => {
+    els.alertPolicyEditor.value = JSON.stringify(DEFAULT_ALERT_POLICIES, null, 2);
+    applyAlertPolicies();
+  });
+  els.telemetryKind.addEventListener("change", () => {
+    const kind = els.telemetryKind.value;
+    els.telemetryFile.hidden = kind !== "file";
+    els.telemetryStream.hidden = kind !== "stream";
+    els.telemetryError.textContent = "";
+    if (kind === "simulator") useTelemetry(simulatorSource());
+  });
+  els.telemetryFileInput.addEventListener("change", () => {
+    const file = els.telemetryFileInput.files[0];
+    els.telemetryFileInput.value = "";
+    if (file) file.text().then((text) => loadTelemetryFile(file.name, text));
+  });
+  els.telemetryUseBtn.addEventListener("click", () => {
+    let source;
+    try {
+      source = new FileTelemetrySource(telemetryFile.name, telemetryFile.rows, ...readTelemetryMapping());
+    } catch (err) {
+      els.telemetryError.textContent = err.message;
+      return;
+    }
+    useTelemetry(source);
+  });
+  els.telemetryAllBtn.addEventListener("click", () => {
+    if (telemetry.kind !== "file") return;
+    pauseSimulation();
+    simulateSteps(telemetry.remaining);
+    render();
+  });
+  document.getElementById("telemetry-connect-btn").addEventListener("click", () => {
+    const url = els.telemetryUrl.value.trim();
+    if (!url) return;
+    try {
+      useTelemetry(new StreamTelemetrySource(url));
+    } catch (err) {
+      els.telemetryError.textContent = err.message;
+      return;
+    }
+    startSimulation();
+  });
+  els.alertBody.addEventListener("click", (ev) => {
+    const id = ev.target.dataset.ackId;
+    if (!id || !alertManager.acknowledge(Number(id))) return;
+    render();
+  });
+
+  els.recordBtn.addEventListener("click", () => toggleRecording());
+  els.exportJsonBtn.addEventListener("click", () =>
+    downloadFile(`session-${recorder.session.seed}.json`, "application/json", recorder.toJSON())
+  );
+  els.exportCsvBtn.addEventListener("click", () =>
+    downloadFile(`session-${recorder.session.seed}.csv`, "text/csv", recorder.toCSV())
+  );
+  els.loadSession.addEventListener("change", () => {
+    const file = els.loadSession.files[0];
+    els.loadSession.value = "";
+    if (file) file.text().then(loadRecording);
+  });
+  document.getElementById("replay-play-btn").addEventListener("click", () => playReplay());
+  document.getElementById("replay-pause-btn").addEventListener("click", () => pauseReplay());
+  document.getElementById("replay-exit-btn").addEventListener("click", () => exitReplay());
+  for (const [key, preset] of Object.entries(SCENARIO_PRESETS)) {
+    const opt = document.createElement("option");
+    opt.value = key;
+    opt.textContent = preset.label;
+    els.scenarioPreset.appendChild(opt);
+  }
+  els.scenarioPreset.addEventListener("change", () => {
+    const preset = SCENARIO_PRESETS[els.scenarioPreset.value];
+    els.scenarioPreset.value = "";
+    if (!preset) return;
+    scenarioSegments = preset.segments.map((seg) => Object.assign({}, seg));
+    els.scenarioEnabled.checked = true;
+    applyScenario();
+  });
+  els.scenarioEnabled.addEventListener("change", () => applyScenario());
+  document.getElementById("scenario-add-btn").addEventListener("click", () => {
+    scenarioSegments.push(newSegment("jammer_level", SegmentType.STEP, simulator.t));
+    applyScenario();
+  });
+  document.getElementById("scenario-clear-btn").addEventListener("click", () => {
+    scenarioSegments = [];
+    applyScenario();
+  });
+
+  els.networkTopology.addEventListener("change", () => buildNetwork());
+  els.networkNodes.addEventListener("change", () => buildNetwork());
+  for (const input of Object.values(els.areaJammer).concat(Object.values(els.backhaul))) {
+    input.addEventListener("change", () => updateSharedSources());
+  }
+  els.networkMap.addEventListener("click", (ev) => {
+    const rect = els.networkMap.getBoundingClientRect();
+    const [x, y] = mapToUnit(
+      els.networkMap,
+      ((ev.clientX - rect.left) * els.networkMap.width) / rect.width,
+      ((ev.clientY - rect.top) * els.networkMap.height) / rect.height
+    );
+    els.areaJammer.x.value = x.toFixed(2);
+    els.areaJammer.y.value = y.toFixed(2);
+    els.areaJammer.enabled.checked = true;
+    updateSharedSources();
+  });
+
+  document.getElementById("baseline-learn-btn").addEventListener("click", () => startBaselineLearning());
+  document.getElementById("baseline-clear-btn").addEventListener("click", () => applyBaseline(null));
+
+  els.featureShort.addEventListener("change", () => updateFeatureConfig());
+  els.featureLong.addEventListener("change", () => updateFeatureConfig());
+
+  document.getElementById("rules-validate-btn").addEventListener("click", () => validateRulesEditor());
+  document.getElementById("rules-apply-btn").addEventListener("click", () => applyRulesEditor());
+  document.getElementById("rules-default-btn").addEventListener("click", () => {
+    els.rulesEditor.value = JSON.stringify(DEFAULT_RULE_BASE, null, 2);
+    applyRulesEditor();
+  });
+  document.getElementById("rules-download-btn").addEventListener("click", () =>
+    downloadFile("rules.json", "application/json", els.rulesEditor.value)
+  );
+  els.rulesFile.addEventListener("change", () => {
+    const file = els.rulesFile.files[0];
+    els.rulesFile.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      els.rulesEditor.value = text;
+      validateRulesEditor();
+    });
+  });
+
+  els.replayScrub.addEventListener("input", () => {
+    pauseReplay();
+    replayer.seek(parseInt(els.replayScrub.value, 10));
+    syncReplay();
+    render();
+  });
 
   for (const [input, label, fmt] of [
     [els.noise, els.noiseVal, (v) => v.toFixed(1)],
@@ -48,7 +429,14 @@ function initElements() {
     [els.sync, els.syncVal, (v) => v.toFixed(2)],
     [els.congestion, els.congestionVal, (v) => v.toFixed(1)],
     [els.fading, els.fadingVal, (v) => v.toFixed(1)],
-  ]) {
+    [els.drift, els.driftVal, (v) => v.toFixed(1)],
+    [els.aci, els.aciVal, (v) => v.toFixed(1)],
+    [els.aciOffset, els.aciOffsetVal, (v) => v.toFixed(2)],
+  ]
+    .concat(
+      els.telemetryFaults.map((input) => [input, document.getElementById(`${input.id}-val`), (v) => v.toFixed(1)])
+    )
+    .concat(renderFaultPlugins())) {
     input.addEventListener("input", () => {
       label.textContent = fmt(parseFloat(input.value));
       updateFaultConfig();
@@ -63,17 +451,319 @@ function updateFaultConfig() {
   cfg.sync_loss_prob = parseFloat(els.sync.value);
   cfg.congestion_level = parseFloat(els.congestion.value);
   cfg.fading_severity = parseFloat(els.fading.value);
+  cfg.oscillator_drift_level = parseFloat(els.drift.value);
+  cfg.adjacent_channel_level = parseFloat(els.aci.value);
+  cfg.adjacent_channel_offset = parseFloat(els.aciOffset.value);
+  for (const input of els.telemetryFaults) cfg[input.dataset.field] = parseFloat(input.value);
+  for (const [field, input] of Object.entries(els.pluginParams)) cfg[field] = parseFloat(input.value);
+  sliderConfig = cfg;
+  applyEffectiveConfig(simulator.t + 1);
+}
+
+// A control block per fault plugin with a slider per parameter. Returns [input, value label,
+// format] triples for the slider wiring.
+function renderFaultPlugins() {
+  els.pluginParams = {};
+  const sliders = [];
+  for (const plugin of FAULT_PLUGINS) {
+    const block = document.createElement("div");
+    block.className = "control";
+    for (const param of plugin.params) {
+      const id = `fault-${param.field}`;
+      const decimals = (String(param.step).split(".")[1] || "").length;
+      const fmt = (v) => v.toFixed(decimals);
+      const label = document.createElement("label");
+      label.htmlFor = id;
+      label.textContent = `${param.label || param.field.replace(/_/g, " ")} `;
+      const value = document.createElement("span");
+      value.className = "value";
+      value.textContent = fmt(param.default);
+      label.appendChild(value);
+      const input = document.createElement("input");
+      Object.assign(input, { id, type: "range", min: param.min, max: param.max, step: param.step });
+      input.value = param.default;
+      block.append(label, input);
+      els.pluginParams[param.field] = input;
+      sliders.push([input, value, fmt]);
+    }
+    if (plugin.description) {
+      const hint = document.createElement("p");
+      hint.className = "hint";
+      hint.textContent = plugin.description;
+      block.appendChild(hint);
+    }
+    els.pluginFaults.appendChild(block);
+  }
+  return sliders;
+}
+
+function updateChannelConfig() {
+  const cfg = new ChannelConfig();
+  cfg.model = els.channelModel.value;
+  for (const [key, input] of Object.entries(els.channelParams)) {
+    const value = parseFloat(input.value);
+    if (Number.isFinite(value)) cfg[key] = value;
+  }
+  simulator.setChannelConfig(cfg);
+  recorder.recordConfig(simulator.t + 1, simulator.fault_config, cfg);
+  for (const row of document.querySelectorAll("[data-models]")) {
+    row.hidden = !row.dataset.models.split(" ").includes(cfg.model);
+  }
+}
+
+// Slider values, overridden by the scenario timeline (when enabled) for the tick about to run.
+function updateRateConfig() {
+  const cfg = new RateConfig();
+  cfg.adaptive = els.mcs.value === "auto";
+  if (!cfg.adaptive) cfg.mcs_index = parseInt(els.mcs.value, 10);
+  const margin = parseFloat(els.mcsMargin.value);
+  if (Number.isFinite(margin)) cfg.margin_db = margin;
+  simulator.setRateConfig(cfg);
+}
+
+// Packet sizes are entered in bytes. An invalid value keeps the packet layer as it was.
+function updatePacketConfig() {
+  const cfg = new PacketConfig();
+  cfg.enabled = els.packetEnabled.checked;
+  cfg.arq_mode = els.packetArq.value;
+  for (const [key, input] of Object.entries(els.packetParams)) {
+    const value = parseFloat(input.value);
+    cfg[key] = key === "packet_bits" ? value * 8 : value;
+  }
+  els.packetControls.hidden = !cfg.enabled;
+  try {
+    simulator.setPacketConfig(cfg);
+    els.packetError.textContent = "";
+  } catch (err) {
+    els.packetError.textContent = err.message;
+  }
+}
+
+// An invalid burst size keeps the symbol view as it was.
+function updateSymbolConfig() {
+  const cfg = new SymbolConfig();
+  cfg.enabled = els.phyEnabled.checked;
+  cfg.symbols_per_tick = parseFloat(els.phySymbols.value);
+  els.phyControls.hidden = !cfg.enabled;
+  try {
+    simulator.setSymbolConfig(cfg);
+    els.phyError.textContent = "";
+  } catch (err) {
+    els.phyError.textContent = err.message;
+  }
+  renderPhy();
+}
+
+function applyEffectiveConfig(t) {
+  const cfg = scenario && els.scenarioEnabled.checked ? scenario.configAt(t, sliderConfig) : sliderConfig;
   simulator.setFaultConfig(cfg);
+  recorder.recordConfig(t, cfg, simulator.channel_config);
+}
+
+const SEGMENT_DEFAULTS = { value: 0.5, from: 0, to: 1, period: 50, width: 10, prob: 0.3, hold: 25 };
+
+function newSegment(field, type, start) {
+  const seg = { field, type, start, end: type === SegmentType.RAMP ? start + 100 : null };
+  for (const param of SEGMENT_PARAMS[type]) seg[param] = SEGMENT_DEFAULTS[param];
+  return seg;
+}
+
+// Rebuild the scenario from the editor rows. Invalid rows keep the last valid scenario running.
+function applyScenario() {
+  try {
+    scenario = new FaultScenario(scenarioSegments, simulator.seed);
+    els.scenarioError.textContent = "";
+  } catch (err) {
+    els.scenarioError.textContent = err.message;
+  }
+  renderScenarioEditor();
+  applyEffectiveConfig(simulator.t + 1);
+  renderScenarioChart();
+}
+
+function renderScenarioEditor() {
+  const fields = Object.keys(new FaultConfig());
+  els.scenarioSegments.innerHTML = "";
+  scenarioSegments.forEach((seg, idx) => {
+    const tr = document.createElement("tr");
+
+    const fieldSel = selectInput(fields, seg.field, (v) => (seg.field = v));
+    const typeSel = selectInput(Object.values(SegmentType), seg.type, (v) => {
+      const next = newSegment(seg.field, v, seg.start);
+      if (v !== SegmentType.RAMP) next.end = seg.end;
+      scenarioSegments[idx] = next;
+    });
+    const start = numberInput(seg.start, (v) => (seg.start = v));
+    const end = numberInput(seg.end, (v) => (seg.end = v));
+    end.placeholder = "open";
+
+    const params = document.createElement("td");
+    for (const param of SEGMENT_PARAMS[seg.type]) {
+      const label = document.createElement("label");
+      label.className = "param";
+      label.append(`${param} `, numberInput(seg[param], (v) => (seg[param] = v)));
+      params.appendChild(label);
+    }
+
+    const remove = document.createElement("button");
+    remove.textContent = "✕";
+    remove.addEventListener("click", () => {
+      scenarioSegments.splice(idx, 1);
+      applyScenario();
+    });
+
+    for (const el of [fieldSel, typeSel, start, end]) {
+      const td = document.createElement("td");
+      td.appendChild(el);
+      tr.appendChild(td);
+    }
+    const tdRemove = document.createElement("td");
+    tdRemove.appendChild(remove);
+    tr.append(params, tdRemove);
+    els.scenarioSegments.appendChild(tr);
+  });
+}
+
+function selectInput(options, value, onChange) {
+  const sel = document.createElement("select");
+  for (const opt of options) {
+    const o = document.createElement("option");
+    o.value = opt;
+    o.textContent = opt.replace(/_/g, " ");
+    sel.appendChild(o);
+  }
+  sel.value = value;
+  sel.addEventListener("change", () => {
+    onChange(sel.value);
+    applyScenario();
+  });
+  return sel;
+}
+
+// Empty input means null (used for open-ended segment ends).
+function numberInput(value, onChange) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.step = "any";
+  input.value = value === null ? "" : String(value);
+  input.addEventListener("change", () => {
+    onChange(input.value === "" ? null : parseFloat(input.value));
+    applyScenario();
+  });
+  return input;
 }
 
 function startSimulation() {
+  if (replayer) exitReplay();
   if (running) return;
   running = true;
   if (timer) clearInterval(timer);
-  timer = setInterval(() => {
-    simulateSteps(3);
-    render();
-  }, 250);
+  timer = setInterval(() => advance(), FRAME_MS);
+}
+
+// One frame at the selected speed: 3 ticks times the speed factor, or as many as fit in the
+// frame's budget when fast-forwarding. The simulated link fast-forwards in the engine worker
+// where the page can start one and nothing needs the page's ticks; batches then arrive in
+// onEngineBatch().
+function advance() {
+  if (els.speed.value !== "max") {
+    simulateSteps(3 * parseInt(els.speed.value, 10));
+  } else if (telemetry.kind === "simulator" && !pageOnlyWork() && engineAvailable()) {
+    if (!engineJob) requestEngineBatch();
+    return;
+  } else {
+    const deadline = Date.now() + FAST_FORWARD_BUDGET_MS;
+    while (Date.now() < deadline && simulateSteps(FAST_FORWARD_CHUNK) && !telemetry.done);
+  }
+  if (telemetry.done) pauseSimulation();
+  render();
+}
+
+// Remediation and the fleet step only in the page, so fast-forward stays there while either has
+// work to do. Returns what keeps it there, or "" if nothing does.
+function pageOnlyWork() {
+  if (remediation.auto_heal) return "auto-heal is on";
+  if (remediation.active) return "a mitigation is being measured";
+  return network ? "the fleet view is on" : "";
+}
+
+function engineAvailable() {
+  if (engineWorker !== undefined) return Boolean(engineWorker);
+  engineWorker = null;
+  if (typeof Worker === "undefined") return false;
+  try {
+    engineWorker = new Worker("engine-worker.js");
+  } catch (err) {
+    // Browsers refuse workers on pages opened from a file.
+    engineNote = "Serve the page over HTTP to fast-forward in a worker.";
+    return false;
+  }
+  engineWorker.onmessage = (event) => {
+    if (event.data.type === "batch") onEngineBatch(event.data.batch);
+    else dropEngineWorker(`Engine worker failed: ${event.data.message}`);
+  };
+  engineWorker.onerror = (event) => {
+    event.preventDefault();
+    dropEngineWorker("The engine worker could not start");
+  };
+  engineWorker.postMessage({ type: "init", plugins: PLUGIN_SCRIPTS });
+  return true;
+}
+
+// Fast-forward carries on in the page.
+function dropEngineWorker(reason) {
+  engineWorker.terminate();
+  engineWorker = null;
+  engineJob = null;
+  engineNote = `${reason}; fast-forwarding in the page.`;
+  renderSpeed();
+}
+
+// Everything a batch depends on, to tell whether the page changed it while the batch ran.
+function engineJobKey() {
+  const sim = simulator;
+  const configs = [sim.fault_config, sim.channel_config, sim.rate_config, sim.packet_config, sim.symbol_config];
+  const settings = engineSettings(diagEngine);
+  return JSON.stringify([sim.seed, sim.t, configs, sim.mitigation_config, settings, scenarioTimeline()]);
+}
+
+function scenarioTimeline() {
+  if (!scenario || !els.scenarioEnabled.checked) return null;
+  return { segments: scenario.segments, seed: scenario.seed, base: sliderConfig };
+}
+
+function requestEngineBatch() {
+  engineJob = engineJobKey();
+  engineWorker.postMessage({
+    type: "run",
+    job: {
+      simulator,
+      changes: changeDetector,
+      engine: engineSettings(diagEngine),
+      recent: history.slice(-stream.window.span),
+      timeline: scenarioTimeline(),
+      budget_ms: FAST_FORWARD_BUDGET_MS,
+    },
+  });
+}
+
+// A batch only counts if nothing it depends on changed meanwhile and fast-forward is still on;
+// otherwise its ticks never happened and the next frame asks again.
+function onEngineBatch(batch) {
+  const key = engineJob;
+  engineJob = null;
+  const current = running && els.speed.value === "max" && !replayer && telemetry.kind === "simulator";
+  if (!current || pageOnlyWork() || key !== engineJobKey()) return;
+  // Update in place: the telemetry source and remediation hold on to these objects.
+  Object.assign(simulator, CommLinkSimulator.restore(batch.simulator));
+  Object.assign(changeDetector, ChangePointDetector.restore(batch.changes));
+  const timeline = scenarioTimeline();
+  batch.samples.forEach((sample, i) => {
+    if (timeline) recorder.recordConfig(sample.t, scenario.configAt(sample.t, sliderConfig), simulator.channel_config);
+    observeTick(sample, batch.entries[i]);
+  });
+  stream.restart(history.slice(-stream.window.span));
+  render();
 }
 
 function pauseSimulation() {
@@ -82,42 +772,515 @@ function pauseSimulation() {
 }
 
 function stepSimulation() {
+  if (replayer) exitReplay();
   simulateSteps(1);
   render();
 }
 
 function resetSimulation() {
+  if (replayer) exitReplay();
   pauseSimulation();
-  history = [];
-  diagnoses = [];
+  telemetry.reset();
+  history = new RingBuffer(HISTORY_TICKS);
+  diagnoses = new RingBuffer(HISTORY_TICKS);
+  overview.reset();
+  changeDetector.reset();
+  stream.restart();
+  chartView.end = null;
+  if (network) network.reset(simulator.seed);
+  remediation.clearLog();
+  alertManager.reset();
+  alertLog.clear();
+  els.alertTray.innerHTML = "";
+  rebuildIncidents();
+  render();
+}
+
+function applySeed(seed) {
+  if (!(Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED)) {
+    els.seedError.textContent = `The seed must be a whole number from 0 to ${MAX_SEED}.`;
+    renderSeed();
+    return;
+  }
+  els.seedError.textContent = "";
+  simulator.reset(seed);
+  resetSimulation();
+  // Random on/off segments draw from the run seed.
+  applyScenario();
+}
+
+// The fleet runs alongside the main link from the same seed and is diagnosed by the same engine.
+function buildNetwork() {
+  networkCells = null;
+  const kind = els.networkTopology.value;
+  if (!kind) {
+    network = null;
+    render();
+    return;
+  }
+  const nodeCount = Math.min(8, Math.max(3, parseInt(els.networkNodes.value, 10) || 5));
+  els.networkNodes.value = String(nodeCount);
+  const topology = buildTopology(kind, nodeCount);
+  network = new NetworkSimulator(topology, simulator.seed);
+
+  const previous = els.backhaul.node.value;
+  els.backhaul.node.innerHTML = "";
+  for (const node of topology.nodes) {
+    const opt = document.createElement("option");
+    opt.value = node.id;
+    opt.textContent = node.id;
+    els.backhaul.node.appendChild(opt);
+  }
+  // Default to the node that carries the most links (the hub of a star).
+  const degree = (id) => topology.links.filter((l) => l.from === id || l.to === id).length;
+  const busiest = topology.nodes.reduce((a, b) => (degree(b.id) > degree(a.id) ? b : a)).id;
+  els.backhaul.node.value = topology.nodes.some((n) => n.id === previous) ? previous : busiest;
+  updateSharedSources();
+}
+
+function updateSharedSources() {
+  if (!network) {
+    render();
+    return;
+  }
+  const num = (input, fallback) => {
+    const v = parseFloat(input.value);
+    return Number.isFinite(v) ? v : fallback;
+  };
+  network.setSharedSources([
+    {
+      type: SharedSourceType.AREA_JAMMER,
+      enabled: els.areaJammer.enabled.checked,
+      x: num(els.areaJammer.x, 0.5),
+      y: num(els.areaJammer.y, 0.5),
+      radius: Math.max(0.01, num(els.areaJammer.radius, 0.35)),
+      severity: Math.min(1, Math.max(0, num(els.areaJammer.severity, 0))),
+    },
+    {
+      type: SharedSourceType.BACKHAUL,
+      enabled: els.backhaul.enabled.checked,
+      node: els.backhaul.node.value,
+      severity: Math.min(1, Math.max(0, num(els.backhaul.severity, 0))),
+    },
+  ]);
+  render();
+}
+
+// Fault fields a single link can be given in the fleet table.
+const LOCAL_FAULTS = [
+  ["noise_spike_level", "Noise spike"],
+  ["jammer_level", "Jammer"],
+  ["sync_loss_prob", "Sync loss"],
+  ["congestion_level", "Congestion"],
+  ["fading_severity", "Fading"],
+  ["oscillator_drift_level", "Oscillator drift"],
+  ["adjacent_channel_level", "Adjacent channel"],
+].concat(FAULT_PLUGINS.map((plugin) => [plugin.params[0].field, plugin.label]));
+
+function setLocalFault(id, field, level) {
+  const cfg = new FaultConfig();
+  if (field && Number.isFinite(level)) cfg[field] = Math.max(0, Math.min(1, level));
+  network.setLocalFaults(id, cfg);
+}
+
+// Parse and validate the editor contents. Returns the rule base, or null after reporting the error.
+function validateRulesEditor() {
+  let ruleBase;
+  try {
+    ruleBase = JSON.parse(els.rulesEditor.value);
+    const compiled = diagEngine.validateRuleBase(ruleBase);
+    setRulesStatus(`Valid: ${compiled.rules.length} rules. Press Apply to use them.`, "ok");
+  } catch (err) {
+    setRulesStatus(err.message, "error");
+    return null;
+  }
+  return ruleBase;
+}
+
+function applyRulesEditor() {
+  const ruleBase = validateRulesEditor();
+  if (!ruleBase) return;
+  diagEngine.setRuleBase(ruleBase);
+  setRulesStatus(`Applied ${diagEngine.rules.length} rules; new diagnoses use them.`, "ok");
+  refreshReplay();
+  renderBaselineTable();
+  render();
+}
+
+// The naive-Bayes model is trained on first use from simulated single-fault runs.
+function setConfidenceModel(mode) {
+  if (mode === "bayes") {
+    if (!bayesModel) bayesModel = trainNaiveBayes();
+    diagEngine.setBayesModel(bayesModel);
+    const temperature = bayesModel.temperature.toFixed(2);
+    els.confidenceModelStatus.textContent = `${bayesModel.causes.length} causes, temperature ${temperature}.`;
+  } else {
+    diagEngine.setBayesModel(null);
+    els.confidenceModelStatus.textContent = "";
+  }
+  refreshReplay();
+  render();
+}
+
+// Re-diagnoses a loaded recording after the engine changed.
+function refreshReplay() {
+  if (!replayer) return;
+  replayer.invalidate();
+  syncReplay(true);
+}
+
+// Observes the next N live ticks, then derives thresholds from them (see observeBaseline).
+function startBaselineLearning() {
+  const ticks = parseInt(els.baselineTicks.value, 10);
+  baselineLearning = {
+    ticks: Number.isFinite(ticks) ? Math.max(10, ticks) : 100,
+    options: {
+      method: els.baselineMethod.value,
+      k: parseFloat(els.baselineK.value),
+      percentile: parseFloat(els.baselinePercentile.value),
+    },
+    samples: [],
+  };
+  baselineError = null;
+  startSimulation();
+  renderBaselineStatus();
+}
+
+function observeBaseline(sample) {
+  baselineLearning.samples.push(sample);
+  if (baselineLearning.samples.length < baselineLearning.ticks) return;
+  const { samples, options } = baselineLearning;
+  baselineLearning = null;
+  let baseline;
+  try {
+    baseline = learnBaseline(samples, options);
+  } catch (err) {
+    baselineError = err.message;
+    return;
+  }
+  // Only the simulator knows this; a real link would have to be vouched for by the operator.
+  baseline.faulted_ticks = samples.filter((s) => s.active_faults && s.active_faults.length).length;
+  baseline.edited = [];
+  applyBaseline(baseline);
+}
+
+function applyBaseline(baseline) {
+  if (!baseline) baselineLearning = null;
+  baselineError = null;
+  diagEngine.setBaseline(baseline);
+  refreshReplay();
+  renderBaselineTable();
+  renderBaselineStatus();
+}
+
+// Hand edits start from the current thresholds when nothing has been learned yet.
+function editBaselineThreshold(name, value) {
+  if (!Number.isFinite(value)) {
+    renderBaselineTable();
+    return;
+  }
+  let baseline = diagEngine.baseline;
+  if (!baseline) {
+    const thresholds = {};
+    for (const key of Object.keys(BASELINE_BANDS)) thresholds[key] = diagEngine.thresholds[key];
+    baseline = { method: "manual", samples: 0, stats: null, thresholds, faulted_ticks: 0, edited: [] };
+  }
+  baseline.thresholds[name] = value;
+  if (!baseline.edited.includes(name)) baseline.edited.push(name);
+  applyBaseline(baseline);
+  render();
+}
+
+// Rebuilds the feature config from the controls; on error the controls go back to the engine's.
+function updateFeatureConfig() {
+  const config = JSON.parse(JSON.stringify(DEFAULT_FEATURE_CONFIG));
+  config.windows = { short: parseInt(els.featureShort.value, 10), long: parseInt(els.featureLong.value, 10) };
+  for (const [group, box] of Object.entries(els.featureGroups)) config[group].enabled = box.checked;
+  try {
+    diagEngine.setFeatureConfig(config);
+    stream.restart(history.slice(-featureSpan(20, config)));
+    setRulesStatus("Window features updated; new diagnoses use them.", "ok");
+  } catch (err) {
+    setRulesStatus(err.message, "error");
+  }
+  renderFeatureConfig();
+  refreshReplay();
   render();
 }
 
+function renderFeatureConfig() {
+  const config = diagEngine.feature_config;
+  els.featureShort.value = String(config.windows.short);
+  els.featureLong.value = String(config.windows.long);
+  for (const [group, box] of Object.entries(els.featureGroups)) box.checked = Boolean(config[group].enabled);
+  const features = diagEngine.featureNames().join(", ");
+  els.rulesNames.textContent = `Features: ${features}. Built-in thresholds: ${THRESHOLD_NAMES.join(", ")}.`;
+}
+
+function setRulesStatus(text, kind) {
+  els.rulesStatus.textContent = text;
+  els.rulesStatus.className = kind;
+}
+
+// Runs `n` ticks of the simulator, or takes what an external source has ready. Returns the
+// number of samples taken.
 function simulateSteps(n) {
-  for (let i = 0; i < n; i++) {
-    const sample = simulator.step();
-    history.push(sample);
-
-    const windowStats = windowFrom(history, 20);
-    const diag = diagEngine.diagnose(windowStats);
-    diagnoses.push({
-      t: sample.t,
-      primary_cause: diag.primary_cause,
-      confidence: diag.confidence,
-      ranked_causes: diag.ranked_causes,
-      explanation: diag.explanation,
-      suggested_actions: diag.suggested_actions,
-      contributing_rules: diag.contributing_rules,
-      active_faults: sample.active_faults,
+  const simulated = telemetry.kind === "simulator";
+  const samples = telemetry.poll(n);
+  for (const sample of samples) {
+    const { window: windowStats, diagnosis: diag, entry } = stream.observe(sample);
+    observeTick(sample, entry);
+    if (simulated) remediation.observe(sample.t, windowStats, diag, incidentTracker.open);
+    if (network && simulated) network.step(diagEngine);
+  }
+  return samples.length;
+}
+
+// Everything downstream of a diagnosis. Fast-forward batches from the engine worker come in
+// here too; they only run while remediation and the fleet have nothing to do (see pageOnlyWork).
+function observeTick(sample, entry) {
+  history.push(sample);
+  diagnoses.push(entry);
+  overview.push(sample, entry);
+  ticksSeen += 1;
+  if (baselineLearning) observeBaseline(sample);
+  incidentTracker.observe(entry);
+  alertManager.observe(entry);
+  recorder.recordStep(sample, entry);
+}
+
+// Mitigations act on the live link only; a replay shows recorded samples.
+function applyMitigation(type) {
+  if (replayer || telemetry.kind !== "simulator" || !diagnoses.length) return;
+  const windowStats = windowFrom(history, 20, diagEngine.feature_config);
+  remediation.execute(type, simulator.t, windowStats, diagnoses.at(-1));
+  render();
+}
+
+function toggleRecording() {
+  if (recorder.recording) {
+    recorder.stop();
+  } else {
+    // Enough history for the first replayed windows, long-window features included.
+    const leadIn = history.slice(1 - featureSpan(20, diagEngine.feature_config));
+    recorder.start(simulator.seed, simulator.t, simulator.fault_config, simulator.channel_config, leadIn);
+  }
+  renderSession();
+}
+
+function downloadFile(name, mime, text) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function loadRecording(text) {
+  let session;
+  try {
+    session = parseSession(text);
+  } catch (err) {
+    els.replayStatus.textContent = err.message;
+    return;
+  }
+  pauseSimulation();
+  if (!replayer) liveState = { history, diagnoses };
+  pauseReplay();
+  replayer = new SessionReplayer(session, diagEngine);
+  els.replayScrub.max = String(replayer.length - 1);
+  syncReplay(true);
+  render();
+}
+
+function playReplay() {
+  if (!replayer || replayTimer) return;
+  replayTimer = setInterval(() => {
+    if (!replayer.advance(3)) pauseReplay();
+    syncReplay();
+    render();
+  }, 250);
+}
+
+function pauseReplay() {
+  if (replayTimer) clearInterval(replayTimer);
+  replayTimer = null;
+}
+
+function exitReplay() {
+  pauseReplay();
+  replayer = null;
+  history = liveState.history;
+  diagnoses = liveState.diagnoses;
+  liveState = null;
+  rebuildIncidents();
+  render();
+}
+
+// Expose the replay cursor through the same `history` / `diagnoses` arrays the live view renders.
+// Moving the cursor forward appends the new ticks; a new recording or engine, or seeking back,
+// rebuilds them.
+function syncReplay(rebuild = false) {
+  const samples = replayer.session.samples;
+  if (rebuild || replayer.cursor < history.length - 1) {
+    history = samples.slice(0, replayer.cursor + 1);
+    diagnoses = history.map((s, i) => diagnosisEntry(s, replayer.diagnosisAt(i)));
+    rebuildIncidents();
+    return;
+  }
+  for (let i = history.length; i <= replayer.cursor; i++) {
+    const entry = diagnosisEntry(samples[i], replayer.diagnosisAt(i));
+    history.push(samples[i]);
+    diagnoses.push(entry);
+    incidentTracker.observe(entry);
+  }
+}
+
+// Replays every diagnosis through a fresh tracker; used whenever the diagnoses or the dwell
+// settings change wholesale. Invalid dwell settings keep the previous tracker's settings.
+function rebuildIncidents() {
+  let tracker;
+  try {
+    tracker = new IncidentTracker({
+      open_dwell: parseInt(els.incidentOpen.value, 10),
+      close_dwell: parseInt(els.incidentClose.value, 10),
     });
+  } catch (err) {
+    tracker = new IncidentTracker(incidentTracker);
   }
+  diagnoses.forEach((d) => tracker.observe(d));
+  incidentTracker = tracker;
 }
 
 function render() {
+  renderSeed();
   renderMetrics();
+  renderScenarioChart();
   renderCharts();
+  renderOverview();
+  renderPhy();
+  renderSpeed();
   renderDiagnosis();
+  renderMitigations();
+  renderNetwork();
+  renderIncidents();
+  renderAlerts();
+  renderRemediation();
   renderTruth();
+  renderCalibration();
+  renderBaselineStatus();
+  renderSession();
+  renderTelemetry();
+}
+
+function renderSeed() {
+  els.seedVal.textContent = String(simulator.seed);
+  if (document.activeElement !== els.seed) els.seed.value = String(simulator.seed);
+}
+
+function renderSession() {
+  els.recordBtn.textContent = recorder.recording ? "⏹ Stop recording" : "⏺ Record";
+  els.exportJsonBtn.disabled = !recorder.hasData();
+  els.exportCsvBtn.disabled = !recorder.hasData();
+  if (recorder.session) {
+    const s = recorder.session;
+    const state = recorder.recording ? "Recording" : "Recorded";
+    els.recordStatus.textContent = `${state}: ${s.samples.length} samples, ${s.config_changes.length} fault config changes.`;
+  } else {
+    els.recordStatus.textContent = "Not recording.";
+  }
+
+  els.replayControls.hidden = !replayer;
+  if (!replayer) {
+    if (!liveState) els.replayStatus.textContent = "";
+    return;
+  }
+  const sample = replayer.session.samples[replayer.cursor];
+  els.replayScrub.value = String(replayer.cursor);
+  els.replayStatus.textContent =
+    `Replaying recording (seed ${replayer.session.seed}): t=${sample.t}, ` +
+    `sample ${replayer.cursor + 1}/${replayer.length}. ` +
+    `${replayer.countChanged()} diagnoses differ from the recording.`;
+}
+
+// The simulator as a telemetry source, with the scenario timeline applied before each tick.
+function simulatorSource() {
+  return new SimulatorSource(simulator, {
+    beforeStep: (t) => {
+      if (scenario && els.scenarioEnabled.checked) applyEffectiveConfig(t);
+    },
+  });
+}
+
+// Switching sources starts the dashboard over, like a reset.
+function useTelemetry(source) {
+  if (replayer) exitReplay();
+  if (telemetry !== source) telemetry.close();
+  telemetry = source;
+  els.telemetryError.textContent = "";
+  resetSimulation();
+}
+
+function loadTelemetryFile(name, text) {
+  let parsed;
+  try {
+    parsed = parseTelemetryText(text, name);
+  } catch (err) {
+    els.telemetryError.textContent = err.message;
+    return;
+  }
+  telemetryFile = Object.assign({ name }, parsed);
+  els.telemetryError.textContent = "";
+  els.telemetryFileName.textContent = `${name}: ${parsed.rows.length} rows, ${parsed.columns.length} columns.`;
+  const guess = guessTelemetryMapping(parsed.columns);
+  els.telemetryMapping.innerHTML = "";
+  for (const [field, spec] of Object.entries(TELEMETRY_FIELDS)) {
+    const column = selectOf([""].concat(parsed.columns), guess.mapping[field] || "");
+    column.className = "telemetry-column";
+    column.options[0].textContent = spec.required ? "(choose a column)" : "(none)";
+    const unit = selectOf(Object.keys(spec.units), guess.units[field]);
+    unit.className = "telemetry-unit";
+    unit.disabled = unit.options.length < 2;
+    const tr = document.createElement("tr");
+    tr.dataset.field = field;
+    for (const content of [spec.required ? `${spec.label} *` : spec.label, column, unit]) {
+      const td = document.createElement("td");
+      td.append(content);
+      tr.appendChild(td);
+    }
+    els.telemetryMapping.appendChild(tr);
+  }
+  els.telemetryUseBtn.disabled = false;
+}
+
+function selectOf(values, selected) {
+  const sel = document.createElement("select");
+  for (const value of values) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = value;
+    sel.appendChild(opt);
+  }
+  sel.value = selected;
+  return sel;
+}
+
+// [mapping, units] as chosen in the mapping table.
+function readTelemetryMapping() {
+  const mapping = {};
+  const units = {};
+  for (const tr of els.telemetryMapping.children) {
+    mapping[tr.dataset.field] = tr.querySelector(".telemetry-column").value || null;
+    units[tr.dataset.field] = tr.querySelector(".telemetry-unit").value;
+  }
+  return [mapping, units];
+}
+
+function renderTelemetry() {
+  const truth = telemetry.kind === "simulator" || telemetry.has_ground_truth ? "" : " No ground truth.";
+  els.telemetryStatus.textContent = telemetry.status() + truth;
+  els.telemetryAllBtn.disabled = telemetry.kind !== "file" || telemetry.done;
 }
 
 function renderMetrics() {
@@ -126,50 +1289,596 @@ function renderMetrics() {
     els.berCard.textContent = "--";
     els.latencyCard.textContent = "--";
     els.retriesCard.textContent = "--";
+    els.throughputCard.textContent = "--";
+    els.goodputCard.textContent = "--";
+    els.mcsCard.textContent = "";
+    els.packetCard.hidden = true;
+    els.evmCard.hidden = true;
     return;
   }
-  const latest = history[history.length - 1];
+  const latest = history.at(-1);
   els.snrCard.textContent = latest.snr_db.toFixed(1);
   els.berCard.textContent = latest.ber.toExponential(2);
   els.latencyCard.textContent = latest.latency_ms.toFixed(1);
   els.retriesCard.textContent = latest.retries.toFixed(0);
+  // Recordings made before the rate model existed, and most external logs, lack some rate fields.
+  const rate = (v) => (Number.isFinite(v) ? v.toFixed(1) : "--");
+  els.throughputCard.textContent = rate(latest.throughput_mbps);
+  els.goodputCard.textContent = rate(latest.goodput_mbps);
+  els.mcsCard.textContent = latest.mcs === undefined ? "" : MCS_TABLE[latest.mcs].name;
+  // Only the packet layer (or a log with these columns) reports queue depth and loss.
+  els.packetCard.hidden = latest.queue_depth === undefined && latest.packet_loss === undefined;
+  els.queueCard.textContent = latest.queue_depth === undefined ? "--" : latest.queue_depth.toFixed(0);
+  els.lossCard.textContent = latest.packet_loss === undefined ? "" : `${(latest.packet_loss * 100).toFixed(1)}% lost`;
+  els.evmCard.hidden = latest.evm_pct === undefined;
+  els.evmValue.textContent = Number.isFinite(latest.evm_pct) ? latest.evm_pct.toFixed(1) : "--";
+  els.evmModulation.textContent = latest.mcs === undefined ? "" : MCS_TABLE[latest.mcs].modulation;
 }
 
-function renderCharts() {
-  const maxPoints = 120;
-  const slice = history.slice(-maxPoints);
-  const xs = slice.map((s, idx) => idx);
-  drawChart(els.snrChart, xs, slice.map((s) => s.snr_db), { color: "#60a5fa", label: "SNR" });
-  drawChart(els.berChart, xs, slice.map((s) => s.ber), {
+// Time window the charts show: `span` ticks ending at tick `end`, or at the latest tick while
+// `end` is null. Scrolling over a chart zooms, dragging pans, and a double click follows the run
+// again. `hover` is the tick under the pointer, marked on every chart.
+const CHART_SPAN_DEFAULT = 120;
+const CHART_SPAN_MIN = 20;
+const chartView = { span: CHART_SPAN_DEFAULT, end: null, hover: null, drag: null };
+// Plot area and tick range of each drawn chart, to map pointer positions back to ticks.
+const chartLayouts = new Map();
+
+// Each chart's sample field and the rule-base thresholds drawn on it as reference lines.
+const CHART_SERIES = [
+  {
+    canvas: "snrChart",
+    field: "snr_db",
+    color: "#60a5fa",
+    label: "SNR",
+    thresholds: ["good_snr_db", "moderate_snr_db", "bad_snr_db"],
+  },
+  {
+    canvas: "berChart",
+    field: "ber",
     color: "#fbbf24",
     label: "BER",
     log: true,
     min: 1e-9,
-  });
-  drawChart(els.latencyChart, xs, slice.map((s) => s.latency_ms), { color: "#34d399", label: "Latency" });
-  drawChart(els.retriesChart, xs, slice.map((s) => s.retries), { color: "#f87171", label: "Retries" });
+    thresholds: ["good_ber", "moderate_ber", "bad_ber"],
+  },
+  {
+    canvas: "latencyChart",
+    field: "latency_ms",
+    color: "#34d399",
+    label: "Latency",
+    thresholds: ["latency_warn_ms", "latency_bad_ms"],
+  },
+  {
+    canvas: "retriesChart",
+    field: "retries",
+    color: "#f87171",
+    label: "Retries",
+    thresholds: ["retries_warn", "retries_bad"],
+  },
+  { canvas: "throughputChart", field: "throughput_mbps", color: "#c084fc", label: "Throughput", thresholds: [] },
+  { canvas: "goodputChart", field: "goodput_mbps", color: "#22d3ee", label: "Goodput", thresholds: [] },
+  { canvas: "evmChart", field: "evm_pct", color: "#f472b6", label: "EVM", thresholds: ["evm_warn_pct", "evm_bad_pct"] },
+];
+
+function thresholdColor(name) {
+  if (/(^|_)good(_|$)/.test(name)) return "#34d399";
+  if (/(^|_)bad(_|$)/.test(name)) return "#f87171";
+  return "#fbbf24";
 }
 
-function renderDiagnosis() {
-  if (!diagnoses.length) {
-    els.diagPrimary.textContent = "No diagnosis yet. Press start.";
-    els.confBars.innerHTML = "";
-    els.actionsList.innerHTML = "";
-    els.evidenceList.innerHTML = "";
-    return;
+// Items of a tick-ordered list (history, diagnoses) with t0 <= t <= t1.
+function rangeByTick(items, t0, t1) {
+  let lo = 0;
+  let hi = items.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (items.at(mid).t < t0) lo = mid + 1;
+    else hi = mid;
   }
-  const latest = diagnoses[diagnoses.length - 1];
-  els.diagPrimary.textContent = `${latest.explanation}`;
+  const out = [];
+  for (let i = lo; i < items.length && items.at(i).t <= t1; i++) out.push(items.at(i));
+  return out;
+}
 
-  els.confBars.innerHTML = "";
-  for (const [rc, conf] of latest.ranked_causes) {
-    const row = document.createElement("div");
-    row.className = "bar-row";
-    const label = document.createElement("div");
-    label.className = "label";
-    label.textContent = rc.replace(/_/g, " ");
-    const bar = document.createElement("div");
-    bar.className = "bar";
+// Runs of consecutive items with the same non-null `key(item)`, as { from, to, key } ticks.
+function tickRuns(items, key) {
+  const runs = [];
+  let run = null;
+  for (const item of items) {
+    const k = key(item);
+    if (run && k === run.key) {
+      run.to = item.t;
+    } else {
+      run = k === null ? null : { from: item.t, to: item.t, key: k };
+      if (run) runs.push(run);
+    }
+  }
+  return runs;
+}
+
+// The ticks, samples and diagnoses in the charts' window, or null before the first sample.
+function chartWindow() {
+  if (!history.length) return null;
+  const first = history.at(0).t;
+  const last = history.at(-1).t;
+  const span = Math.max(CHART_SPAN_MIN, chartView.span);
+  const t1 = chartView.end === null ? last : Math.min(last, Math.max(first + span - 1, chartView.end));
+  const t0 = Math.max(first, t1 - span + 1);
+  return { t0, t1, samples: rangeByTick(history, t0, t1), entries: rangeByTick(diagnoses, t0, t1) };
+}
+
+function renderCharts() {
+  const win = chartWindow();
+  renderChartRange(win);
+  if (!win) {
+    for (const series of CHART_SERIES) drawChart(els[series.canvas], [], [], series);
+    return;
+  }
+  const { t0, t1, samples, entries } = win;
+  const xs = samples.map((s) => s.t);
+  // Change points as dashed lines at the tick each change was dated to.
+  const changes = currentChangePoints().filter((ev) => ev.t >= t0 && ev.t <= t1 && ev.detected_t <= t1);
+  // Shaded where each fault was injected, with the diagnosed cause as a strip along the time axis.
+  const faults = [...new Set(samples.flatMap((s) => s.active_faults || []))];
+  const bands = faults.flatMap((fault) =>
+    tickRuns(samples, (s) => (s.active_faults && s.active_faults.includes(fault) ? fault : null))
+  );
+  const causes = tickRuns(entries, (d) => d.primary_cause);
+  for (const series of CHART_SERIES) {
+    drawChart(els[series.canvas], xs, samples.map((s) => s[series.field]), {
+      color: series.color,
+      label: series.label,
+      log: series.log,
+      min: series.min,
+      range: [t0, t1],
+      markers: changes
+        .filter((ev) => ev.metric === series.field)
+        .map((ev) => ({ x: ev.t, color: ev.kind === ChangeKind.ONSET ? "#f87171" : "#34d399" })),
+      thresholds: series.thresholds.map((name) => ({
+        value: diagEngine.thresholds[name],
+        label: name.replace(/_/g, " "),
+        color: thresholdColor(name),
+      })),
+      bands: bands.map((run) => ({ from: run.from, to: run.to, color: CAUSE_COLORS[run.key] || "#94a3b8" })),
+      strip: causes.map((run) => ({ from: run.from, to: run.to, color: CAUSE_COLORS[run.key] || "#475569" })),
+      hover: chartView.hover,
+    });
+  }
+}
+
+function renderChartRange(win) {
+  els.chartLiveBtn.disabled = chartView.end === null;
+  if (!win) {
+    els.chartRange.textContent = "";
+    return;
+  }
+  const where = chartView.end === null ? "following the run" : "double-click a chart to follow the run";
+  els.chartRange.textContent = `t=${win.t0}–${win.t1}, ${where}. Scroll to zoom, drag to pan.`;
+}
+
+// Sets the window, at most the whole history; reaching the latest tick goes back to following
+// the run.
+function setChartView(span, end) {
+  const first = history.length ? history.at(0).t : 0;
+  const last = history.length ? history.at(-1).t : 0;
+  chartView.span = Math.max(CHART_SPAN_MIN, Math.min(last - first + 1, Math.round(span)));
+  chartView.end = end >= last ? null : Math.round(end);
+  renderCharts();
+}
+
+function followChartsLive() {
+  chartView.span = CHART_SPAN_DEFAULT;
+  chartView.end = null;
+  renderCharts();
+}
+
+// The tick under a pointer event on a drawn chart (fractional), or null outside its plot.
+function chartTickAt(canvas, ev) {
+  const layout = chartLayouts.get(canvas);
+  if (!layout) return null;
+  const rect = canvas.getBoundingClientRect();
+  const px = ((ev.clientX - rect.left) * canvas.width) / rect.width;
+  if (px < layout.left || px > layout.right) return null;
+  return layout.t0 + ((px - layout.left) / (layout.right - layout.left)) * (layout.t1 - layout.t0);
+}
+
+function bindCharts() {
+  for (const series of CHART_SERIES) {
+    const canvas = els[series.canvas];
+    canvas.addEventListener(
+      "wheel",
+      (ev) => {
+        const t = chartTickAt(canvas, ev);
+        const win = chartWindow();
+        if (t === null || !win) return;
+        ev.preventDefault();
+        // Zoom about the pointer: the tick under it stays put.
+        const span = (win.t1 - win.t0 + 1) * (ev.deltaY > 0 ? 1.25 : 0.8);
+        const frac = (t - win.t0) / Math.max(1, win.t1 - win.t0);
+        setChartView(span, t - frac * (span - 1) + span - 1);
+      },
+      { passive: false }
+    );
+    canvas.addEventListener("mousedown", (ev) => {
+      const win = chartWindow();
+      const layout = chartLayouts.get(canvas);
+      if (!win || !layout) return;
+      const rect = canvas.getBoundingClientRect();
+      const ticksPerPx = ((win.t1 - win.t0) * canvas.width) / ((layout.right - layout.left) * rect.width);
+      chartView.drag = { x: ev.clientX, end: win.t1, span: win.t1 - win.t0 + 1, ticksPerPx };
+    });
+    canvas.addEventListener("mousemove", (ev) => {
+      const drag = chartView.drag;
+      if (drag) {
+        hideChartTooltip();
+        setChartView(drag.span, drag.end - (ev.clientX - drag.x) * drag.ticksPerPx);
+        return;
+      }
+      const t = chartTickAt(canvas, ev);
+      chartView.hover = t === null ? null : Math.round(t);
+      renderCharts();
+      if (chartView.hover === null) hideChartTooltip();
+      else showChartTooltip(ev, chartView.hover);
+    });
+    canvas.addEventListener("mouseup", () => {
+      chartView.drag = null;
+    });
+    canvas.addEventListener("mouseleave", () => {
+      chartView.drag = null;
+      chartView.hover = null;
+      hideChartTooltip();
+      renderCharts();
+    });
+    canvas.addEventListener("dblclick", () => followChartsLive());
+  }
+  els.chartLiveBtn.addEventListener("click", () => followChartsLive());
+  // Clicking the overview centres the charts on that tick, if it is still in the history.
+  els.overviewChart.addEventListener("click", (ev) => {
+    const t = chartTickAt(els.overviewChart, ev);
+    if (t === null || !history.length) return;
+    if (t < history.at(0).t) {
+      els.chartRange.textContent = `t=${Math.round(t)} is older than the ${HISTORY_TICKS} ticks the charts keep.`;
+      return;
+    }
+    const span = chartWindow().t1 - chartWindow().t0 + 1;
+    setChartView(span, t + span / 2);
+  });
+}
+
+// The full sample and diagnosis at tick `t`, next to the pointer.
+function showChartTooltip(ev, t) {
+  const sample = rangeByTick(history, t, t)[0];
+  const entry = rangeByTick(diagnoses, t, t)[0];
+  const lines = [`t=${t}`];
+  if (!sample) {
+    lines.push("No sample at this tick (lost telemetry).");
+  } else {
+    const fmt = (v, digits) => (Number.isFinite(v) ? v.toFixed(digits) : "missing");
+    const ber = Number.isFinite(sample.ber) ? sample.ber.toExponential(1) : "missing";
+    lines.push(`SNR ${fmt(sample.snr_db, 1)} dB, BER ${ber}`);
+    lines.push(`Latency ${fmt(sample.latency_ms, 1)} ms, retries ${fmt(sample.retries, 0)}`);
+    if (sample.throughput_mbps !== undefined) {
+      lines.push(`Throughput ${fmt(sample.throughput_mbps, 1)} Mbps, goodput ${fmt(sample.goodput_mbps, 1)} Mbps`);
+    }
+    if (sample.mcs !== undefined) lines.push(`MCS ${sample.mcs}`);
+    if (sample.queue_depth !== undefined) lines.push(`Queue ${sample.queue_depth} packets`);
+    if (sample.packet_loss !== undefined) lines.push(`Packet loss ${(sample.packet_loss * 100).toFixed(1)}%`);
+    if (sample.evm_pct !== undefined) lines.push(`EVM ${fmt(sample.evm_pct, 1)}%`);
+    if (sample.active_faults) {
+      const injected = sample.active_faults.map((f) => f.replace(/_/g, " ")).join(", ");
+      lines.push(`Injected: ${injected || "none"}`);
+    }
+  }
+  if (entry) {
+    lines.push(`Diagnosed: ${entry.primary_cause.replace(/_/g, " ")} (${(entry.confidence * 100).toFixed(0)}%)`);
+    const others = entry.active_causes.filter((c) => c !== entry.primary_cause);
+    if (others.length) lines.push(`Also: ${others.map((c) => c.replace(/_/g, " ")).join(", ")}`);
+  }
+  const tip = els.chartTooltip;
+  tip.innerHTML = "";
+  for (const line of lines) {
+    const div = document.createElement("div");
+    div.textContent = line;
+    tip.appendChild(div);
+  }
+  tip.hidden = false;
+  tip.style.left = `${Math.min(ev.clientX + 14, window.innerWidth - tip.offsetWidth - 8)}px`;
+  tip.style.top = `${ev.clientY + 14}px`;
+}
+
+function hideChartTooltip() {
+  els.chartTooltip.hidden = true;
+}
+
+// SNR over the whole run: the min-max band and mean of each overview bucket, over a strip
+// coloured by the cause diagnosed on most of the bucket's ticks.
+function renderOverview() {
+  const canvas = els.overviewChart;
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const pad = 10;
+  const strip = 8;
+  ctx.clearRect(0, 0, w, h);
+  chartLayouts.delete(canvas);
+  const buckets = overview.buckets;
+  const ranges = buckets.map((b) => b.metrics.snr_db).filter((m) => m.n);
+  if (!ranges.length) {
+    els.overviewRange.textContent = "";
+    ctx.fillStyle = "#475569";
+    ctx.fillText("No data", 10, h / 2);
+    return;
+  }
+  const first = buckets[0];
+  const last = buckets[buckets.length - 1];
+  const per = overview.width === 1 ? "1 tick" : `${overview.width} ticks`;
+  els.overviewRange.textContent = `t=${first.t_start}–${last.t_end}, ${per} per point`;
+
+  const yMin = ranges.reduce((a, m) => Math.min(a, m.min), Infinity);
+  const yMax = ranges.reduce((a, m) => Math.max(a, m.max), -Infinity);
+  const span = Math.max(1, last.t_end - first.t_start);
+  const toX = (t) => pad + ((t - first.t_start) / span) * (w - 2 * pad);
+  const toY = (v) => h - pad - strip - ((v - yMin) / Math.max(1e-6, yMax - yMin)) * (h - 2 * pad - strip);
+  chartLayouts.set(canvas, { t0: first.t_start, t1: first.t_start + span, left: pad, right: w - pad });
+  const barWidth = (b) => Math.max(1, toX(b.t_end + 1) - toX(b.t_start));
+
+  for (const b of buckets) {
+    ctx.fillStyle = CAUSE_COLORS[RunOverview.dominantCause(b)] || "#475569";
+    ctx.fillRect(toX(b.t_start), h - pad - strip + 2, barWidth(b), strip - 2);
+  }
+  ctx.fillStyle = "rgba(96, 165, 250, 0.25)";
+  for (const b of buckets) {
+    const m = b.metrics.snr_db;
+    if (!m.n) continue;
+    ctx.fillRect(toX(b.t_start), toY(m.max), barWidth(b), toY(m.min) - toY(m.max) + 1);
+  }
+  ctx.beginPath();
+  let penDown = false;
+  for (const b of buckets) {
+    const mean = RunOverview.mean(b, "snr_db");
+    if (!Number.isFinite(mean)) {
+      penDown = false;
+      continue;
+    }
+    const px = toX((b.t_start + b.t_end) / 2);
+    if (penDown) ctx.lineTo(px, toY(mean));
+    else ctx.moveTo(px, toY(mean));
+    penDown = true;
+  }
+  ctx.strokeStyle = "#60a5fa";
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+
+  // The charts' window.
+  const win = chartWindow();
+  if (win) {
+    ctx.strokeStyle = "#e5e7eb";
+    ctx.lineWidth = 1;
+    ctx.strokeRect(toX(win.t0), pad, Math.max(2, toX(win.t1) - toX(win.t0)), h - 2 * pad - strip);
+  }
+
+  ctx.fillStyle = "#94a3b8";
+  ctx.font = "12px system-ui";
+  ctx.fillText("SNR", pad + 4, pad + 12);
+}
+
+// Constellation and eye diagram of the latest symbol burst. The view shows while the samples
+// carry EVM; the burst itself only comes from the live simulator.
+function renderPhy() {
+  const latest = history.length ? history.at(-1) : null;
+  els.phyView.hidden = !(simulator.symbol_config.enabled || (latest && latest.evm_pct !== undefined));
+  if (els.phyView.hidden) return;
+  const burst = replayer || telemetry.kind !== "simulator" ? null : simulator.symbol_burst;
+  drawConstellation(els.constellationChart, burst);
+  drawEye(els.eyeChart, burst);
+}
+
+// Symbols within this amplitude are drawn; the outer constellation points sit near 1.08.
+const PHY_RANGE = 1.6;
+
+function drawConstellation(canvas, burst) {
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const pad = 10;
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = "12px system-ui";
+  if (!burst) {
+    ctx.fillStyle = "#475569";
+    ctx.fillText("No symbols: run the simulator.", pad, h / 2);
+    return;
+  }
+  const size = Math.min(w, h) - 2 * pad;
+  const cx = w / 2;
+  const cy = h / 2;
+  const toX = (i) => cx + (i / PHY_RANGE) * (size / 2);
+  const toY = (q) => cy - (q / PHY_RANGE) * (size / 2);
+
+  ctx.strokeStyle = "#1f2937";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(cx - size / 2, cy - size / 2, size, size);
+  ctx.beginPath();
+  ctx.moveTo(cx - size / 2, cy);
+  ctx.lineTo(cx + size / 2, cy);
+  ctx.moveTo(cx, cy - size / 2);
+  ctx.lineTo(cx, cy + size / 2);
+  ctx.stroke();
+
+  ctx.fillStyle = "rgba(96, 165, 250, 0.55)";
+  for (const [i, q] of burst.symbols) {
+    if (Math.abs(i) > PHY_RANGE || Math.abs(q) > PHY_RANGE) continue;
+    ctx.fillRect(toX(i) - 1, toY(q) - 1, 2, 2);
+  }
+  // Ideal points.
+  ctx.strokeStyle = "#e5e7eb";
+  ctx.beginPath();
+  for (const [i, q] of constellation(burst.modulation)) {
+    ctx.moveTo(toX(i) - 3, toY(q));
+    ctx.lineTo(toX(i) + 3, toY(q));
+    ctx.moveTo(toX(i), toY(q) - 3);
+    ctx.lineTo(toX(i), toY(q) + 3);
+  }
+  ctx.stroke();
+
+  ctx.fillStyle = "#94a3b8";
+  ctx.fillText(`${burst.modulation}, EVM ${burst.evm_pct.toFixed(1)}%`, pad + 4, pad + 12);
+}
+
+// In-phase waveform, two symbols per trace with the sampling instant in the middle.
+function drawEye(canvas, burst) {
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const pad = 10;
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = "12px system-ui";
+  if (!burst) {
+    ctx.fillStyle = "#475569";
+    ctx.fillText("No symbols: run the simulator.", pad, h / 2);
+    return;
+  }
+  const sps = burst.samples_per_symbol;
+  const toX = (k) => pad + (k / (2 * sps)) * (w - 2 * pad);
+  const toY = (v) => h / 2 - (Math.max(-PHY_RANGE, Math.min(PHY_RANGE, v)) / PHY_RANGE) * (h / 2 - pad);
+
+  ctx.strokeStyle = "#1f2937";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(pad, pad, w - 2 * pad, h - 2 * pad);
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(toX(sps), pad);
+  ctx.lineTo(toX(sps), h - pad);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.strokeStyle = "rgba(52, 211, 153, 0.35)";
+  ctx.beginPath();
+  for (let start = 0; start + 2 * sps < burst.eye.length; start += sps) {
+    for (let k = 0; k <= 2 * sps; k++) {
+      const y = toY(burst.eye[start + k]);
+      if (k === 0) ctx.moveTo(toX(k), y);
+      else ctx.lineTo(toX(k), y);
+    }
+  }
+  ctx.stroke();
+
+  ctx.fillStyle = "#94a3b8";
+  ctx.fillText("In-phase, 2 symbols", pad + 4, pad + 12);
+}
+
+function renderSpeed() {
+  const now = Date.now();
+  if (now - tickRate.at >= 1000) {
+    tickRate.rate = tickRate.at ? Math.round(((ticksSeen - tickRate.ticks) * 1000) / (now - tickRate.at)) : 0;
+    tickRate.at = now;
+    tickRate.ticks = ticksSeen;
+  }
+  if (!running || els.speed.value !== "max") {
+    els.speedStatus.textContent = "";
+    return;
+  }
+  const reason = telemetry.kind === "simulator" ? pageOnlyWork() : "";
+  const where = reason ? `in the page while ${reason}` : engineWorker ? "in the engine worker" : "in the page";
+  const note = reason ? "" : engineNote;
+  els.speedStatus.textContent = `Fast-forward ${where}: ${tickRate.rate} ticks/s. ${note}`.trim();
+}
+
+const CAUSE_COLORS = {
+  [RootCause.HEALTHY]: "#34d399",
+  [RootCause.NOISE_SPIKE]: "#fbbf24",
+  [RootCause.WIDEBAND_JAMMER]: "#f87171",
+  [RootCause.SYNC_LOSS]: "#c084fc",
+  [RootCause.CONGESTION]: "#60a5fa",
+  [RootCause.FADING]: "#22d3ee",
+  [RootCause.OSCILLATOR_DRIFT]: "#f472b6",
+  [RootCause.ADJACENT_CHANNEL]: "#fb923c",
+  [RootCause.MONITORING_FAULT]: "#a8a29e",
+  [RootCause.UNKNOWN]: "#94a3b8",
+};
+for (const plugin of FAULT_PLUGINS) {
+  if (plugin.color) CAUSE_COLORS[plugin.id] = plugin.color;
+}
+
+const SCENARIO_COLORS = ["#f87171", "#fbbf24", "#60a5fa", "#34d399", "#c084fc", "#f472b6", "#22d3ee"];
+
+// Planned profile of every field the timeline drives, with a cursor at the current tick.
+function renderScenarioChart() {
+  const canvas = els.scenarioChart;
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const pad = 10;
+  ctx.clearRect(0, 0, w, h);
+  ctx.font = "12px system-ui";
+
+  const fields = [...new Set((scenario ? scenario.segments : []).map((seg) => seg.field))];
+  if (!fields.length) {
+    ctx.fillStyle = "#475569";
+    ctx.fillText("No timeline segments. Load a preset or add a segment.", pad, h / 2);
+    return;
+  }
+
+  const tNow = history.length ? history.at(-1).t : simulator.t;
+  const tMax = Math.max(200, scenario.duration() + 50, tNow + 50);
+  const toX = (t) => pad + (t / tMax) * (w - 2 * pad);
+  const toY = (v) => h - pad - Math.min(1, Math.max(0, v)) * (h - 2 * pad);
+
+  ctx.strokeStyle = "#1f2937";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(pad, pad, w - 2 * pad, h - 2 * pad);
+
+  fields.forEach((field, idx) => {
+    const color = SCENARIO_COLORS[idx % SCENARIO_COLORS.length];
+    ctx.beginPath();
+    for (let px = 0; px <= w - 2 * pad; px++) {
+      const t = Math.round((px / (w - 2 * pad)) * tMax);
+      const y = toY(scenario.valueAt(field, t, sliderConfig[field]));
+      if (px === 0) ctx.moveTo(pad + px, y);
+      else ctx.lineTo(pad + px, y);
+    }
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+    ctx.fillStyle = color;
+    ctx.fillText(field.replace(/_/g, " "), pad + 4 + idx * 130, pad + 12);
+  });
+
+  ctx.strokeStyle = "#e5e7eb";
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(toX(tNow), pad);
+  ctx.lineTo(toX(tNow), h - pad);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillStyle = "#94a3b8";
+  ctx.fillText(`t=${tNow}`, Math.min(toX(tNow) + 4, w - 50), h - pad - 4);
+  ctx.fillText(String(tMax), w - pad - 28, h - 2);
+}
+
+function renderDiagnosis() {
+  if (!diagnoses.length) {
+    els.diagPrimary.textContent = "No diagnosis yet. Press start.";
+    els.confBars.innerHTML = "";
+    els.causeBars.innerHTML = "";
+    els.actionsList.innerHTML = "";
+    els.evidenceList.innerHTML = "";
+    els.changeList.innerHTML = "";
+    els.whyNotList.innerHTML = "";
+    return;
+  }
+  const latest = diagnoses.at(-1);
+  els.diagPrimary.textContent = `${latest.explanation}`;
+
+  els.confBars.innerHTML = "";
+  for (const [rc, conf] of latest.ranked_causes) {
+    const row = document.createElement("div");
+    row.className = "bar-row";
+    const label = document.createElement("div");
+    label.className = "label";
+    label.textContent = rc.replace(/_/g, " ");
+    const bar = document.createElement("div");
+    bar.className = "bar";
     const fill = document.createElement("div");
     fill.className = "fill";
     fill.style.width = `${Math.round(conf * 100)}%`;
@@ -182,6 +1891,30 @@ function renderDiagnosis() {
     els.confBars.appendChild(row);
   }
 
+  els.causeBars.innerHTML = "";
+  for (const c of latest.causes) {
+    const row = document.createElement("div");
+    row.className = "bar-row";
+    const label = document.createElement("div");
+    label.className = "label";
+    label.textContent = c.cause.replace(/_/g, " ");
+    const bar = document.createElement("div");
+    bar.className = c.active ? "bar threshold active" : "bar threshold";
+    const fill = document.createElement("div");
+    fill.className = "fill";
+    fill.style.width = `${Math.round(c.confidence * 100)}%`;
+    const marker = document.createElement("div");
+    marker.className = "marker";
+    marker.style.left = `${Math.round(c.threshold * 100)}%`;
+    bar.append(fill, marker);
+    const status = document.createElement("div");
+    status.className = "label";
+    status.style.textAlign = "right";
+    status.textContent = `${(c.confidence * 100).toFixed(0)}% ${c.active ? "active" : "below"}`;
+    row.append(label, bar, status);
+    els.causeBars.appendChild(row);
+  }
+
   els.actionsList.innerHTML = "";
   latest.suggested_actions.forEach((a) => {
     const li = document.createElement("li");
@@ -192,9 +1925,446 @@ function renderDiagnosis() {
   els.evidenceList.innerHTML = "";
   latest.contributing_rules.forEach((ev) => {
     const li = document.createElement("li");
-    li.textContent = `${ev.root_cause.replace(/_/g, " ")} (score ${ev.score.toFixed(2)}): ${ev.explanation}`;
+    const explained = ev.explained_by ? ` [explained by ${ev.explained_by.replace(/_/g, " ")}]` : "";
+    li.textContent = `${ev.root_cause.replace(/_/g, " ")} (score ${ev.score.toFixed(2)})${explained}: ${ev.explanation}`;
     els.evidenceList.appendChild(li);
   });
+
+  els.changeList.innerHTML = "";
+  const changes = currentChangePoints().filter((ev) => ev.detected_t <= latest.t);
+  if (!changes.length) els.changeList.innerHTML = "<li>No level changes flagged yet.</li>";
+  for (const ev of changes.slice(-6).reverse()) {
+    const li = document.createElement("li");
+    li.textContent = `${ev.description} Flagged at t=${ev.detected_t} (${ev.detected_t - ev.t} ticks later).`;
+    li.style.color = ev.kind === ChangeKind.ONSET ? "#f87171" : "#34d399";
+    els.changeList.appendChild(li);
+  }
+
+  renderWhyNot(latest);
+}
+
+// One collapsible entry per cause that was not reported; entries the user opened stay open.
+function renderWhyNot(latest) {
+  const open = new Set(Array.from(els.whyNotList.querySelectorAll("details[open]"), (d) => d.dataset.cause));
+  els.whyNotList.innerHTML = "";
+  for (const cause of Object.values(RootCause)) {
+    const why = explainRejection(latest, cause);
+    if (!why) continue;
+    const details = document.createElement("details");
+    details.className = "why-not";
+    details.dataset.cause = cause;
+    details.open = open.has(cause);
+    const summary = document.createElement("summary");
+    summary.textContent = `Why not ${cause.replace(/_/g, " ")}? ${why.summary}`;
+    details.appendChild(summary);
+    if (why.reasons.length) {
+      const ul = document.createElement("ul");
+      why.reasons.forEach((reason) => {
+        const li = document.createElement("li");
+        li.textContent = reason;
+        ul.appendChild(li);
+      });
+      details.appendChild(ul);
+    }
+    if (why.would_fire) {
+      const p = document.createElement("p");
+      p.className = "hint";
+      p.textContent = why.would_fire;
+      details.appendChild(p);
+    }
+    els.whyNotList.appendChild(details);
+  }
+}
+
+// Live runs use the streaming detector; a replay runs one over the recording.
+function currentChangePoints() {
+  return replayer ? replayer.changes : changeDetector.events;
+}
+
+// Rebuilt only when the suggestions or the link's mitigations change, so a button is not
+// replaced between mouse down and up.
+function renderMitigations() {
+  const latest = diagnoses.at(-1);
+  const types = latest ? latest.suggested_mitigations : [];
+  const cfg = simulator.mitigation_config;
+  const external = telemetry.kind !== "simulator";
+  const key = JSON.stringify([types, cfg, Boolean(replayer), external]);
+  if (key === mitigationListKey) return;
+  mitigationListKey = key;
+
+  els.mitigationList.innerHTML = "";
+  if (!types.length) {
+    els.mitigationList.innerHTML = `<p class="hint">No executable mitigation for the current diagnosis.</p>`;
+    return;
+  }
+  for (const type of types) {
+    const mitigation = MITIGATIONS[type];
+    const row = document.createElement("div");
+    row.className = "mitigation-row";
+    row.title = mitigation.description;
+    const label = document.createElement("span");
+    label.textContent = mitigation.label;
+    const button = document.createElement("button");
+    const applicable = mitigation.canApply(cfg);
+    button.textContent = applicable ? "Apply" : "Applied";
+    button.disabled = !applicable || Boolean(replayer) || external;
+    button.addEventListener("click", () => applyMitigation(type));
+    row.append(label, button);
+    els.mitigationList.appendChild(row);
+  }
+}
+
+function renderRemediation() {
+  const cfg = simulator.mitigation_config;
+  const active = [];
+  if (cfg.channel_switched) active.push("switched channel");
+  if (cfg.fec_level) active.push(`FEC level ${cfg.fec_level}`);
+  if (cfg.interleaving) active.push("interleaving");
+  if (cfg.long_preamble) active.push("long preamble");
+  if (cfg.rate_limit) active.push("rate limit");
+  if (cfg.diversity) active.push("diversity");
+  els.mitigationState.textContent = active.length ? `Active: ${active.join(", ")}.` : "No mitigations active.";
+
+  els.remediationBody.innerHTML = "";
+  const fmt = (entry, metric, digits) => {
+    if (!entry.after) return "…";
+    const d = Number((entry.after[metric] - entry.before[metric]).toFixed(digits));
+    return `${d > 0 ? "+" : ""}${d.toFixed(digits)}`;
+  };
+  for (const entry of remediation.log.slice(-20).reverse()) {
+    const tr = document.createElement("tr");
+    const cells = [
+      entry.id,
+      entry.t,
+      entry.label,
+      entry.trigger,
+      entry.before.cause.replace(/_/g, " "),
+      entry.verdict || `measuring until t=${entry.t + remediation.settle_ticks}`,
+      fmt(entry, "snr_db", 1),
+      fmt(entry, "ber_decades", 2),
+      fmt(entry, "latency_ms", 0),
+      fmt(entry, "retries", 1),
+    ];
+    tr.innerHTML = cells.map((c) => `<td>${c}</td>`).join("");
+    els.remediationBody.appendChild(tr);
+  }
+}
+
+function renderNetwork() {
+  if (!network) {
+    els.networkSummary.textContent = "Off: only the single link above is simulated.";
+    els.networkMap.getContext("2d").clearRect(0, 0, els.networkMap.width, els.networkMap.height);
+    els.networkCorrelation.innerHTML = "";
+    els.networkBody.innerHTML = "";
+    return;
+  }
+  const states = network.links;
+  const degraded = states.filter((s) => s.diagnosis && s.diagnosis.primary_cause !== RootCause.HEALTHY).length;
+  els.networkSummary.textContent = `${states.length} links, t=${network.t}, ${degraded} not healthy.`;
+  drawNetworkMap(els.networkMap, network);
+
+  els.networkCorrelation.innerHTML = "";
+  const groups = network.correlation;
+  if (!groups.length) {
+    els.networkCorrelation.innerHTML = "<li>None: the links are healthy or degrade independently.</li>";
+  }
+  for (const group of groups) {
+    const li = document.createElement("li");
+    li.textContent = `${group.explanation} Confidence ${Math.round(group.confidence * 100)}%.`;
+    els.networkCorrelation.appendChild(li);
+  }
+
+  // Rows keep their fault controls; only the measured cells are refreshed.
+  if (!networkCells) {
+    networkCells = {};
+    els.networkBody.innerHTML = "";
+    for (const state of states) {
+      const { id, from, to } = state.link;
+      const tr = document.createElement("tr");
+      tr.innerHTML = `<td>${id}</td><td>${from}–${to}</td>`;
+      const cells = [0, 1, 2, 3, 4].map(() => document.createElement("td"));
+      const sel = document.createElement("select");
+      sel.innerHTML = `<option value="">None</option>`;
+      for (const [field, label] of LOCAL_FAULTS) {
+        const opt = document.createElement("option");
+        opt.value = field;
+        opt.textContent = label;
+        sel.appendChild(opt);
+      }
+      const level = document.createElement("input");
+      level.type = "number";
+      level.min = "0";
+      level.max = "1";
+      level.step = "0.1";
+      level.value = "0.8";
+      const update = () => setLocalFault(id, sel.value, parseFloat(level.value));
+      sel.addEventListener("change", update);
+      level.addEventListener("change", update);
+      const selTd = document.createElement("td");
+      selTd.appendChild(sel);
+      const levelTd = document.createElement("td");
+      levelTd.appendChild(level);
+      tr.append(...cells, selTd, levelTd);
+      els.networkBody.appendChild(tr);
+      networkCells[id] = cells;
+    }
+  }
+  for (const state of states) {
+    const [snr, ber, goodput, diag, injected] = networkCells[state.link.id];
+    const latest = state.history[state.history.length - 1];
+    if (!latest) {
+      [snr, ber, goodput, diag, injected].forEach((td) => {
+        td.textContent = "--";
+      });
+      continue;
+    }
+    snr.textContent = latest.snr_db.toFixed(1);
+    ber.textContent = latest.ber.toExponential(2);
+    goodput.textContent = latest.goodput_mbps.toFixed(1);
+    const d = state.diagnosis;
+    diag.textContent = `${d.primary_cause.replace(/_/g, " ")} (${Math.round(d.confidence * 100)}%)`;
+    diag.style.color = CAUSE_COLORS[d.primary_cause] || "";
+    injected.textContent = latest.active_faults.length ? latest.active_faults.join(", ").replace(/_/g, " ") : "none";
+  }
+}
+
+const NETWORK_MAP_PAD = 18;
+
+// Unit-square topology coordinates to canvas pixels and back.
+function unitToMap(canvas, x, y) {
+  const size = Math.min(canvas.width, canvas.height) - 2 * NETWORK_MAP_PAD;
+  return [NETWORK_MAP_PAD + x * size, NETWORK_MAP_PAD + y * size];
+}
+
+function mapToUnit(canvas, px, py) {
+  const size = Math.min(canvas.width, canvas.height) - 2 * NETWORK_MAP_PAD;
+  const clamp = (v) => Math.min(1, Math.max(0, v));
+  return [clamp((px - NETWORK_MAP_PAD) / size), clamp((py - NETWORK_MAP_PAD) / size)];
+}
+
+// Links coloured by their diagnosis, the configured jammer as a red disc, and inferred common
+// causes outlined dashed: an area as a circle, a shared node as a ring.
+function drawNetworkMap(canvas, net) {
+  const ctx = canvas.getContext("2d");
+  const size = Math.min(canvas.width, canvas.height) - 2 * NETWORK_MAP_PAD;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  const { topology } = net;
+  const nodes = {};
+  topology.nodes.forEach((node) => {
+    nodes[node.id] = unitToMap(canvas, node.x, node.y);
+  });
+
+  for (const source of net.sources) {
+    if (source.type !== SharedSourceType.AREA_JAMMER || !source.enabled) continue;
+    const [x, y] = unitToMap(canvas, source.x, source.y);
+    ctx.fillStyle = "rgba(248, 113, 113, 0.15)";
+    ctx.beginPath();
+    ctx.arc(x, y, source.radius * size, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.fillStyle = "#f87171";
+    ctx.fillRect(x - 3, y - 3, 6, 6);
+  }
+
+  ctx.font = "11px system-ui";
+  for (const state of net.links) {
+    const [x0, y0] = nodes[state.link.from];
+    const [x1, y1] = nodes[state.link.to];
+    ctx.strokeStyle = state.diagnosis ? CAUSE_COLORS[state.diagnosis.primary_cause] || "#94a3b8" : "#475569";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(x0, y0);
+    ctx.lineTo(x1, y1);
+    ctx.stroke();
+    ctx.fillStyle = "#e2e8f0";
+    ctx.fillText(state.link.id, (x0 + x1) / 2 + 4, (y0 + y1) / 2 - 4);
+  }
+  for (const [id, [x, y]] of Object.entries(nodes)) {
+    ctx.fillStyle = "#0b1222";
+    ctx.strokeStyle = "#94a3b8";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = "#94a3b8";
+    ctx.fillText(id, x + 7, y + 12);
+  }
+
+  ctx.setLineDash([4, 4]);
+  ctx.lineWidth = 1.5;
+  for (const group of net.correlation) {
+    ctx.strokeStyle = CAUSE_COLORS[group.cause] || "#94a3b8";
+    ctx.beginPath();
+    if (group.scope === "area") {
+      const [x, y] = unitToMap(canvas, group.centre.x, group.centre.y);
+      ctx.arc(x, y, Math.max(10, group.radius * size + 10), 0, 2 * Math.PI);
+    } else if (group.scope === "shared_node") {
+      const [x, y] = nodes[group.node];
+      ctx.arc(x, y, 12, 0, 2 * Math.PI);
+    }
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+}
+
+function renderIncidents() {
+  const incidents = incidentTracker.incidents;
+  const now = diagnoses.length ? diagnoses.at(-1).t : 0;
+  const open = incidentTracker.open;
+  const state = open ? `open: ${open.cause.replace(/_/g, " ")} since t=${open.start}` : "none open";
+  els.incidentSummary.textContent = `${incidents.length} incident${incidents.length === 1 ? "" : "s"}, ${state}.`;
+  drawIncidentTimeline(els.incidentTimeline, incidents, diagnoses.length ? diagnoses.at(0).t : 0, now);
+
+  els.incidentBody.innerHTML = "";
+  for (const inc of incidents.slice(-20).reverse()) {
+    const tr = document.createElement("tr");
+    const end = inc.end === null ? "open" : String(inc.end);
+    const severity = `${(inc.peak_severity * 100).toFixed(0)}% at t=${inc.peak_t}`;
+    const cells = [inc.id, inc.start, end, `${incidentDuration(inc, now)} ticks`, inc.cause.replace(/_/g, " "), severity];
+    tr.innerHTML = cells.map((c) => `<td>${c}</td>`).join("");
+    const td = document.createElement("td");
+    const canvas = document.createElement("canvas");
+    canvas.width = 160;
+    canvas.height = 28;
+    drawConfidenceHistory(canvas, inc.history);
+    td.appendChild(canvas);
+    tr.appendChild(td);
+    els.incidentBody.appendChild(tr);
+  }
+}
+
+// Rebuilt only when an alert appears or changes state, so an Ack button is not replaced mid-click.
+function renderAlerts() {
+  const open = alertManager.open();
+  const bySeverity = Object.values(AlertSeverity)
+    .map((sev) => [sev, open.filter((a) => a.severity === sev).length])
+    .filter(([, n]) => n)
+    .map(([sev, n]) => `${n} ${sev}`);
+  const suppressed = alertManager.suppressed ? `, ${alertManager.suppressed} suppressed` : "";
+  els.alertSummary.textContent =
+    `${alertManager.fired} alert${alertManager.fired === 1 ? "" : "s"}` +
+    `${bySeverity.length ? ` (open: ${bySeverity.join(", ")})` : ", none open"}${suppressed}.`;
+  if (webhookSink) {
+    const error = webhookSink.last_error ? `, last error: ${webhookSink.last_error}` : "";
+    els.alertWebhookStatus.textContent = `${webhookSink.sent} delivered, ${webhookSink.failed} failed${error}.`;
+  }
+
+  const key = JSON.stringify(alertManager.alerts.slice(-20).map((a) => [a.id, a.state]));
+  if (key === alertListKey) return;
+  alertListKey = key;
+  els.alertBody.innerHTML = "";
+  for (const alert of alertManager.alerts.slice(-20).reverse()) {
+    const tr = document.createElement("tr");
+    const state = alert.state === AlertState.RESOLVED ? `resolved at t=${alert.resolved_t}` : alert.state;
+    const cause = alert.cause.replace(/_/g, " ");
+    const cells = [alert.id, alert.severity, alert.policy_id, cause, alert.started_t, alert.fired_t];
+    tr.innerHTML = cells.map((c) => `<td>${c}</td>`).join("") + `<td>${state}</td>`;
+    tr.children[1].className = `severity-${alert.severity}`;
+    const td = document.createElement("td");
+    if (alert.state === AlertState.FIRING) {
+      const button = document.createElement("button");
+      button.textContent = "Ack";
+      button.dataset.ackId = String(alert.id);
+      td.appendChild(button);
+    }
+    tr.appendChild(td);
+    els.alertBody.appendChild(tr);
+  }
+}
+
+// Tray sink: newest notification on top, at most five, each dismissable.
+function showAlertToast(event) {
+  if (!els.alertTrayEnabled.checked) return;
+  const toast = document.createElement("div");
+  toast.className = `alert-toast ${event.type === "resolved" ? "resolved" : event.alert.severity}`;
+  const text = document.createElement("span");
+  const verb = event.type === "resolved" ? "Resolved" : "Acknowledged";
+  const what = event.type === "firing" ? "" : `${verb} at t=${event.t}: `;
+  text.textContent = `#${event.alert.id} ${what}${event.alert.message}`;
+  const close = document.createElement("button");
+  close.textContent = "×";
+  close.title = "Dismiss";
+  close.addEventListener("click", () => toast.remove());
+  toast.append(text, close);
+  els.alertTray.prepend(toast);
+  while (els.alertTray.children.length > 5) els.alertTray.lastChild.remove();
+}
+
+function updateWebhookSink() {
+  if (webhookSink) alertManager.removeSink(webhookSink);
+  webhookSink = null;
+  els.alertWebhookStatus.textContent = "";
+  const url = els.alertWebhookUrl.value.trim();
+  if (!els.alertWebhookEnabled.checked || !url) return;
+  webhookSink = new WebhookSink(url);
+  alertManager.addSink(webhookSink);
+  renderAlerts();
+}
+
+function applyAlertPolicies() {
+  try {
+    alertManager.setPolicies(JSON.parse(els.alertPolicyEditor.value));
+  } catch (err) {
+    els.alertPolicyStatus.textContent = err.message;
+    els.alertPolicyStatus.className = "error";
+    return;
+  }
+  els.alertPolicyStatus.textContent = `Applied ${alertManager.policies.length} policies.`;
+  els.alertPolicyStatus.className = "ok";
+  render();
+}
+
+function drawIncidentTimeline(canvas, incidents, t0, t1) {
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const pad = 10;
+  ctx.clearRect(0, 0, w, h);
+  ctx.strokeStyle = "#1f2937";
+  ctx.beginPath();
+  ctx.moveTo(pad, h / 2);
+  ctx.lineTo(w - pad, h / 2);
+  ctx.stroke();
+
+  const span = Math.max(1, t1 - t0);
+  const px = (t) => pad + ((t - t0) / span) * (w - 2 * pad);
+  ctx.font = "11px system-ui";
+  for (const inc of incidents) {
+    const x0 = px(inc.start);
+    const x1 = Math.max(x0 + 2, px(inc.end === null ? t1 : inc.end));
+    ctx.fillStyle = CAUSE_COLORS[inc.cause] || "#94a3b8";
+    ctx.globalAlpha = inc.end === null ? 0.6 : 1;
+    ctx.fillRect(x0, h / 2 - 10, x1 - x0, 20);
+    ctx.globalAlpha = 1;
+    if (x1 - x0 > 24) {
+      ctx.fillStyle = "#0b1222";
+      ctx.fillText(`#${inc.id}`, x0 + 3, h / 2 + 4);
+    }
+  }
+  ctx.fillStyle = "#94a3b8";
+  ctx.fillText(`t=${t0}`, pad, h - 2);
+  ctx.fillText(`t=${t1}`, w - pad - 40, h - 2);
+}
+
+// One bar per tick: height is the confidence, colour the diagnosed cause.
+function drawConfidenceHistory(canvas, points) {
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const step = w / Math.max(points.length, 1);
+  points.forEach((p, i) => {
+    ctx.fillStyle = CAUSE_COLORS[p.cause] || "#94a3b8";
+    ctx.fillRect(i * step, h - p.confidence * h, Math.max(1, step - 0.5), p.confidence * h);
+  });
+}
+
+// Fault labels come from log files and live feeds too, so cells take them as text.
+function appendTextCells(tr, values) {
+  for (const value of values) {
+    const td = document.createElement("td");
+    td.textContent = String(value);
+    tr.appendChild(td);
+  }
 }
 
 function renderTruth() {
@@ -202,15 +2372,25 @@ function renderTruth() {
   const recent = diagnoses.slice(-lastN).reverse();
   els.truthBody.innerHTML = "";
   let matches = 0;
+  const tally = new MultiLabelTally();
+
+  let labelled = 0;
 
   recent.forEach((d) => {
     const tr = document.createElement("tr");
+    const active = d.active_causes.map((c) => c.replace(/_/g, " ")).join(", ");
+    const predicted = [d.t, d.primary_cause.replace(/_/g, " "), `${(d.confidence * 100).toFixed(1)}%`, active];
+    // External telemetry without a fault column has no ground truth to score against.
+    if (!d.active_faults) {
+      appendTextCells(tr, predicted.concat(["not labelled", "--"]));
+      els.truthBody.appendChild(tr);
+      return;
+    }
+    labelled += 1;
     const trueFaults = d.active_faults.length ? d.active_faults.join(", ") : "none";
-    const tdT = `<td>${d.t}</td>`;
-    const tdP = `<td>${d.primary_cause.replace(/_/g, " ")}</td>`;
-    const tdC = `<td>${(d.confidence * 100).toFixed(1)}%</td>`;
-    const tdF = `<td>${trueFaults}</td>`;
-    tr.innerHTML = tdT + tdP + tdC + tdF;
+    const score = labelSetScore(d.active_causes, d.active_faults);
+    tally.add(score);
+    appendTextCells(tr, predicted.concat([trueFaults, score.jaccard.toFixed(2)]));
     els.truthBody.appendChild(tr);
 
     const faultSet = new Set(d.active_faults);
@@ -220,65 +2400,319 @@ function renderTruth() {
     }
   });
 
-  const accuracy = lastN ? (matches / lastN) * 100 : 0;
-  els.accuracy.textContent = `Agreement (last ${lastN} samples): ${accuracy.toFixed(1)}%`;
+  const accuracy = labelled ? (matches / labelled) * 100 : 0;
+  const { mean_jaccard, per_label } = tally.summary();
+  const jaccard = mean_jaccard === null ? "--" : (mean_jaccard * 100).toFixed(1);
+  els.accuracy.textContent =
+    lastN && !labelled
+      ? "No ground truth: this source's samples carry no fault labels."
+      : `Agreement (last ${labelled} samples): ${accuracy.toFixed(1)}% primary cause, mean Jaccard ${jaccard}%`;
+
+  els.labelBody.innerHTML = "";
+  for (const [label, c] of Object.entries(per_label)) {
+    const tr = document.createElement("tr");
+    appendTextCells(tr, [label.replace(/_/g, " "), c.hits, c.misses, c.false_alarms]);
+    els.labelBody.appendChild(tr);
+  }
+}
+
+function renderBaselineStatus() {
+  const baseline = diagEngine.baseline;
+  let text = "Using the rule base's thresholds.";
+  let kind = "muted";
+  if (baselineLearning) {
+    text = `Learning baseline: ${baselineLearning.samples.length}/${baselineLearning.ticks} ticks. Keep the link healthy.`;
+  } else if (baselineError) {
+    text = baselineError;
+    kind = "error";
+  } else if (baseline && baseline.method === "manual") {
+    text = "Thresholds edited by hand.";
+  } else if (baseline) {
+    const band = baseline.method === "sigma" ? `mean ± ${baseline.k}σ` : `median to p${baseline.percentile}`;
+    text = `Learned from ${baseline.samples} ticks (${band}).`;
+    if (baseline.faulted_ticks) {
+      text += ` Faults were injected during ${baseline.faulted_ticks} of them; re-baseline on a healthy link.`;
+      kind = "error";
+    }
+  }
+  els.baselineStatus.textContent = text;
+  els.baselineStatus.className = kind;
 }
 
-function drawChart(canvas, xs, ys, { color, label, log = false, min = null }) {
+// Rebuilt only when thresholds change so an input being edited keeps its focus.
+function renderBaselineTable() {
+  const baseline = diagEngine.baseline;
+  els.baselineBody.innerHTML = "";
+  for (const [name, band] of Object.entries(BASELINE_BANDS)) {
+    const stats = baseline && baseline.stats ? baseline.stats[band.metric] : null;
+    const metric = band.log ? `log10(${band.metric})` : band.metric;
+    const healthy = stats ? `${metric} ${stats.mean.toFixed(2)} ± ${stats.std.toFixed(2)}` : metric;
+    let source = "rule base";
+    if (baseline) source = baseline.edited.includes(name) ? "edited" : "learned";
+
+    const tr = document.createElement("tr");
+    tr.innerHTML = `<td>${name}</td><td>${healthy}</td><td>${source}</td>`;
+    const td = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = "number";
+    input.step = "any";
+    const value = diagEngine.thresholds[name];
+    input.value = band.log ? value.toExponential(2) : value.toFixed(2);
+    input.addEventListener("change", () => editBaselineThreshold(name, parseFloat(input.value)));
+    td.appendChild(input);
+    tr.appendChild(td);
+    els.baselineBody.appendChild(tr);
+  }
+}
+
+// Reliability over the diagnoses made with the current confidence model (last 2000 ticks).
+function renderCalibration() {
+  const mode = diagEngine.bayes_model ? "naive_bayes" : "rules";
+  const pairs = [];
+  for (let i = Math.max(19, diagnoses.length - 2000); i < diagnoses.length; i++) {
+    const samples = history.slice(i - 19, i + 1);
+    const diag = diagnoses.at(i);
+    if (diag.confidence_model !== mode || samples.some((s) => !s.active_faults)) continue;
+    pairs.push({ ranked: diag.ranked_causes, truth: windowFaults(samples) });
+  }
+  const stats = calibrationStats(pairs);
+  const name = mode === "rules" ? "rule scores" : "naive Bayes";
+  els.calibrationSummary.textContent = pairs.length
+    ? `Brier score ${stats.brier.toFixed(3)} over ${pairs.length} windows (${name}; 0 is perfect).`
+    : `No full windows diagnosed with ${name} yet.`;
+  drawReliability(els.calibrationChart, stats);
+}
+
+function drawReliability(canvas, stats) {
+  const ctx = canvas.getContext("2d");
+  const w = canvas.width;
+  const h = canvas.height;
+  const pad = 28;
+  const size = Math.min(w, h) - 2 * pad;
+  const px = (v) => pad + v * size;
+  const py = (v) => h - pad - v * size;
+  ctx.clearRect(0, 0, w, h);
+
+  ctx.strokeStyle = "#1f2937";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(pad, h - pad - size, size, size);
+  ctx.setLineDash([4, 4]);
+  ctx.strokeStyle = "#475569";
+  ctx.beginPath();
+  ctx.moveTo(px(0), py(0));
+  ctx.lineTo(px(1), py(1));
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = "#94a3b8";
+  ctx.font = "11px system-ui";
+  ctx.fillText("confidence →", px(0.55), h - 8);
+  ctx.fillText("0", px(0) - 3, h - 14);
+  ctx.fillText("1", px(1) - 3, h - 14);
+  ctx.save();
+  ctx.translate(12, py(0.45));
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText("observed →", 0, 0);
+  ctx.restore();
+
+  // Marker area grows with the number of (window, cause) pairs in the bin.
+  const maxCount = Math.max(1, ...stats.bins.map((b) => b.count));
+  ctx.fillStyle = "#60a5fa";
+  for (const b of stats.bins) {
+    if (!b.count) continue;
+    const r = 2 + 6 * Math.sqrt(b.count / maxCount);
+    ctx.beginPath();
+    ctx.arc(px(b.mean_confidence), py(b.observed), r, 0, 2 * Math.PI);
+    ctx.fill();
+  }
+}
+
+// About `count` round values covering [lo, hi].
+function niceTicks(lo, hi, count) {
+  const raw = (hi - lo) / count || 1;
+  const mag = 10 ** Math.floor(Math.log10(raw));
+  const steps = [1, 2, 5, 10].map((m) => m * mag);
+  const step = steps.reduce((a, b) => (Math.abs(Math.log(b / raw)) < Math.abs(Math.log(a / raw)) ? b : a));
+  const ticks = [];
+  // `+ 0` turns -0 into 0.
+  for (let k = Math.ceil(lo / step); k * step <= hi; k++) ticks.push(k * step + 0);
+  return ticks;
+}
+
+function formatTick(v) {
+  return String(Number(v.toPrecision(6)));
+}
+
+// A time-series chart over the ticks in `range` ([t0, t1]). `xs` are ticks and `ys` readings;
+// missing and NaN readings (monitoring faults) leave a gap in the line. Options besides the
+// line's colour, label and log scale:
+//   markers     [{ x, color }] dashed vertical lines (change points)
+//   thresholds  [{ value, label, color }] horizontal reference lines, drawn when in view
+//   bands       [{ from, to, color }] shaded tick ranges (injected faults)
+//   strip       [{ from, to, color }] coloured runs along the time axis (diagnosed cause)
+//   hover       tick to mark with a crosshair
+function drawChart(canvas, xs, ys, opts) {
+  const { color, label, log = false, min = null, range = [0, 1], markers = [], thresholds = [] } = opts;
+  const { bands = [], strip = [], hover = null } = opts;
   const ctx = canvas.getContext("2d");
   const w = canvas.width;
   const h = canvas.height;
   ctx.clearRect(0, 0, w, h);
+  ctx.font = "10px system-ui";
+  chartLayouts.delete(canvas);
 
-  if (!ys.length) {
+  const toY = (v) => (log ? Math.log10(Math.max(v, min || 1e-9)) : v);
+  const yVals = ys.map(toY).filter(Number.isFinite);
+  if (!yVals.length) {
     ctx.fillStyle = "#475569";
+    ctx.font = "12px system-ui";
     ctx.fillText("No data", 10, h / 2);
     return;
   }
 
-  let yVals = [...ys];
-  if (log) {
-    const epsilon = min || 1e-9;
-    yVals = yVals.map((v) => Math.log10(Math.max(v, epsilon)));
-  }
+  let yMin = yVals.reduce((a, b) => Math.min(a, b));
+  let yMax = yVals.reduce((a, b) => Math.max(a, b));
+  const margin = Math.max((yMax - yMin) * 0.08, log ? 0.25 : Math.abs(yMax) * 0.05 || 0.5);
+  yMin -= margin;
+  yMax += margin;
+  const [t0, t1] = range;
 
-  const yMin = Math.min(...yVals);
-  const yMax = Math.max(...yVals);
-  const xMin = 0;
-  const xMax = xs.length ? xs[xs.length - 1] : 1;
+  const stripH = 5;
+  const left = 40;
+  const right = w - 8;
+  const top = 8;
+  const bottom = h - 18 - stripH - 2;
+  const px = (t) => left + ((t - t0) / Math.max(1, t1 - t0)) * (right - left);
+  const py = (v) => bottom - ((v - yMin) / (yMax - yMin)) * (bottom - top);
+  chartLayouts.set(canvas, { t0, t1, left, right });
 
-  const pad = 10;
+  ctx.fillStyle = "#64748b";
   ctx.strokeStyle = "#1f2937";
   ctx.lineWidth = 1;
+  ctx.textAlign = "right";
+  const yTicks = niceTicks(yMin, yMax, 4).filter((v) => !log || Number.isInteger(v));
+  for (const v of yTicks) {
+    ctx.beginPath();
+    ctx.moveTo(left, py(v));
+    ctx.lineTo(right, py(v));
+    ctx.stroke();
+    ctx.fillText(log ? `1e${v}` : formatTick(v), left - 4, py(v) + 3);
+  }
+  ctx.textAlign = "center";
+  for (const t of niceTicks(t0, t1, 4)) ctx.fillText(String(t), px(t), h - 4);
+  ctx.textAlign = "left";
+  ctx.strokeRect(left, top, right - left, bottom - top);
+
+  ctx.save();
   ctx.beginPath();
-  ctx.rect(pad, pad, w - 2 * pad, h - 2 * pad);
-  ctx.stroke();
+  ctx.rect(left, top, right - left, bottom - top);
+  ctx.clip();
+  ctx.globalAlpha = 0.14;
+  for (const band of bands) {
+    ctx.fillStyle = band.color;
+    ctx.fillRect(px(band.from - 0.5), top, Math.max(1, px(band.to + 0.5) - px(band.from - 0.5)), bottom - top);
+  }
+  ctx.globalAlpha = 1;
+
+  ctx.setLineDash([2, 3]);
+  for (const th of thresholds) {
+    const v = toY(th.value);
+    if (!(v > yMin && v < yMax)) continue;
+    ctx.strokeStyle = th.color;
+    ctx.beginPath();
+    ctx.moveTo(left, py(v));
+    ctx.lineTo(right, py(v));
+    ctx.stroke();
+    ctx.fillStyle = th.color;
+    ctx.textAlign = "right";
+    ctx.fillText(th.label, right - 3, py(v) - 2);
+    ctx.textAlign = "left";
+  }
 
   ctx.beginPath();
+  let penDown = false;
   ys.forEach((y, idx) => {
-    const xv = xs[idx];
-    const xNorm = (xv - xMin) / Math.max(1, xMax - xMin);
-    const yv = log ? Math.log10(Math.max(y, min || 1e-9)) : y;
-    const yNorm = (yv - yMin) / Math.max(1e-6, yMax - yMin);
-    const px = pad + xNorm * (w - 2 * pad);
-    const py = h - pad - yNorm * (h - 2 * pad);
-    if (idx === 0) ctx.moveTo(px, py);
-    else ctx.lineTo(px, py);
+    const yv = toY(y);
+    if (!Number.isFinite(yv)) {
+      penDown = false;
+      return;
+    }
+    if (penDown) ctx.lineTo(px(xs[idx]), py(yv));
+    else ctx.moveTo(px(xs[idx]), py(yv));
+    penDown = true;
   });
+  ctx.setLineDash([]);
   ctx.strokeStyle = color;
   ctx.lineWidth = 2;
   ctx.stroke();
 
+  ctx.setLineDash([4, 3]);
+  ctx.lineWidth = 1.5;
+  for (const marker of markers) {
+    ctx.strokeStyle = marker.color;
+    ctx.beginPath();
+    ctx.moveTo(px(marker.x), top);
+    ctx.lineTo(px(marker.x), bottom);
+    ctx.stroke();
+  }
+  ctx.setLineDash([]);
+
+  if (hover !== null && hover >= t0 && hover <= t1) {
+    ctx.strokeStyle = "#e5e7eb";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(px(hover), top);
+    ctx.lineTo(px(hover), bottom);
+    ctx.stroke();
+    const idx = xs.indexOf(hover);
+    const yv = idx >= 0 ? toY(ys[idx]) : NaN;
+    if (Number.isFinite(yv)) {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(px(hover), py(yv), 3, 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  }
+  ctx.restore();
+
+  for (const run of strip) {
+    ctx.fillStyle = run.color;
+    const x0 = Math.max(left, px(run.from - 0.5));
+    const x1 = Math.min(right, px(run.to + 0.5));
+    ctx.fillRect(x0, bottom + 2, Math.max(1, x1 - x0), stripH);
+  }
+
   ctx.fillStyle = "#94a3b8";
   ctx.font = "12px system-ui";
-  ctx.fillText(label, pad + 4, pad + 12);
+  ctx.fillText(label, left + 4, top + 12);
 }
 
 function main() {
   simulator = new CommLinkSimulator();
   diagEngine = new DiagnosticEngine();
+  recorder = new SessionRecorder();
+  remediation = new RemediationController(simulator);
+  changeDetector = new ChangePointDetector();
+  stream = new DiagnosisStream(diagEngine, changeDetector);
+  history = new RingBuffer(HISTORY_TICKS);
+  diagnoses = new RingBuffer(HISTORY_TICKS);
+  overview = new RunOverview();
+  alertManager = new AlertManager();
+  alertLog = new AlertLog();
   initElements();
+  telemetry = simulatorSource();
+  alertManager.addSink(alertLog);
+  alertManager.addSink({ name: "tray", notify: (event) => showAlertToast(event) });
+  els.alertPolicyEditor.value = JSON.stringify(alertManager.policies, null, 2);
+  rebuildIncidents();
   updateFaultConfig();
+  updateChannelConfig();
+  updatePacketConfig();
+  updateSymbolConfig();
+  applyScenario();
+  els.rulesEditor.value = JSON.stringify(diagEngine.ruleBase, null, 2);
+  renderFeatureConfig();
+  renderBaselineTable();
   render();
 }
 
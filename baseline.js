@@ -0,0 +1,106 @@
+// Auto-baselining: derive the engine's thresholds from samples of a healthy reference period.
+//
+// Each threshold sits on one side of its metric's healthy centre, at the learned spread or its
+// band's margin, whichever is wider. The spread is k standard deviations (method "sigma") or the
+// distance from the median to a percentile (method "percentile"). A healthy link varies far less
+// than the gaps between the good, moderate and bad thresholds, so the margins usually decide;
+// they scale with the same setting: by k / 3, or by log(1 - p) / log(0.01) for percentile p.
+// At the defaults (k = 3, p = 99%) the margins reproduce the built-in constants on the
+// simulator's default link; a larger k or percentile moves every threshold further out.
+
+const BaselineMethod = {
+  SIGMA: "sigma",
+  PERCENTILE: "percentile",
+};
+
+// side -1: the threshold lies below the healthy centre; +1: above it. BER works in decades.
+// `margin` is the distance at the default k or percentile.
+const BASELINE_BANDS = {
+  good_snr_db: { metric: "snr_db", side: -1, margin: 5 },
+  moderate_snr_db: { metric: "snr_db", side: -1, margin: 13 },
+  bad_snr_db: { metric: "snr_db", side: -1, margin: 17 },
+  good_ber: { metric: "ber", log: true, side: 1, margin: 1 },
+  moderate_ber: { metric: "ber", log: true, side: 1, margin: 3 },
+  bad_ber: { metric: "ber", log: true, side: 1, margin: 4 },
+  latency_warn_ms: { metric: "latency_ms", side: 1, margin: 60 },
+  latency_bad_ms: { metric: "latency_ms", side: 1, margin: 140 },
+  retries_warn: { metric: "retries", side: 1, margin: 1 },
+  retries_bad: { metric: "retries", side: 1, margin: 3 },
+};
+
+const MIN_BASELINE_SAMPLES = 10;
+// The k and percentile at which the margins apply as listed.
+const BASELINE_DEFAULT_K = 3;
+const BASELINE_DEFAULT_PERCENTILE = 99;
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function metricStats(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const m = values.reduce((a, b) => a + b, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((s, x) => s + (x - m) ** 2, 0) / values.length);
+  return { mean: m, std: sd, sorted, median: quantile(sorted, 0.5) };
+}
+
+// Returns { method, k, percentile, samples, stats, thresholds }. `stats` summarises each metric
+// (BER as log10) and `thresholds` maps every BASELINE_BANDS name to its learned value.
+function learnBaseline(samples, { method = BaselineMethod.SIGMA, k = 3, percentile = 99 } = {}) {
+  if (samples.length < MIN_BASELINE_SAMPLES) {
+    throw new Error(`Need at least ${MIN_BASELINE_SAMPLES} samples to learn a baseline, got ${samples.length}.`);
+  }
+  if (!Object.values(BaselineMethod).includes(method)) throw new Error(`Unknown baseline method "${method}".`);
+  if (method === BaselineMethod.SIGMA && !(k >= 0)) throw new Error("k must be a non-negative number.");
+  if (method === BaselineMethod.PERCENTILE && !(percentile > 50 && percentile < 100)) {
+    throw new Error("Percentile must be between 50 and 100.");
+  }
+
+  const metrics = {};
+  for (const band of Object.values(BASELINE_BANDS)) {
+    if (metrics[band.metric]) continue;
+    // Corrupt readings would skew the healthy band; drop them (see validReading).
+    const readings = samples.map((s) => s[band.metric]).filter((v) => validReading(band.metric, v));
+    if (readings.length < MIN_BASELINE_SAMPLES) {
+      throw new Error(`Only ${readings.length} valid ${band.metric} readings; need ${MIN_BASELINE_SAMPLES}.`);
+    }
+    const values = readings.map((v) => (band.log ? Math.log10(Math.max(v, 1e-12)) : v));
+    metrics[band.metric] = metricStats(values);
+  }
+
+  const scale =
+    method === BaselineMethod.SIGMA
+      ? k / BASELINE_DEFAULT_K
+      : Math.log(1 - percentile / 100) / Math.log(1 - BASELINE_DEFAULT_PERCENTILE / 100);
+  const thresholds = {};
+  for (const [name, band] of Object.entries(BASELINE_BANDS)) {
+    const st = metrics[band.metric];
+    let centre;
+    let spread;
+    if (method === BaselineMethod.SIGMA) {
+      centre = st.mean;
+      spread = k * st.std;
+    } else {
+      centre = st.median;
+      const q = band.side > 0 ? percentile / 100 : 1 - percentile / 100;
+      spread = Math.abs(quantile(st.sorted, q) - st.median);
+    }
+    const value = centre + band.side * Math.max(spread, band.margin * scale);
+    thresholds[name] = band.log ? 10 ** value : value;
+  }
+
+  const stats = {};
+  for (const [metric, st] of Object.entries(metrics)) {
+    const max = st.sorted[st.sorted.length - 1];
+    stats[metric] = { mean: st.mean, std: st.std, median: st.median, min: st.sorted[0], max };
+  }
+  return { method, k, percentile, samples: samples.length, stats, thresholds };
+}
+
+// expose to global scope for non-module usage
+window.BaselineMethod = BaselineMethod;
+window.BASELINE_BANDS = BASELINE_BANDS;
+window.learnBaseline = learnBaseline;
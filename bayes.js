@@ -0,0 +1,146 @@
+// Naive-Bayes confidence model over discretised window features.
+//
+// Each feature is cut into bins; the model stores P(bin | cause) with Laplace smoothing and a
+// prior per cause. The posterior is explainable term by term: every feature contributes one
+// likelihood factor. A temperature fitted on held-out windows tempers the product of those
+// factors, which would otherwise be overconfident because the features are correlated.
+
+const NB_FEATURES = [
+  { name: "snr_mean", edges: [8, 12, 16, 20, 23] },
+  { name: "snr_std", edges: [0.5, 1, 1.5, 2, 3, 5] },
+  { name: "ber_max", log: true, edges: [-6, -5, -4, -3, -2, -1.3] },
+  { name: "ber_log_std", edges: [0.2, 0.32, 0.5, 0.8] },
+  { name: "latency_mean", edges: [30, 50, 80, 160] },
+  { name: "latency_max", edges: [30, 80, 160] },
+  { name: "retries_mean", edges: [0.1, 0.5, 1, 2, 3, 5] },
+  // Data quality, so monitoring faults are told apart by what they do to the telemetry.
+  { name: "invalid_frac", edges: [0.01, 0.1, 0.3] },
+  { name: "stuck_frac", edges: [0.01, 0.25, 0.5] },
+  { name: "missing_frac", edges: [0.01, 0.2, 0.5] },
+];
+
+function featureBin(spec, value) {
+  if (!Number.isFinite(value)) return spec.edges.length + 1;
+  const v = spec.log ? Math.log10(Math.max(value, 1e-12)) : value;
+  let idx = 0;
+  while (idx < spec.edges.length && v >= spec.edges[idx]) idx++;
+  return idx;
+}
+
+function binLabel(spec, idx) {
+  const name = spec.log ? `log10(${spec.name})` : spec.name;
+  const edges = spec.edges;
+  if (idx > edges.length) return `${name} missing`;
+  if (idx === 0) return `${name} < ${edges[0]}`;
+  if (idx === edges.length) return `${name} ≥ ${edges[edges.length - 1]}`;
+  return `${edges[idx - 1]} ≤ ${name} < ${edges[idx]}`;
+}
+
+class NaiveBayesModel {
+  // `logLik[cause][f][bin]` holds log P(bin | cause) for feature f.
+  constructor({ features, causes, priors, logLik, temperature = 1 }) {
+    this.features = features;
+    this.causes = causes;
+    this.priors = priors;
+    this.logLik = logLik;
+    this.temperature = temperature;
+  }
+
+  // `examples` are { window, label } pairs. `priors` maps causes to prior probabilities;
+  // causes it leaves out share the remaining mass equally (all equal by default), since label
+  // frequencies in simulated training data say nothing about how often faults happen.
+  static fit(examples, { features = NB_FEATURES, priors = {}, alpha = 1 } = {}) {
+    const causes = [...new Set(examples.map((ex) => ex.label))];
+    const logLik = {};
+    for (const cause of causes) {
+      const rows = examples.filter((ex) => ex.label === cause);
+      logLik[cause] = features.map((spec) => {
+        const nBins = spec.edges.length + 2;
+        const hist = new Array(nBins).fill(alpha);
+        for (const ex of rows) hist[featureBin(spec, ex.window[spec.name])] += 1;
+        const total = rows.length + alpha * nBins;
+        return hist.map((c) => Math.log(c / total));
+      });
+    }
+    const given = causes.filter((cause) => cause in priors);
+    const rest = (1 - given.reduce((sum, cause) => sum + priors[cause], 0)) / (causes.length - given.length);
+    const usedPriors = {};
+    for (const cause of causes) usedPriors[cause] = cause in priors ? priors[cause] : rest;
+    return new NaiveBayesModel({ features, causes, priors: usedPriors, logLik });
+  }
+
+  // Per-cause log prior plus one log-likelihood term per feature.
+  terms(window) {
+    const out = {};
+    for (const cause of this.causes) {
+      out[cause] = this.features.map((spec, f) => {
+        const bin = featureBin(spec, window[spec.name]);
+        return { feature: spec.name, bin, label: binLabel(spec, bin), logp: this.logLik[cause][f][bin] };
+      });
+    }
+    return out;
+  }
+
+  // Ranked [cause, probability] pairs, like DiagnosticEngine's ranked_causes.
+  posterior(window, temperature = this.temperature) {
+    const terms = this.terms(window);
+    const logPost = this.causes.map((cause) => {
+      const ll = terms[cause].reduce((s, term) => s + term.logp, 0);
+      return Math.log(this.priors[cause]) + ll / temperature;
+    });
+    const maxLog = Math.max(...logPost);
+    const weights = logPost.map((lp) => Math.exp(lp - maxLog));
+    const total = weights.reduce((a, b) => a + b, 0);
+    return this.causes.map((cause, i) => [cause, weights[i] / total]).sort((a, b) => b[1] - a[1]);
+  }
+
+  // Picks the temperature that minimises the Brier score on held-out examples.
+  fitTemperature(examples) {
+    let best = { temperature: 1, brier: Infinity };
+    for (let temperature = 0.5; temperature <= 12; temperature *= 1.25) {
+      let brier = 0;
+      for (const ex of examples) {
+        for (const [cause, p] of this.posterior(ex.window, temperature)) brier += (p - (cause === ex.label ? 1 : 0)) ** 2;
+      }
+      brier /= examples.length;
+      if (brier < best.brier) best = { temperature, brier };
+    }
+    this.temperature = best.temperature;
+    return best;
+  }
+
+  // The features that most favour `cause` over `rival`, as likelihood ratios.
+  explain(window, cause, rival, topN = 3) {
+    const terms = this.terms(window);
+    return terms[cause]
+      .map((term, f) => ({ label: term.label, ratio: Math.exp(term.logp - terms[rival][f].logp) }))
+      .filter((c) => c.ratio > 1)
+      .sort((a, b) => b.ratio - a.ratio)
+      .slice(0, topN);
+  }
+}
+
+// Labelled windows from single-fault simulator runs (plus healthy runs). Windows are labelled
+// with the scenario's fault once it has filled the whole window.
+function simulatedTrainingSet({ ticks = 300, seed = 1000, windowSize = 20 } = {}) {
+  const examples = [];
+  const scenarios = DEFAULT_SCENARIOS.filter((sc) => sc.expected.length <= 1);
+  scenarios.forEach((sc, i) => {
+    const run = runScenario(sc, { ticks, warmup: windowSize, seed: seed + i, windowSize, keepWindows: true });
+    const label = sc.expected[0] || RootCause.HEALTHY;
+    run.records.slice(2 * windowSize).forEach((rec) => examples.push({ window: rec.window, label }));
+  });
+  return examples;
+}
+
+// Trains on one simulated set and fits the temperature on a second, independently seeded one.
+function trainNaiveBayes({ ticks = 300, seed = 1000, windowSize = 20, priors = {} } = {}) {
+  const model = NaiveBayesModel.fit(simulatedTrainingSet({ ticks, seed, windowSize }), { priors });
+  model.fitTemperature(simulatedTrainingSet({ ticks, seed: seed + 500, windowSize }));
+  return model;
+}
+
+// expose to global scope for non-module usage
+window.NB_FEATURES = NB_FEATURES;
+window.NaiveBayesModel = NaiveBayesModel;
+window.trainNaiveBayes = trainNaiveBayes;
@@ -0,0 +1,163 @@
+// Streaming change-point detection. Windowed classification says what is wrong, not when it
+// started; a CUSUM per metric flags the tick a metric's level moved away from its reference
+// (onset) and the tick it came back (recovery).
+//
+// Each metric has a minimum shift of interest `delta` and is tracked in units of it. Normally a
+// two-sided CUSUM tests the reference level against reference ± delta; once a side exceeds `h` an
+// onset is flagged, dated to the tick after that side was last zero. While shifted, a CUSUM tests
+// the reference against the shifted level (the mean since onset) and flags the recovery the
+// same way. Each tick's deviation is clipped to ±`clip` so one outage sample cannot cause a change.
+
+const CHANGE_METRICS = {
+  snr_db: { label: "SNR", unit: "dB", digits: 1, delta: 3, value: (s) => s.snr_db },
+  ber: { label: "BER", unit: "decades", digits: 1, delta: 1, value: (s) => Math.log10(s.ber) },
+  latency_ms: { label: "Latency", unit: "ms", digits: 0, delta: 20, value: (s) => s.latency_ms },
+  retries: { label: "Retries", unit: "per tick", digits: 1, delta: 1, value: (s) => s.retries },
+};
+
+const ChangeKind = {
+  ONSET: "onset",
+  RECOVERY: "recovery",
+};
+
+// Samples kept per metric to estimate the level since an onset.
+const CHANGE_BUFFER = 200;
+// Events kept on long runs, besides each metric's latest (see _pruneEvents).
+const CHANGE_EVENTS_KEPT = 100;
+
+function averageOf(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// "SNR dropped 9.1 dB at t=318." / "SNR recovered at t=410."
+function describeChangePoint(ev) {
+  const m = CHANGE_METRICS[ev.metric];
+  if (ev.kind === ChangeKind.RECOVERY) return `${m.label} recovered at t=${ev.t}.`;
+  const verb = ev.direction > 0 ? "rose" : "dropped";
+  return `${m.label} ${verb} ${Math.abs(ev.shift).toFixed(m.digits)} ${m.unit} at t=${ev.t}.`;
+}
+
+class ChangePointDetector {
+  // The first `reference_ticks` samples set each metric's reference level. `h` and `clip` are in
+  // units of the metric's delta.
+  constructor({ reference_ticks = 20, h = 4, clip = 2, metrics = Object.keys(CHANGE_METRICS) } = {}) {
+    if (!(reference_ticks >= 2)) throw new Error("The reference period must be at least two ticks.");
+    if (!(h > 0 && clip > 0.5)) throw new Error("The CUSUM threshold must be positive and the clip above 0.5.");
+    this.reference_ticks = reference_ticks;
+    this.h = h;
+    this.clip = clip;
+    this.metrics = metrics;
+    this.reset();
+  }
+
+  reset() {
+    this.events = [];
+    this.state = {};
+    for (const metric of this.metrics) {
+      this.state[metric] = { reference: null, values: [], up: 0, down: 0, back: 0, shifted: null };
+    }
+  }
+
+  // Feeds one sample in tick order; returns the change points detected on this tick. Each is
+  // { metric, kind, t, detected_t, direction, shift } with the shift in the metric's units.
+  observe(sample) {
+    const found = [];
+    for (const metric of this.metrics) {
+      const ev = this._observeMetric(metric, sample);
+      if (ev) found.push(ev);
+    }
+    this.events.push(...found);
+    if (this.events.length > 2 * CHANGE_EVENTS_KEPT) this._pruneEvents();
+    return found;
+  }
+
+  // Keeps the latest CHANGE_EVENTS_KEPT events and, for metrics without one among them, the
+  // metric's last event, so an onset that has not recovered stays in effect.
+  _pruneEvents() {
+    const cut = this.events.length - CHANGE_EVENTS_KEPT;
+    const recent = this.events.slice(cut);
+    const covered = new Set(recent.map((ev) => ev.metric));
+    const last = {};
+    for (const ev of this.events.slice(0, cut)) if (!covered.has(ev.metric)) last[ev.metric] = ev;
+    this.events = Object.values(last)
+      .sort((a, b) => a.detected_t - b.detected_t)
+      .concat(recent);
+  }
+
+  // A detector continuing from `state`, a structured-clone copy of one (e.g. from a worker).
+  static restore(state) {
+    return Object.assign(new ChangePointDetector(state), state);
+  }
+
+  _observeMetric(metric, sample) {
+    const m = CHANGE_METRICS[metric];
+    const st = this.state[metric];
+    // A corrupt reading is no evidence either way; the monitoring-fault rule reports it.
+    if (!validReading(metric, sample[metric])) return null;
+    const x = m.value(sample);
+    st.values.push({ t: sample.t, x });
+    if (st.values.length > CHANGE_BUFFER) st.values.shift();
+    if (st.reference === null) {
+      if (st.values.length >= this.reference_ticks) st.reference = averageOf(st.values.map((v) => v.x));
+      return null;
+    }
+    const clip = (v) => Math.max(-this.clip, Math.min(this.clip, v));
+    const z = clip((x - st.reference) / m.delta);
+
+    if (!st.shifted) {
+      if (st.up === 0) st.upStart = sample.t;
+      if (st.down === 0) st.downStart = sample.t;
+      st.up = Math.max(0, st.up + z - 0.5);
+      st.down = Math.max(0, st.down - z - 0.5);
+      const direction = st.up > this.h ? 1 : st.down > this.h ? -1 : 0;
+      if (!direction) return null;
+      const t = direction > 0 ? st.upStart : st.downStart;
+      st.shifted = { direction, t };
+      st.up = 0;
+      st.down = 0;
+      st.back = 0;
+      return this._event(metric, ChangeKind.ONSET, t, sample.t, direction);
+    }
+
+    // Evidence for the reference over the shifted level L (in deltas): positive when the sample
+    // lies on the reference side of their midpoint.
+    const since = st.values.filter((v) => v.t >= st.shifted.t);
+    const level = Math.max(1, Math.abs(averageOf(since.map((v) => clip((v.x - st.reference) / m.delta)))));
+    if (st.back === 0) st.backStart = sample.t;
+    st.back = Math.max(0, st.back + clip(level / 2 - st.shifted.direction * z));
+    if (st.back <= this.h) return null;
+    const direction = -st.shifted.direction;
+    st.shifted = null;
+    st.back = 0;
+    return this._event(metric, ChangeKind.RECOVERY, st.backStart, sample.t, direction);
+  }
+
+  // Shift: mean level from `t` on against the reference, in the metric's units.
+  _event(metric, kind, t, detected_t, direction) {
+    const st = this.state[metric];
+    const since = st.values.filter((v) => v.t >= t).map((v) => v.x);
+    const ev = { metric, kind, t, detected_t, direction, shift: averageOf(since) - st.reference };
+    ev.description = describeChangePoint(ev);
+    return ev;
+  }
+}
+
+// Change points worth reporting at tick `t`: onsets not yet followed by a recovery of the same
+// metric, and recoveries detected within the last `horizon` ticks. Only events detected by `t`
+// count, so this also works on a full event list when replaying.
+function changePointsAt(events, t, horizon = 20) {
+  const latest = {};
+  for (const ev of events) {
+    if (ev.detected_t > t) break;
+    latest[ev.metric] = ev;
+  }
+  return Object.values(latest)
+    .filter((ev) => ev.kind === ChangeKind.ONSET || t - ev.detected_t < horizon)
+    .sort((a, b) => a.t - b.t);
+}
+
+// expose to global scope for non-module usage
+window.CHANGE_METRICS = CHANGE_METRICS;
+window.ChangeKind = ChangeKind;
+window.ChangePointDetector = ChangePointDetector;
+window.changePointsAt = changePointsAt;
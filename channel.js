@@ -0,0 +1,128 @@
+// Channel models with memory for the fading fault. Each process is stepped once per tick and
+// returns an SNR offset (dB) and a BER change (decades) that carry over from tick to tick, and
+// whether the tick counts as faded for the ground truth: always for Rayleigh/Rician fading,
+// only in the bad state for the Gilbert-Elliott channel, whose good state leaves the link as is.
+
+const ChannelModel = {
+  IID: "iid",
+  RAYLEIGH: "rayleigh",
+  RICIAN: "rician",
+  GILBERT_ELLIOTT: "gilbert_elliott",
+};
+
+// BER change per dB of SNR change, in decades (matches the slope of the i.i.d. fading term).
+const BER_DECADES_PER_DB = 0.2;
+
+class ChannelConfig {
+  constructor() {
+    this.model = ChannelModel.IID;
+    this.k_factor_db = 6.0;
+    // Maximum Doppler shift normalised to the tick period (f_D * T).
+    this.doppler_norm = 0.02;
+    this.ge_p_good_bad = 0.02;
+    this.ge_p_bad_good = 0.2;
+    this.ge_bad_snr_drop_db = 15.0;
+  }
+}
+
+// Bessel function of the first kind, order 0 (Abramowitz & Stegun 9.4.1 / 9.4.3).
+function besselJ0(x) {
+  const ax = Math.abs(x);
+  if (ax <= 3) {
+    const y = (x / 3) ** 2;
+    return (
+      1 -
+      2.2499997 * y +
+      1.2656208 * y ** 2 -
+      0.3163866 * y ** 3 +
+      0.0444479 * y ** 4 -
+      0.0039444 * y ** 5 +
+      0.00021 * y ** 6
+    );
+  }
+  const y = 3 / ax;
+  const f0 =
+    0.79788456 -
+    0.00000077 * y -
+    0.0055274 * y ** 2 -
+    0.00009512 * y ** 3 +
+    0.00137237 * y ** 4 -
+    0.00072805 * y ** 5 +
+    0.00014476 * y ** 6;
+  const theta0 =
+    ax -
+    0.78539816 -
+    0.04166397 * y -
+    0.00003954 * y ** 2 +
+    0.00262573 * y ** 3 -
+    0.00054125 * y ** 4 -
+    0.00029333 * y ** 5 +
+    0.00013558 * y ** 6;
+  return (f0 * Math.cos(theta0)) / Math.sqrt(ax);
+}
+
+// Rayleigh (K = 0) or Rician flat fading. The scattered component is a complex Gaussian AR(1)
+// process whose lag-1 correlation J0(2*pi*f_D*T) follows Clarke's Doppler spectrum, so deep
+// fades last roughly a coherence time (~0.423 / f_D ticks).
+class FadingProcess {
+  constructor(cfg, rng, rician) {
+    const k = rician ? 10 ** (cfg.k_factor_db / 10) : 0;
+    this.los = Math.sqrt(k / (k + 1));
+    this.sigma = Math.sqrt(1 / (2 * (k + 1)));
+    this.rho = Math.min(0.9999, Math.max(0, besselJ0(2 * Math.PI * cfg.doppler_norm)));
+    this.re = rng.randn() * this.sigma;
+    this.im = rng.randn() * this.sigma;
+  }
+
+  step(rng) {
+    const innovation = Math.sqrt(1 - this.rho ** 2) * this.sigma;
+    this.re = this.rho * this.re + innovation * rng.randn();
+    this.im = this.rho * this.im + innovation * rng.randn();
+    const power = (this.los + this.re) ** 2 + this.im ** 2;
+    const gain_db = Math.max(-40, 10 * Math.log10(power));
+    return { snr_db: gain_db, ber_decades: -BER_DECADES_PER_DB * gain_db, faded: true };
+  }
+}
+
+// Two-state Markov burst-error channel. Mean burst length is 1 / p(bad -> good) ticks.
+class GilbertElliottProcess {
+  constructor(cfg) {
+    this.p_good_bad = cfg.ge_p_good_bad;
+    this.p_bad_good = cfg.ge_p_bad_good;
+    this.bad_snr_drop_db = cfg.ge_bad_snr_drop_db;
+    this.bad = false;
+  }
+
+  step(rng) {
+    this.bad = this.bad ? rng.random() >= this.p_bad_good : rng.random() < this.p_good_bad;
+    const drop = this.bad ? this.bad_snr_drop_db : 0;
+    return { snr_db: -drop, ber_decades: BER_DECADES_PER_DB * drop, faded: this.bad };
+  }
+}
+
+// Returns null for the memoryless model; the simulator keeps its per-tick draw for that case.
+function createChannelProcess(cfg, rng) {
+  switch (cfg.model) {
+    case ChannelModel.RAYLEIGH:
+      return new FadingProcess(cfg, rng, false);
+    case ChannelModel.RICIAN:
+      return new FadingProcess(cfg, rng, true);
+    case ChannelModel.GILBERT_ELLIOTT:
+      return new GilbertElliottProcess(cfg);
+    default:
+      return null;
+  }
+}
+
+// A channel process continuing from `state`, a structured-clone copy of one made for `cfg`.
+function restoreChannelProcess(cfg, state) {
+  if (!state) return null;
+  const type = cfg.model === ChannelModel.GILBERT_ELLIOTT ? GilbertElliottProcess : FadingProcess;
+  return Object.assign(Object.create(type.prototype), state);
+}
+
+// expose to global scope for non-module usage
+window.ChannelModel = ChannelModel;
+window.ChannelConfig = ChannelConfig;
+window.createChannelProcess = createChannelProcess;
+window.restoreChannelProcess = restoreChannelProcess;
@@ -5,172 +5,264 @@ const RootCause = {
   SYNC_LOSS: "sync_loss",
   CONGESTION: "congestion",
   FADING: "fading",
+  OSCILLATOR_DRIFT: "oscillator_drift",
+  ADJACENT_CHANNEL: "adjacent_channel",
+  MONITORING_FAULT: "monitoring_fault",
   UNKNOWN: "unknown",
 };
 
+// The summaries skip missing readings (NaN, see screenSamples); with none left they are NaN.
 function mean(arr) {
-  if (!arr.length) return NaN;
-  return arr.reduce((a, b) => a + b, 0) / arr.length;
+  const vals = arr.filter(Number.isFinite);
+  if (!vals.length) return NaN;
+  return vals.reduce((a, b) => a + b, 0) / vals.length;
 }
 
 function std(arr) {
-  if (arr.length === 0) return NaN;
-  const m = mean(arr);
-  const v = arr.reduce((s, x) => s + (x - m) ** 2, 0) / arr.length;
+  const vals = arr.filter(Number.isFinite);
+  if (vals.length === 0) return NaN;
+  const m = mean(vals);
+  const v = vals.reduce((s, x) => s + (x - m) ** 2, 0) / vals.length;
   return Math.sqrt(v);
 }
 
 function maxVal(arr) {
-  if (!arr.length) return NaN;
-  return arr.reduce((a, b) => (b > a ? b : a), -Infinity);
+  const vals = arr.filter(Number.isFinite);
+  if (!vals.length) return NaN;
+  return vals.reduce((a, b) => (b > a ? b : a), -Infinity);
 }
 
+// Least-squares slope of arr against its index (units per sample); missing readings keep their
+// place on the index.
+function slope(arr) {
+  const points = [];
+  arr.forEach((y, x) => {
+    if (Number.isFinite(y)) points.push([x, y]);
+  });
+  if (points.length < 2) return 0;
+  const xm = mean(points.map(([x]) => x));
+  const ym = mean(points.map(([, y]) => y));
+  let num = 0;
+  let den = 0;
+  for (const [x, y] of points) {
+    num += (x - xm) * (y - ym);
+    den += (x - xm) ** 2;
+  }
+  return num / den;
+}
+
+// Thresholds every rule base can refer to, with their defaults; a rule file may add its own.
+const DEFAULT_THRESHOLDS = {
+  good_snr_db: 20.0,
+  moderate_snr_db: 12.0,
+  bad_snr_db: 8.0,
+
+  good_ber: 1e-5,
+  moderate_ber: 1e-3,
+  bad_ber: 1e-2,
+
+  latency_warn_ms: 80.0,
+  latency_bad_ms: 160.0,
+
+  retries_warn: 1.0,
+  retries_bad: 3.0,
+
+  evm_warn_pct: 15.0,
+  evm_bad_pct: 30.0,
+};
+
+const THRESHOLD_NAMES = Object.keys(DEFAULT_THRESHOLDS);
+
 class DiagnosticEngine {
-  constructor() {
-    this.good_snr_db = 20.0;
-    this.moderate_snr_db = 12.0;
-    this.bad_snr_db = 8.0;
+  constructor(ruleBase = DEFAULT_RULE_BASE) {
+    // Optional NaiveBayesModel; when set it replaces the normalised rule scores as confidences.
+    this.bayes_model = null;
+    // Optional learned baseline (see learnBaseline); its thresholds override the rule base's.
+    this.baseline = null;
+    // Multi-scale features callers should pass to windowFrom() for this engine.
+    this.feature_config = DEFAULT_FEATURE_CONFIG;
 
-    this.good_ber = 1e-5;
-    this.moderate_ber = 1e-3;
-    this.bad_ber = 1e-2;
+    this.setRuleBase(ruleBase);
+  }
 
-    this.latency_warn_ms = 80.0;
-    this.latency_bad_ms = 160.0;
+  // Names of the window features rules may test (whatever windowFrom() produces).
+  featureNames(config = this.feature_config) {
+    const sample = { t: 0, snr_db: 0, ber: 1e-9, latency_ms: 0, retries: 0, active_faults: [] };
+    return Object.keys(windowFrom([sample], 20, config));
+  }
 
-    this.retries_warn = 1.0;
-    this.retries_bad = 3.0;
+  // Throws with a path to the offending entry if the rule base is invalid.
+  validateRuleBase(ruleBase) {
+    return compileRuleBase(ruleBase, {
+      features: this.featureNames(),
+      thresholds: THRESHOLD_NAMES,
+      mitigations: Object.keys(MITIGATIONS),
+      causes: Object.values(RootCause),
+    });
   }
 
-  diagnose(window) {
-    const evidences = [];
+  // Leaves the engine unchanged if the rule base is invalid. `thresholds` maps every threshold
+  // name to its value: the built-in defaults, overridden by the rule base's thresholds, which a
+  // learned baseline overrides in turn. Thresholds of a previous rule base do not carry over.
+  setRuleBase(ruleBase) {
+    const compiled = this.validateRuleBase(ruleBase);
+    const baseline = this.baseline ? this.baseline.thresholds : {};
+    this.thresholds = Object.assign({}, DEFAULT_THRESHOLDS, compiled.thresholds, baseline);
+    this.ruleBase = ruleBase;
+    this.rules = compiled.rules;
+    this.decision_thresholds = compiled.decision_thresholds;
+    this.fallback = compiled.fallback;
+  }
 
-    // Healthy
-    if (
-      window.snr_mean > this.good_snr_db &&
-      window.ber_max < this.good_ber &&
-      window.latency_mean < this.latency_warn_ms &&
-      window.retries_mean <= this.retries_warn
-    ) {
-      evidences.push({
-        root_cause: RootCause.HEALTHY,
-        score: 1.0,
-        explanation: "SNR, BER, latency, and retries are nominal.",
-      });
-    }
+  // Pass null to fall back to the rule base's thresholds.
+  setBaseline(baseline) {
+    this.baseline = baseline;
+    this.setRuleBase(this.ruleBase);
+  }
 
-    // Noise spike
-    if (
-      window.snr_mean < this.good_snr_db &&
-      window.snr_std > 1.5 &&
-      window.ber_max > this.moderate_ber &&
-      window.latency_mean < this.latency_bad_ms
-    ) {
-      const severity = Math.min(1.0, (this.good_snr_db - window.snr_mean) / 10.0);
-      evidences.push({
-        root_cause: RootCause.NOISE_SPIKE,
-        score: 0.4 + 0.6 * severity,
-        explanation: "Volatile SNR dips with BER bursts and modest latency suggest impulsive noise.",
-      });
-    }
+  // Leaves the engine unchanged if the config is invalid or drops a feature the rules test.
+  setFeatureConfig(config) {
+    validateFeatureConfig(config);
+    compileRuleBase(this.ruleBase, {
+      features: this.featureNames(config),
+      thresholds: THRESHOLD_NAMES,
+      mitigations: Object.keys(MITIGATIONS),
+      causes: Object.values(RootCause),
+    });
+    this.feature_config = config;
+  }
 
-    // Wideband jammer
-    if (
-      window.snr_mean < this.moderate_snr_db &&
-      window.ber_mean > this.moderate_ber &&
-      window.retries_mean >= this.retries_warn
-    ) {
-      const jammer_strength = Math.min(1.0, (this.moderate_snr_db - window.snr_mean) / 8.0);
-      evidences.push({
-        root_cause: RootCause.WIDEBAND_JAMMER,
-        score: 0.5 + 0.5 * jammer_strength,
-        explanation: "Persistently poor SNR with high BER and retries indicates strong interference/jamming.",
-      });
-    }
+  setBayesModel(model) {
+    this.bayes_model = model;
+  }
 
-    // Sync loss
-    if (window.ber_max > 0.05 && window.snr_mean >= this.moderate_snr_db) {
-      const outage_severity = Math.min(1.0, (window.ber_max - 0.05) / 0.25);
-      evidences.push({
-        root_cause: RootCause.SYNC_LOSS,
-        score: 0.6 + 0.4 * outage_severity,
-        explanation: "Very high BER while RF SNR is acceptable points to framing/sync loss.",
-      });
-    }
+  decisionThreshold(cause) {
+    const thresholds = this.decision_thresholds;
+    return cause in thresholds ? thresholds[cause] : thresholds.default;
+  }
 
-    // Congestion
-    if (
-      window.latency_mean > this.latency_warn_ms &&
-      window.retries_mean > this.retries_warn &&
-      window.snr_mean > this.bad_snr_db
-    ) {
-      const cong_level = Math.min(1.0, (window.latency_mean - this.latency_warn_ms) / 120.0);
-      evidences.push({
-        root_cause: RootCause.CONGESTION,
-        score: 0.4 + 0.6 * cong_level,
-        explanation: "High latency and retries with tolerable RF conditions suggest congestion.",
-      });
-    }
+  // `changePoints` are the change points in effect (see changePointsAt); they are reported with
+  // the diagnosis and date the explanation, e.g. "SNR dropped 9.1 dB at t=318."
+  // `cause_checks` maps every RootCause to its rules' checks, { rule_id, cause, stage, fired,
+  // score, conditions }, each condition with its value, threshold and margin (see conditionResult).
+  diagnose(window, changePoints = []) {
+    const evidences = [];
+    const lookup = (name) => (name in window ? window[name] : this.thresholds[name]);
+    const scores = {};
+    const checks = [];
 
-    // Fading
-    if (
-      window.snr_mean < this.good_snr_db &&
-      window.snr_std > 2.0 &&
-      window.ber_mean > this.good_ber &&
-      window.latency_mean < this.latency_bad_ms
-    ) {
-      const fade_level = Math.min(1.0, window.snr_std / 5.0);
+    // Every rule is checked in full, even past its first failed condition, so a rejected cause
+    // can be explained (see explainRejection).
+    const fire = (rule, causeConfidence) => {
+      const conditions = rule.conditions.map((cond) => conditionResult(cond, lookup, causeConfidence));
+      const check = { rule_id: rule.id, cause: rule.cause, stage: rule.stage, conditions, fired: false, score: null };
+      checks.push(check);
+      if (!conditions.every((c) => c.passed)) return false;
+      const score = evalExpr(rule.score, lookup);
+      check.score = score;
+      if (!Number.isFinite(score) || score <= 0) return false;
+      check.fired = true;
       evidences.push({
-        root_cause: RootCause.FADING,
-        score: 0.3 + 0.7 * fade_level,
-        explanation: "Significant SNR fluctuations with elevated BER and modest latency hint at fading.",
+        rule_id: rule.id,
+        root_cause: rule.cause,
+        score,
+        explanation: rule.explanation,
       });
-    }
+      scores[rule.cause] = (scores[rule.cause] || 0) + score;
+      return true;
+    };
 
-    const scores = {};
-    for (const ev of evidences) {
-      scores[ev.root_cause] = (scores[ev.root_cause] || 0) + ev.score;
+    for (const rule of this.rules) {
+      if (rule.stage === "base") fire(rule);
     }
 
-    if (!evidences && window.ber_max < this.moderate_ber && window.snr_mean > this.good_snr_db) {
-      scores[RootCause.HEALTHY] = 0.8;
-      evidences.push({
-        root_cause: RootCause.HEALTHY,
-        score: 0.8,
-        explanation: "No anomaly signatures; link appears healthy.",
-      });
+    // Compound rules see each cause's base confidence: its summed rule scores, capped at 1.
+    const baseScores = Object.assign({}, scores);
+    const baseConfidence = (cause) => Math.min(1, baseScores[cause] || 0);
+    const explained_away = {};
+    for (const rule of this.rules) {
+      if (rule.stage !== "compound" || !fire(rule, baseConfidence)) continue;
+      for (const cause of rule.explains_away) explained_away[cause] = rule.cause;
+    }
+    for (const cause of Object.keys(explained_away)) {
+      delete scores[cause];
+      for (const ev of evidences) {
+        if (ev.root_cause === cause) ev.explained_by = explained_away[cause];
+      }
+      for (const check of checks) {
+        if (check.fired && check.cause === cause) check.explained_by = explained_away[cause];
+      }
     }
+    const cause_checks = {};
+    for (const cause of Object.values(RootCause)) cause_checks[cause] = checks.filter((c) => c.cause === cause);
 
     if (Object.keys(scores).length === 0) {
       scores[RootCause.UNKNOWN] = 1.0;
       evidences.push({
         root_cause: RootCause.UNKNOWN,
         score: 1.0,
-        explanation: "Patterns do not clearly match any known rule set.",
+        explanation: this.fallback.explanation,
       });
     }
 
     const total = Object.values(scores).reduce((a, b) => a + b, 0);
-    const ranked = Object.entries(scores)
-      .map(([k, v]) => [k, v / total])
-      .sort((a, b) => b[1] - a[1]);
+    const ranked = this.bayes_model
+      ? this.bayes_model.posterior(window)
+      : Object.entries(scores)
+          .map(([k, v]) => [k, v / total])
+          .sort((a, b) => b[1] - a[1]);
 
     const [primary_cause, confidence] = ranked[0];
 
-    const explanation = this._buildExplanation(primary_cause, confidence, window, evidences);
+    // Multi-label view: every cause with its own (unnormalised) confidence and decision threshold.
+    // Posteriors are already per-cause probabilities, so they are used as they are.
+    const perCause = this.bayes_model
+      ? ranked
+      : Object.entries(scores).map(([cause, score]) => [cause, Math.min(1, score)]);
+    const causes = perCause
+      .map(([cause, conf]) => {
+        const threshold = this.decisionThreshold(cause);
+        return { cause, confidence: conf, threshold, active: conf >= threshold };
+      })
+      .sort((a, b) => b.confidence - a.confidence);
+    const active_causes = causes.filter((c) => c.active).map((c) => c.cause);
+    if (!active_causes.length) active_causes.push(primary_cause);
+
+    const posteriorReason = this._posteriorReason(window, ranked);
+    let explanation = this._buildExplanation(primary_cause, confidence, window, evidences, posteriorReason);
+    if (changePoints.length) explanation += ` ${changePoints.map((ev) => ev.description).join(" ")}`;
     const suggested_actions = this._suggestActions(primary_cause);
+    const suggested_mitigations = this._suggestMitigations(active_causes);
 
     return {
+      confidence_model: this.bayes_model ? "naive_bayes" : "rules",
       primary_cause,
       confidence,
       ranked_causes: ranked,
+      causes,
+      active_causes,
+      explained_away,
       explanation,
       contributing_rules: evidences,
       suggested_actions,
+      suggested_mitigations,
+      change_points: changePoints,
+      cause_checks,
     };
   }
 
-  _buildExplanation(cause, confidence, window, evidences) {
+  // Which feature bins most favour the top posterior cause over the runner-up.
+  _posteriorReason(window, ranked) {
+    if (!this.bayes_model || ranked.length < 2) return "";
+    const rival = ranked[1][0];
+    const factors = this.bayes_model
+      .explain(window, ranked[0][0], rival)
+      .map((f) => `${f.label} (×${f.ratio.toFixed(1)})`);
+    if (!factors.length) return "";
+    return `Posterior favours it over ${rival.replace(/_/g, " ")} given ${factors.join(", ")}.`;
+  }
+
+  _buildExplanation(cause, confidence, window, evidences, extra = "") {
     const confPct = Math.round(confidence * 100);
     if (cause === RootCause.HEALTHY) {
       return `Link appears healthy (SNR ≈ ${window.snr_mean.toFixed(1)} dB, BER max ≈ ${window.ber_max.toExponential(
@@ -183,70 +275,991 @@ class DiagnosticEngine {
     const reasons = evidences
       .filter((ev) => ev.root_cause === cause)
       .map((ev) => ev.explanation)
+      .concat(extra ? [extra] : [])
       .join(" ");
     return base + (reasons || "Metric patterns weakly indicate this condition.");
   }
 
+  // Mitigation types for the active causes, primary cause first, without duplicates.
+  _suggestMitigations(causes) {
+    const types = [];
+    for (const cause of causes) {
+      for (const rule of this.rules) {
+        if (rule.cause !== cause) continue;
+        rule.mitigations.forEach((type) => types.includes(type) || types.push(type));
+      }
+    }
+    return types;
+  }
+
   _suggestActions(cause) {
-    switch (cause) {
-      case RootCause.HEALTHY:
-        return ["No immediate action required. Continue monitoring for emerging anomalies."];
-      case RootCause.NOISE_SPIKE:
-        return [
-          "Check grounding/shielding to reduce impulsive noise coupling.",
-          "Inspect nearby equipment for intermittent high-power emissions.",
-          "Increase error-correction strength or interleaving depth if possible.",
-        ];
-      case RootCause.WIDEBAND_JAMMER:
-        return [
-          "Evaluate spectral environment and locate strong interferers.",
-          "Switch to an alternate channel or band if available.",
-          "Apply filtering/notching around the interferer.",
-        ];
-      case RootCause.SYNC_LOSS:
-        return [
-          "Verify clock stability and alignment between TX/RX.",
-          "Increase preamble length or improve sync acquisition.",
-          "Check for framing/configuration mismatches.",
-        ];
-      case RootCause.CONGESTION:
-        return [
-          "Reduce offered load or apply traffic shaping.",
-          "Increase buffers or enable congestion control mechanisms.",
-          "Distribute traffic across additional links if possible.",
-        ];
-      case RootCause.FADING:
-        return [
-          "Increase transmit power within limits.",
-          "Enable diversity (spatial/frequency/time).",
-          "Use more robust modulation/coding during deep fades.",
-        ];
-      default:
-        return [
-          "Capture additional diagnostics to refine the hypothesis.",
-          "Consider extending the rule base for newly observed patterns.",
-        ];
-    }
-  }
-}
-
-function windowFrom(history, windowSize = 20) {
-  const slice = history.slice(-windowSize);
+    const rule = this.rules.find((r) => r.cause === cause && r.actions.length);
+    return rule ? rule.actions : this.fallback.actions;
+  }
+}
+
+// "Why not X?" Plain-language names for the features rules test most; others go by their own name.
+const FEATURE_LABELS = {
+  snr_mean: { label: "mean SNR", unit: "dB", digits: 1 },
+  snr_std: { label: "SNR spread", unit: "dB", digits: 1 },
+  ber_mean: { label: "mean BER", ber: true },
+  ber_max: { label: "peak BER", ber: true },
+  latency_mean: { label: "mean latency", unit: "ms", digits: 0 },
+  latency_max: { label: "peak latency", unit: "ms", digits: 0 },
+  retries_mean: { label: "mean retries", unit: "per tick", digits: 1 },
+  ber_log_std: { label: "BER spread", unit: "decades", digits: 2 },
+  ber_log_slope: { label: "BER trend", unit: "decades per tick", digits: 3 },
+  throughput_mean: { label: "mean throughput", unit: "Mbps", digits: 1 },
+  goodput_mean: { label: "mean goodput", unit: "Mbps", digits: 1 },
+  goodput_efficiency: { label: "goodput efficiency", percent: true },
+  rate_fraction: { label: "share of the top MCS rate", percent: true },
+  queue_mean: { label: "mean queue depth", unit: "packets", digits: 1 },
+  queue_max: { label: "peak queue depth", unit: "packets", digits: 0 },
+  packet_loss_mean: { label: "packet loss", percent: true },
+  evm_mean: { label: "mean EVM", unit: "%", digits: 1 },
+  evm_max: { label: "peak EVM", unit: "%", digits: 1 },
+  invalid_frac: { label: "share of corrupt samples", percent: true },
+  stuck_frac: { label: "share of stuck readings", percent: true },
+  missing_frac: { label: "share of missing samples", percent: true },
+};
+
+const OP_WORDS = { "<": "below", "<=": "at most", ">": "above", ">=": "at least", "==": "exactly", "!=": "other than" };
+
+function featureLabel(feature) {
+  return FEATURE_LABELS[feature] || { label: feature.replace(/_/g, " "), ber: /^ber_(p\d+|mean|max)/.test(feature) };
+}
+
+function formatFeature(feature, value) {
+  if (!Number.isFinite(value)) return "unavailable";
+  const f = featureLabel(feature);
+  if (f.ber) return value.toExponential(1);
+  if (f.percent) return `${(value * 100).toFixed(0)}%`;
+  if (f.unit) return `${value.toFixed(f.digits)} ${f.unit}`;
+  return Math.abs(value) < 0.01 && value !== 0 ? value.toExponential(1) : value.toFixed(2);
+}
+
+function conditionLabel(result) {
+  return result.cause ? `${result.cause.replace(/_/g, " ")} base confidence` : featureLabel(result.feature).label;
+}
+
+function conditionValue(result, value) {
+  return result.cause ? value.toFixed(2) : formatFeature(result.feature, value);
+}
+
+// "mean SNR must be below 12.0 dB (moderate_snr_db) but was 14.2 dB, 2.2 dB off"
+function describeFailedCondition(result) {
+  if (result.any) return `either ${result.any.map(describeFailedCondition).join(", or ")}`;
+  const named = result.threshold_name ? ` (${result.threshold_name})` : "";
+  const threshold = conditionValue(result, result.threshold);
+  const want = `${conditionLabel(result)} must be ${OP_WORDS[result.op]} ${threshold}${named}`;
+  if (!Number.isFinite(result.actual)) return `${want} but was unavailable`;
+  const off = result.margin < 0 ? `, ${conditionValue(result, -result.margin)} off` : "";
+  return `${want} but was ${conditionValue(result, result.actual)}${off}`;
+}
+
+// "mean SNR were below 12.0 dB"; of alternatives, the one closest to passing.
+function describeFix(result) {
+  if (result.any) {
+    const nearest = result.any.reduce((a, b) => (b.margin > a.margin || !Number.isFinite(a.margin) ? b : a));
+    return describeFix(nearest);
+  }
+  return `${conditionLabel(result)} were ${OP_WORDS[result.op]} ${conditionValue(result, result.threshold)}`;
+}
+
+// Why `cause` is not among diag's active causes, or null if it is. Returns { cause, status,
+// summary, reasons, would_fire }; status is one of "fallback" (unknown, which stands in when no
+// rule fires), "no_rules", "explained_away", "below_threshold" or "conditions_failed". For failed
+// conditions `would_fire` names what the nearest rule (fewest failed conditions) still needed.
+function explainRejection(diag, cause) {
+  if (diag.active_causes.includes(cause)) return null;
+  const label = cause.replace(/_/g, " ");
+  const checks = (diag.cause_checks && diag.cause_checks[cause]) || [];
+  const entry = diag.causes.find((c) => c.cause === cause);
+  const result = { cause, status: "", summary: "", reasons: [], would_fire: "" };
+  const fired = checks.filter((c) => c.fired);
+
+  if (cause === RootCause.UNKNOWN && !checks.length) {
+    result.status = "fallback";
+    result.summary = "Reported only when no rule fires, and rules fired for this window.";
+  } else if (!checks.length) {
+    result.status = "no_rules";
+    result.summary = `The rule base has no rule for ${label}.`;
+  } else if (fired.some((c) => c.explained_by)) {
+    const by = fired.find((c) => c.explained_by).explained_by.replace(/_/g, " ");
+    result.status = "explained_away";
+    result.summary = `Its symptoms were present but are explained as a side effect of ${by}.`;
+    result.reasons = fired.map((c) => `Rule ${c.rule_id} fired (score ${c.score.toFixed(2)}).`);
+  } else if (fired.length) {
+    const model = diag.confidence_model === "naive_bayes" ? "posterior" : "confidence";
+    const pct = (x) => `${Math.round(x * 100)}%`;
+    result.status = "below_threshold";
+    result.summary = entry
+      ? `Its rules fired but its ${model} of ${pct(entry.confidence)} is below the ${pct(entry.threshold)} needed.`
+      : `Its rules fired but the ${model} does not rank it.`;
+    result.reasons = fired.map((c) => `Rule ${c.rule_id} fired (score ${c.score.toFixed(2)}).`);
+  } else {
+    result.status = "conditions_failed";
+    result.summary = `None of its ${checks.length > 1 ? `${checks.length} rules` : "rules"} matched this window.`;
+    for (const check of checks) {
+      const failed = check.conditions.filter((c) => !c.passed);
+      result.reasons.push(
+        failed.length
+          ? `Rule ${check.rule_id}: ${failed.map(describeFailedCondition).join("; ")}.`
+          : `Rule ${check.rule_id}: every condition held but its score came out at ${check.score}.`
+      );
+    }
+    const failedCount = (check) => check.conditions.filter((c) => !c.passed).length;
+    const nearest = checks.reduce((a, b) => (failedCount(b) < failedCount(a) ? b : a));
+    const fixes = nearest.conditions.filter((c) => !c.passed).map(describeFix);
+    if (fixes.length) result.would_fire = `Rule ${nearest.rule_id} would fire if ${fixes.join(" and ")}.`;
+  }
+  return result;
+}
+
+// Multi-scale window features. On top of its fixed summary, windowFrom() computes every enabled
+// feature group over a short and a long window side by side, so rules can tell a burst (the
+// short window far off the long one) from a slow drift (both trending the same way), and a single
+// outage from sustained degradation. Each group is configured on its own:
+//   ewma         exponentially weighted mean, span = window length   <metric>_ewma_<scale>
+//   slope        least-squares trend per sample                      <metric>_slope_<scale>
+//   percentiles  p<level> of the raw values                          <metric>_p<level>_<scale>
+//   ber_fraction share of samples with BER above each named level    ber_frac_<name>_<scale>
+//   outages      samples with BER >= min_ber, and their runs         outage_frac/_runs/_max_run_<scale>
+//   jitter       mean absolute tick-to-tick latency change           latency_jitter_<scale>
+// BER is averaged and trended in log10 decades (as "ber_log"); percentiles and fractions use it raw.
+const DEFAULT_FEATURE_CONFIG = {
+  windows: { short: 10, long: 100 },
+  ewma: { enabled: true, metrics: ["snr_db", "ber", "latency_ms"] },
+  slope: { enabled: true, metrics: ["snr_db", "ber", "latency_ms"] },
+  percentiles: { enabled: true, metrics: ["ber", "latency_ms", "retries"], levels: [50, 95, 99] },
+  ber_fraction: { enabled: true, levels: { good: 1e-5, moderate: 1e-3, bad: 1e-2 } },
+  outages: { enabled: true, min_ber: 0.05 },
+  jitter: { enabled: true },
+};
+
+const FEATURE_METRICS = {
+  snr_db: { name: "snr", value: (s) => s.snr_db },
+  ber: { name: "ber", trendName: "ber_log", value: (s) => s.ber, trend: (s) => Math.log10(s.ber) },
+  latency_ms: { name: "latency", value: (s) => s.latency_ms },
+  retries: { name: "retries", value: (s) => s.retries },
+};
+
+// Throws with a path to the offending entry if the feature config is invalid.
+function validateFeatureConfig(config) {
+  const fail = (path, msg) => {
+    throw new Error(`features.${path}: ${msg}`);
+  };
+  for (const scale of ["short", "long"]) {
+    const n = config.windows && config.windows[scale];
+    if (!Number.isInteger(n) || n < 2) fail(`windows.${scale}`, "must be a whole number of at least 2 samples.");
+  }
+  if (config.windows.short > config.windows.long) fail("windows.short", "must not exceed the long window.");
+  for (const group of Object.keys(config)) {
+    if (group !== "windows" && !(group in DEFAULT_FEATURE_CONFIG)) fail(group, "unknown feature group.");
+  }
+  for (const group of ["ewma", "slope", "percentiles"]) {
+    if (!config[group]) continue;
+    (config[group].metrics || []).forEach((metric, i) => {
+      if (!(metric in FEATURE_METRICS)) fail(`${group}.metrics[${i}]`, `unknown metric "${metric}".`);
+    });
+  }
+  if (config.percentiles) {
+    (config.percentiles.levels || []).forEach((level, i) => {
+      if (!Number.isInteger(level) || level < 1 || level > 100) {
+        fail(`percentiles.levels[${i}]`, "must be a whole percentage from 1 to 100.");
+      }
+    });
+  }
+  if (config.ber_fraction) {
+    for (const [name, level] of Object.entries(config.ber_fraction.levels || {})) {
+      if (!/^[a-z_][a-z0-9_]*$/.test(name)) fail(`ber_fraction.levels.${name}`, "names must be lowercase identifiers.");
+      if (!(level > 0 && level < 1)) fail(`ber_fraction.levels.${name}`, "must be a BER between 0 and 1.");
+    }
+  }
+  if (config.outages && !(config.outages.min_ber > 0 && config.outages.min_ber < 1)) {
+    fail("outages.min_ber", "must be a BER between 0 and 1.");
+  }
+  return config;
+}
+
+// Samples the features look back over: the fixed window or the long one, whichever is longer.
+function featureSpan(windowSize, config = DEFAULT_FEATURE_CONFIG) {
+  return Math.max(windowSize, config.windows.long);
+}
+
+function percentile(sorted, level) {
+  const pos = (sorted.length - 1) * (level / 100);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function ewma(arr) {
+  const vals = arr.filter(Number.isFinite);
+  if (!vals.length) return NaN;
+  const alpha = 2 / (vals.length + 1);
+  return vals.reduce((acc, x) => acc + alpha * (x - acc));
+}
+
+function extractFeatures(history, config = DEFAULT_FEATURE_CONFIG) {
+  const out = {};
+  for (const [scale, size] of Object.entries(config.windows)) {
+    const slice = history.slice(-size);
+    const enabled = (group) => config[group] && config[group].enabled;
+    const trendOf = (metric) => slice.map(metric.trend || metric.value);
+
+    if (enabled("ewma")) {
+      for (const key of config.ewma.metrics) {
+        const metric = FEATURE_METRICS[key];
+        out[`${metric.trendName || metric.name}_ewma_${scale}`] = ewma(trendOf(metric));
+      }
+    }
+    if (enabled("slope")) {
+      for (const key of config.slope.metrics) {
+        const metric = FEATURE_METRICS[key];
+        out[`${metric.trendName || metric.name}_slope_${scale}`] = slope(trendOf(metric));
+      }
+    }
+    if (enabled("percentiles")) {
+      for (const key of config.percentiles.metrics) {
+        const metric = FEATURE_METRICS[key];
+        const sorted = slice
+          .map(metric.value)
+          .filter(Number.isFinite)
+          .sort((a, b) => a - b);
+        for (const level of config.percentiles.levels) {
+          out[`${metric.name}_p${level}_${scale}`] = sorted.length ? percentile(sorted, level) : NaN;
+        }
+      }
+    }
+    if (enabled("ber_fraction")) {
+      for (const [name, level] of Object.entries(config.ber_fraction.levels)) {
+        const read = slice.filter((s) => Number.isFinite(s.ber));
+        const above = read.filter((s) => s.ber > level).length;
+        out[`ber_frac_${name}_${scale}`] = read.length ? above / read.length : NaN;
+      }
+    }
+    if (enabled("outages")) {
+      const runs = [];
+      let run = 0;
+      for (const s of slice) {
+        if (s.ber >= config.outages.min_ber) {
+          run += 1;
+        } else if (run) {
+          runs.push(run);
+          run = 0;
+        }
+      }
+      if (run) runs.push(run);
+      const outageTicks = runs.reduce((a, b) => a + b, 0);
+      out[`outage_frac_${scale}`] = slice.length ? outageTicks / slice.length : NaN;
+      out[`outage_runs_${scale}`] = runs.length;
+      out[`outage_max_run_${scale}`] = runs.length ? maxVal(runs) : 0;
+    }
+    if (enabled("jitter")) {
+      const steps = slice.slice(1).map((s, i) => Math.abs(s.latency_ms - slice[i].latency_ms));
+      out[`latency_jitter_${scale}`] = steps.length ? mean(steps) : 0;
+    }
+  }
+  return out;
+}
+
+// Data-quality screening. Readings outside these ranges are corrupt, not extreme: the simulator
+// clips well inside them and no real link reports them.
+const READING_RANGES = {
+  snr_db: [-30, 60],
+  ber: [0, 0.5],
+  latency_ms: [0, 10000],
+  retries: [0, 1000],
+};
+// Noisy analog readings that repeat exactly this many times in a row are taken as stuck. BER
+// (which sits at its floor on a clean link) and the retry count legitimately repeat, and so does
+// a reading held at its clip floor (see CLIP_LIMITS), e.g. SNR under a heavy jammer. A reading
+// pinned at the ceiling still counts: no link fault drives it there.
+const STUCK_RUN_MIN = 5;
+const STUCK_METRICS = ["snr_db", "latency_ms"];
+
+function validReading(metric, value) {
+  const range = READING_RANGES[metric];
+  return Number.isFinite(value) && (!range || (value >= range[0] && value <= range[1]));
+}
+
+// Whether `value` may continue a run of equal `metric` readings towards a stuck one.
+function canStick(metric, value) {
+  return Number.isFinite(value) && value !== CLIP_LIMITS[metric][0];
+}
+
+// Copies of `samples` with missing, non-numeric, out-of-range and stuck readings set to NaN, so
+// the summaries skip them. Each copy notes what was screened out: `invalid` (count of bad
+// readings) and `stuck` (true if a stuck reading was dropped). A stuck run keeps its first value.
+function screenSamples(samples) {
+  const out = samples.map((s) => {
+    const copy = Object.assign({}, s, { invalid: 0, stuck: false });
+    for (const metric of Object.keys(READING_RANGES)) {
+      if (validReading(metric, s[metric])) continue;
+      copy[metric] = NaN;
+      copy.invalid += 1;
+    }
+    return copy;
+  });
+  for (const metric of STUCK_METRICS) {
+    let runStart = 0;
+    for (let i = 1; i <= out.length; i++) {
+      if (i < out.length && canStick(metric, out[i][metric]) && out[i][metric] === out[runStart][metric]) continue;
+      if (i - runStart >= STUCK_RUN_MIN) {
+        for (let j = runStart + 1; j < i; j++) {
+          out[j][metric] = NaN;
+          out[j].stuck = true;
+        }
+      }
+      runStart = i;
+    }
+  }
+  return out;
+}
+
+// Share of the ticks `slice` spans with no sample. Logs with timestamps are measured on their own
+// clock, in units of the median sample interval, since their tick numbers have no gaps.
+function missingFraction(slice) {
+  if (slice.length < 2) return 0;
+  const times = slice.map((s) => s.time_s);
+  if (!times.every(Number.isFinite)) return 1 - slice.length / (slice[slice.length - 1].t - slice[0].t + 1);
+  const steps = times
+    .slice(1)
+    .map((time, i) => time - times[i])
+    .filter((d) => d > 0)
+    .sort((a, b) => a - b);
+  if (!steps.length) return 0;
+  const period = steps[Math.floor(steps.length / 2)];
+  const expected = Math.round((times[times.length - 1] - times[0]) / period) + 1;
+  return Math.max(0, 1 - slice.length / expected);
+}
+
+// Fixed summary over the last `windowSize` samples plus the multi-scale features of `features`.
+// Readings are screened first (see screenSamples); the data-quality features say how much of
+// the window was unusable:
+//   invalid_frac  share of samples with a missing, non-numeric or out-of-range reading
+//   stuck_frac    share of samples with a reading frozen at the previous one
+//   missing_frac  share of the ticks the window spans for which no sample arrived
+function windowFrom(history, windowSize = 20, features = DEFAULT_FEATURE_CONFIG) {
+  const recent = screenSamples(history.slice(-featureSpan(windowSize, features)));
+  const slice = recent.slice(-windowSize);
   const snr = slice.map((s) => s.snr_db);
   const ber = slice.map((s) => s.ber);
   const lat = slice.map((s) => s.latency_ms);
   const ret = slice.map((s) => s.retries);
-  return {
+  const logBer = ber.map((b) => Math.log10(b));
+  const throughput = slice.map((s) => s.throughput_mbps);
+  const goodput = slice.map((s) => s.goodput_mbps);
+  const summary = {
     snr_mean: mean(snr),
     snr_std: std(snr),
     ber_mean: mean(ber),
     ber_max: maxVal(ber),
     latency_mean: mean(lat),
+    latency_max: maxVal(lat),
     retries_mean: mean(ret),
+    ber_log_std: std(logBer),
+    ber_log_slope: slope(logBer),
+    throughput_mean: mean(throughput),
+    goodput_mean: mean(goodput),
+    // Share of the carried rate that is delivered, and share of the fastest MCS rate carried.
+    // Link adaptation trades BER for rate, so a rate collapse can stand in for a BER rise.
+    goodput_efficiency: mean(goodput) / mean(throughput),
+    rate_fraction: mean(throughput) / MCS_TABLE[MCS_TABLE.length - 1].rate_mbps,
+    // Packet-layer metrics; samples without them (packet layer off, most logs) count as 0.
+    queue_mean: mean(slice.map((s) => s.queue_depth || 0)),
+    queue_max: maxVal(slice.map((s) => s.queue_depth || 0)),
+    packet_loss_mean: mean(slice.map((s) => s.packet_loss || 0)),
+    // Symbol-level EVM; NaN unless the samples carry it (PHY view on, or a log with the column).
+    evm_mean: mean(slice.map((s) => s.evm_pct)),
+    evm_max: maxVal(slice.map((s) => s.evm_pct)),
+    invalid_frac: slice.filter((s) => s.invalid).length / slice.length,
+    stuck_frac: slice.filter((s) => s.stuck).length / slice.length,
+    missing_frac: missingFraction(slice),
   };
+  return Object.assign(summary, extractFeatures(recent, features));
+}
+
+// Series the fixed summary keeps running sums for, read from screened samples. Packet-layer
+// metrics missing from a sample count as 0, as in windowFrom(); a missing EVM is skipped.
+const SUMMARY_SERIES = {
+  snr: (s) => s.snr_db,
+  ber: (s) => s.ber,
+  ber_log: (s) => Math.log10(s.ber),
+  latency: (s) => s.latency_ms,
+  retries: (s) => s.retries,
+  throughput: (s) => s.throughput_mbps,
+  goodput: (s) => s.goodput_mbps,
+  queue: (s) => s.queue_depth || 0,
+  packet_loss: (s) => s.packet_loss || 0,
+  evm: (s) => s.evm_pct,
+};
+const SUMMARY_MAX_SERIES = ["ber", "latency", "queue", "evm"];
+
+// One scale of the multi-scale features for RollingWindow: what extractFeatures() gives for the
+// last `size` screened samples, updated as samples enter and leave. Trends, counts and jitter come
+// from running sums, the longest outage from a monotonic queue of outage runs, and percentiles
+// from sorted arrays (binary search, one splice). An EWMA's weights depend on how many readings
+// it averages, so only a change in that count recomputes it. `entryAt(seq)` looks up
+// RollingWindow entries, which carry `outage` and `run_length` (see RollingWindow.push) and the
+// latency `step` from their predecessor, which this class fills in.
+class ScaleWindow {
+  constructor(name, size, config, entryAt) {
+    this.name = name;
+    this.size = size;
+    this.entryAt = entryAt;
+    const enabled = (group) => config[group] && config[group].enabled;
+    const metrics = (group) => (enabled(group) ? config[group].metrics.map((key) => FEATURE_METRICS[key]) : []);
+    this.ewmaMetrics = metrics("ewma");
+    this.slopeMetrics = metrics("slope");
+    this.percentileMetrics = metrics("percentiles");
+    this.levels = enabled("percentiles") ? config.percentiles.levels : [];
+    this.berLevels = enabled("ber_fraction") ? Object.entries(config.ber_fraction.levels) : [];
+    this.outages = enabled("outages");
+    this.jitter = enabled("jitter");
+    this.rebuild([]);
+  }
+
+  // Starts over from `entries`, the last `size` RollingWindow entries (oldest first). Also keeps
+  // the running sums from drifting, and rebases slope positions.
+  rebuild(entries) {
+    this.stale = false;
+    this.count = 0;
+    this.lo = entries.length ? entries[0].seq : Infinity;
+    this.hi = entries.length ? entries[entries.length - 1].seq : 0;
+    this.base = entries.length ? entries[0].seq : 0;
+    this.slopes = this.slopeMetrics.map(() => ({ n: 0, sx: 0, sy: 0, sxx: 0, sxy: 0 }));
+    this.sorted = this.percentileMetrics.map(() => []);
+    this.berRead = 0;
+    this.berAbove = this.berLevels.map(() => 0);
+    this.outageCount = 0;
+    this.runStarts = 0;
+    // Outage runs that ended inside the window, { end, length }, longest first; `partial` is the
+    // run the window's start cuts into, once it has left the queue.
+    this.runs = [];
+    this.partial = null;
+    this.stepSum = 0;
+    this.stepCount = 0;
+    this.ewmas = this.ewmaMetrics.map(() => ({ values: new RingBuffer(this.size) }));
+    entries.forEach((entry, i) => {
+      this._add(entry, i ? entries[i - 1] : null);
+      this.ewmas.forEach((ewma, k) => {
+        const v = this._trend(this.ewmaMetrics[k], entry);
+        if (Number.isFinite(v)) ewma.values.push(v);
+      });
+    });
+    this.ewmas.forEach((ewma) => this._resumEwma(ewma));
+  }
+
+  // Marks the scale for a rebuild if a changed reading lies inside its window.
+  touch(entry) {
+    if (entry.seq >= this.lo && entry.seq <= this.hi) this.stale = true;
+  }
+
+  // Drops the entry with sequence number `seq` - size as entry `seq` is about to arrive. Call
+  // before RollingWindow evicts it.
+  slide(seq) {
+    const leaving = this.entryAt(seq - this.size);
+    if (!leaving || leaving.seq < this.lo) return;
+    const next = this.entryAt(leaving.seq + 1);
+    this.count -= 1;
+    this.lo = leaving.seq + 1;
+    this.slopeMetrics.forEach((metric, k) => this._sum(this.slopes[k], leaving, this._trend(metric, leaving), -1));
+    this.percentileMetrics.forEach((metric, k) => {
+      const v = metric.value(leaving.sample);
+      if (Number.isFinite(v)) this.sorted[k].splice(sortedIndex(this.sorted[k], v), 1);
+    });
+    this._countBer(leaving, -1);
+    if (leaving.outage) this.outageCount -= 1;
+    if (leaving.run_length === 1) this.runStarts -= 1;
+    if (next && Number.isFinite(next.step)) {
+      this.stepSum -= next.step;
+      this.stepCount -= 1;
+    }
+    this.ewmas.forEach((ewma, k) => {
+      const v = this._trend(this.ewmaMetrics[k], leaving);
+      if (!Number.isFinite(v)) return;
+      ewma.leaving = ewma.values.at(0);
+    });
+  }
+
+  // Adds the newest entry, after slide() made room for it.
+  push(entry) {
+    const prev = this.count ? this.entryAt(entry.seq - 1) : null;
+    if (!this.count) {
+      this.lo = entry.seq;
+      this.base = entry.seq;
+    }
+    this._add(entry, prev);
+    this.ewmas.forEach((ewma, k) => {
+      const v = this._trend(this.ewmaMetrics[k], entry);
+      const added = Number.isFinite(v);
+      const removed = ewma.leaving !== undefined;
+      if (removed) {
+        ewma.sum -= ewma.oldest_weight * ewma.leaving;
+        ewma.values.shift();
+        ewma.leaving = undefined;
+      }
+      if (added) {
+        ewma.sum = ewma.decay * ewma.sum + v;
+        ewma.values.push(v);
+      }
+      if (added !== removed) this._resumEwma(ewma);
+    });
+    if (entry.seq - this.base >= 2 * this.size) this.stale = true;
+  }
+
+  _trend(metric, entry) {
+    return (metric.trend || metric.value)(entry.sample);
+  }
+
+  _add(entry, prev) {
+    this.count += 1;
+    this.hi = entry.seq;
+    this.slopeMetrics.forEach((metric, k) => this._sum(this.slopes[k], entry, this._trend(metric, entry), 1));
+    this.percentileMetrics.forEach((metric, k) => {
+      const v = metric.value(entry.sample);
+      if (Number.isFinite(v)) this.sorted[k].splice(sortedIndex(this.sorted[k], v), 0, v);
+    });
+    this._countBer(entry, 1);
+    if (entry.outage) this.outageCount += 1;
+    if (entry.run_length === 1) this.runStarts += 1;
+    if (prev && prev.outage && !entry.outage) {
+      const run = { end: prev.seq, length: prev.run_length };
+      while (this.runs.length && this.runs[this.runs.length - 1].length <= run.length) this.runs.pop();
+      this.runs.push(run);
+    }
+    if (prev) {
+      entry.step = Math.abs(entry.sample.latency_ms - prev.sample.latency_ms);
+      if (Number.isFinite(entry.step)) {
+        this.stepSum += entry.step;
+        this.stepCount += 1;
+      }
+    }
+  }
+
+  _sum(acc, entry, y, sign) {
+    if (!Number.isFinite(y)) return;
+    const x = entry.seq - this.base;
+    acc.n += sign;
+    acc.sx += sign * x;
+    acc.sy += sign * y;
+    acc.sxx += sign * x * x;
+    acc.sxy += sign * x * y;
+  }
+
+  _countBer(entry, sign) {
+    const ber = entry.sample.ber;
+    if (!Number.isFinite(ber)) return;
+    this.berRead += sign;
+    this.berLevels.forEach(([, level], k) => {
+      if (ber > level) this.berAbove[k] += sign;
+    });
+  }
+
+  // The EWMA as a sum over its readings, newest weighted 1 and each older one by another
+  // `decay`; ewma() equals alpha * sum + decay^n * oldest.
+  _resumEwma(ewma) {
+    const n = ewma.values.length;
+    ewma.alpha = 2 / (n + 1);
+    ewma.decay = 1 - ewma.alpha;
+    ewma.oldest_weight = n ? ewma.decay ** (n - 1) : 0;
+    ewma.sum = 0;
+    ewma.values.forEach((v) => {
+      ewma.sum = ewma.decay * ewma.sum + v;
+    });
+  }
+
+  // Longest outage run inside the window, the run cut by the window's start included.
+  _maxRun() {
+    const runs = this.runs;
+    while (runs.length && runs[0].end - runs[0].length + 1 < this.lo) {
+      const run = runs.shift();
+      if (run.end >= this.lo) this.partial = run;
+    }
+    let longest = runs.length ? runs[0].length : 0;
+    if (this.partial) {
+      if (this.partial.end >= this.lo) longest = Math.max(longest, this.partial.end - this.lo + 1);
+      else this.partial = null;
+    }
+    const last = this.entryAt(this.hi);
+    if (last && last.outage) longest = Math.max(longest, Math.min(last.run_length, this.count));
+    return longest;
+  }
+
+  // Writes this scale's features into `out`, named as extractFeatures() names them.
+  features(out) {
+    const scale = this.name;
+    this.ewmaMetrics.forEach((metric, k) => {
+      const ewma = this.ewmas[k];
+      const n = ewma.values.length;
+      out[`${metric.trendName || metric.name}_ewma_${scale}`] = n
+        ? ewma.alpha * ewma.sum + ewma.decay ** n * ewma.values.at(0)
+        : NaN;
+    });
+    this.slopeMetrics.forEach((metric, k) => {
+      const acc = this.slopes[k];
+      out[`${metric.trendName || metric.name}_slope_${scale}`] =
+        acc.n < 2 ? 0 : (acc.sxy - (acc.sx * acc.sy) / acc.n) / (acc.sxx - (acc.sx * acc.sx) / acc.n);
+    });
+    this.percentileMetrics.forEach((metric, k) => {
+      const sorted = this.sorted[k];
+      for (const level of this.levels) {
+        out[`${metric.name}_p${level}_${scale}`] = sorted.length ? percentile(sorted, level) : NaN;
+      }
+    });
+    this.berLevels.forEach(([name], k) => {
+      out[`ber_frac_${name}_${scale}`] = this.berRead ? this.berAbove[k] / this.berRead : NaN;
+    });
+    if (this.outages) {
+      const first = this.entryAt(this.lo);
+      const cut = first && first.outage && first.run_length > 1 ? 1 : 0;
+      out[`outage_frac_${scale}`] = this.count ? this.outageCount / this.count : NaN;
+      out[`outage_runs_${scale}`] = this.runStarts + cut;
+      out[`outage_max_run_${scale}`] = this._maxRun();
+    }
+    if (this.jitter) {
+      const pairs = this.count - 1;
+      out[`latency_jitter_${scale}`] = pairs > 0 ? (this.stepCount ? this.stepSum / this.stepCount : NaN) : 0;
+    }
+  }
+}
+
+// Position at which `value` sits, or would be inserted, in ascending `sorted`.
+function sortedIndex(sorted, value) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// windowFrom() for a stream: push() samples in tick order and get the features windowFrom()
+// would give for the history so far, without re-reducing the window. Screening works on the
+// same span as windowFrom(). The fixed summary comes from running sums and monotonic max queues
+// and each scale of the multi-scale features from a ScaleWindow, O(1) per sample apart from the
+// percentiles' splices; only a stuck run reaching or losing STUCK_RUN_MIN samples revisits its
+// members.
+class RollingWindow {
+  constructor(windowSize = 20, features = DEFAULT_FEATURE_CONFIG) {
+    this.windowSize = windowSize;
+    this.features = features;
+    this.span = featureSpan(windowSize, features);
+    this.reset();
+  }
+
+  reset() {
+    // { seq, raw, sample, flags }: the pushed sample, its screened copy (see screenSamples) and
+    // which of its readings are flagged stuck.
+    this.buffer = new RingBuffer(this.span);
+    this.seq = 0;
+    // Runs of equal readings per stuck metric, oldest first: { first, length, value }. Invalid
+    // readings, and readings at the clip floor, form runs of their own that nothing extends.
+    this.runs = {};
+    for (const metric of STUCK_METRICS) this.runs[metric] = new RingBuffer(this.span);
+    this._resetSums(1);
+    this.scales = Object.entries(this.features.windows).map(
+      ([name, size]) => new ScaleWindow(name, size, this.features, (seq) => this._entry(seq))
+    );
+  }
+
+  push(sample) {
+    this.seq += 1;
+    const seq = this.seq;
+    // Set when a reading inside the window changes, here or in _evict().
+    this.maxStale = false;
+    const leaving = this._entry(seq - this.windowSize);
+    if (leaving) this._count(leaving, -1);
+    for (const scale of this.scales) scale.slide(seq);
+    if (this.buffer.length === this.span) this._evict();
+
+    const copy = Object.assign({}, sample, { invalid: 0, stuck: false });
+    for (const metric of Object.keys(READING_RANGES)) {
+      if (validReading(metric, sample[metric])) continue;
+      copy[metric] = NaN;
+      copy.invalid += 1;
+    }
+    // `outage` and `run_length` (outage samples in a row, up to this one) for the ScaleWindows.
+    const outages = this.features.outages;
+    const prev = this.buffer.at(-1);
+    const outage = Boolean(outages && outages.enabled && copy.ber >= outages.min_ber);
+    const run_length = outage ? (prev && prev.outage ? prev.run_length : 0) + 1 : 0;
+    const entry = { seq, raw: sample, sample: copy, flags: {}, outage, run_length };
+    this.buffer.push(entry);
+    this._count(entry, 1);
+    for (const metric of STUCK_METRICS) this._extendRun(metric, entry);
+    for (const scale of this.scales) {
+      scale.push(entry);
+      if (scale.stale) scale.rebuild(this.buffer.slice(-scale.size));
+    }
+
+    if (seq - this.base >= 2 * this.windowSize) this._rebuildSums();
+    else if (this.maxStale) this._rebuildMax();
+    else this._pushMax(entry);
+    return this._window();
+  }
+
+  // Entry with sequence number `seq`, if still buffered.
+  _entry(seq) {
+    const first = this.buffer.at(0);
+    return first && seq >= first.seq ? this.buffer.at(seq - first.seq) : undefined;
+  }
+
+  _inWindow(entry) {
+    return entry.seq > this.seq - this.windowSize;
+  }
+
+  _resetSums(base) {
+    this.base = base;
+    this.sums = {};
+    for (const name of Object.keys(SUMMARY_SERIES)) {
+      this.sums[name] = { n: 0, sum: 0, sumsq: 0, sx: 0, sxx: 0, sxy: 0 };
+    }
+    this.maxQueues = {};
+    for (const name of SUMMARY_MAX_SERIES) this.maxQueues[name] = [];
+    this.maxStale = false;
+    this.invalidCount = 0;
+    this.stuckCount = 0;
+  }
+
+  // Adds (sign 1) or removes (sign -1) an entry's screened readings from the running sums.
+  // Slopes use positions relative to `base`, rebased when the sums are rebuilt.
+  _count(entry, sign) {
+    const s = entry.sample;
+    const x = entry.seq - this.base;
+    for (const [name, read] of Object.entries(SUMMARY_SERIES)) {
+      const y = read(s);
+      if (!Number.isFinite(y)) continue;
+      const acc = this.sums[name];
+      acc.n += sign;
+      acc.sum += sign * y;
+      acc.sumsq += sign * y * y;
+      acc.sx += sign * x;
+      acc.sxx += sign * x * x;
+      acc.sxy += sign * x * y;
+    }
+    if (s.invalid) this.invalidCount += sign;
+    if (s.stuck) this.stuckCount += sign;
+  }
+
+  // Recomputes the sums over the window, which also keeps rounding from building up.
+  _rebuildSums() {
+    const entries = this.buffer.slice(-this.windowSize);
+    this._resetSums(entries[0].seq);
+    for (const entry of entries) this._count(entry, 1);
+    this._rebuildMax();
+  }
+
+  // After readings inside the window changed, the max queues start over from the window.
+  _rebuildMax() {
+    for (const name of SUMMARY_MAX_SERIES) this.maxQueues[name] = [];
+    this.buffer.slice(-this.windowSize).forEach((entry) => this._pushMax(entry));
+  }
+
+  _pushMax(entry) {
+    for (const name of SUMMARY_MAX_SERIES) {
+      const queue = this.maxQueues[name];
+      while (queue.length && queue[0].seq <= this.seq - this.windowSize) queue.shift();
+      const value = SUMMARY_SERIES[name](entry.sample);
+      if (!Number.isFinite(value)) continue;
+      while (queue.length && queue[queue.length - 1].value <= value) queue.pop();
+      queue.push({ seq: entry.seq, value });
+    }
+  }
+
+  _setStuck(entry, metric, stuck) {
+    if (Boolean(entry.flags[metric]) === stuck) return;
+    const counted = this._inWindow(entry);
+    if (counted) this._count(entry, -1);
+    entry.flags[metric] = stuck;
+    entry.sample[metric] = stuck ? NaN : entry.raw[metric];
+    entry.sample.stuck = STUCK_METRICS.some((m) => entry.flags[m]);
+    for (const scale of this.scales) scale.touch(entry);
+    if (counted) {
+      this._count(entry, 1);
+      this.maxStale = true;
+    }
+  }
+
+  // As in screenSamples: in a run of at least STUCK_RUN_MIN equal readings all but the first
+  // are stuck.
+  _flagRun(metric, run) {
+    for (let seq = run.first; seq < run.first + run.length; seq++) {
+      this._setStuck(this._entry(seq), metric, seq > run.first && run.length >= STUCK_RUN_MIN);
+    }
+  }
+
+  _extendRun(metric, entry) {
+    const runs = this.runs[metric];
+    const value = entry.sample[metric];
+    const last = runs.at(-1);
+    if (!last || !canStick(metric, value) || value !== last.value) {
+      runs.push({ first: entry.seq, length: 1, value });
+      return;
+    }
+    last.length += 1;
+    if (last.length === STUCK_RUN_MIN) this._flagRun(metric, last);
+    else if (last.length > STUCK_RUN_MIN) this._setStuck(entry, metric, true);
+  }
+
+  // Drops the oldest entry; the runs it started lose their first sample.
+  _evict() {
+    const oldest = this.buffer.shift();
+    for (const metric of STUCK_METRICS) {
+      const runs = this.runs[metric];
+      const run = runs.at(0);
+      run.first += 1;
+      run.length -= 1;
+      if (!run.length) runs.shift();
+      else if (run.length === STUCK_RUN_MIN - 1) this._flagRun(metric, run);
+      else this._setStuck(this._entry(run.first), metric, false);
+    }
+    return oldest;
+  }
+
+  _window() {
+    const sums = this.sums;
+    const meanOf = (name) => (sums[name].n ? sums[name].sum / sums[name].n : NaN);
+    // A variance within the running sums' rounding noise is zero (e.g. a single reading).
+    const stdOf = (name) => {
+      if (!sums[name].n) return NaN;
+      const m = meanOf(name);
+      const variance = sums[name].sumsq / sums[name].n - m * m;
+      return variance > 1e-12 * m * m ? Math.sqrt(variance) : 0;
+    };
+    const maxOf = (name) => (this.maxQueues[name].length ? this.maxQueues[name][0].value : NaN);
+    const berLog = sums.ber_log;
+    const slopeDen = berLog.sxx - (berLog.sx * berLog.sx) / berLog.n;
+    const count = Math.min(this.seq, this.windowSize);
+    const first = this.buffer.at(-count).raw;
+    const last = this.buffer.at(-1).raw;
+    let missing = 0;
+    if (count > 1) {
+      missing = Number.isFinite(last.time_s)
+        ? missingFraction(this.buffer.slice(-count).map((e) => e.sample))
+        : 1 - count / (last.t - first.t + 1);
+    }
+    const summary = {
+      snr_mean: meanOf("snr"),
+      snr_std: stdOf("snr"),
+      ber_mean: meanOf("ber"),
+      ber_max: maxOf("ber"),
+      latency_mean: meanOf("latency"),
+      latency_max: maxOf("latency"),
+      retries_mean: meanOf("retries"),
+      ber_log_std: stdOf("ber_log"),
+      ber_log_slope: berLog.n < 2 ? 0 : (berLog.sxy - (berLog.sx * berLog.sum) / berLog.n) / slopeDen,
+      throughput_mean: meanOf("throughput"),
+      goodput_mean: meanOf("goodput"),
+      goodput_efficiency: meanOf("goodput") / meanOf("throughput"),
+      rate_fraction: meanOf("throughput") / MCS_TABLE[MCS_TABLE.length - 1].rate_mbps,
+      queue_mean: meanOf("queue"),
+      queue_max: maxOf("queue"),
+      packet_loss_mean: meanOf("packet_loss"),
+      evm_mean: meanOf("evm"),
+      evm_max: maxOf("evm"),
+      invalid_frac: this.invalidCount / count,
+      stuck_frac: this.stuckCount / count,
+      missing_frac: missing,
+    };
+    for (const scale of this.scales) scale.features(summary);
+    return summary;
+  }
+}
+
+// Cross-link correlation. Several links diagnosed with the same cause at the same time usually
+// share one source, so each group is matched against the topology: a radio cause confined to
+// one area points at an area interferer, congestion (or symptoms no rule explains) on links
+// through one node at that node's backhaul.
+const MIN_CORRELATED_LINKS = 2;
+const AREA_CAUSES = [RootCause.WIDEBAND_JAMMER, RootCause.NOISE_SPIKE, RootCause.ADJACENT_CHANNEL];
+
+// `diagnoses` maps link id to that link's diagnosis. Returns groups of
+// { cause, scope: "area" | "shared_node" | "correlated", links, confidence, explanation } plus
+// `centre`/`radius` for an area or `node` for a shared node, strongest first. The confidence is
+// the links' mean confidence scaled by how well the group fits its scope.
+function correlateLinks(topology, diagnoses) {
+  const nodes = {};
+  topology.nodes.forEach((node) => {
+    nodes[node.id] = node;
+  });
+  const midpoint = (link) => ({
+    x: (nodes[link.from].x + nodes[link.to].x) / 2,
+    y: (nodes[link.from].y + nodes[link.to].y) / 2,
+  });
+
+  const byCause = {};
+  for (const link of topology.links) {
+    const diag = diagnoses[link.id];
+    if (!diag) continue;
+    for (const cause of diag.active_causes) {
+      if (cause === RootCause.HEALTHY) continue;
+      const entry = diag.causes.find((c) => c.cause === cause);
+      (byCause[cause] = byCause[cause] || []).push({ link, confidence: entry ? entry.confidence : diag.confidence });
+    }
+  }
+
+  const groups = [];
+  for (const [cause, members] of Object.entries(byCause)) {
+    if (members.length < MIN_CORRELATED_LINKS) continue;
+    const links = members.map((m) => m.link.id);
+    const names = `links ${links.join(", ")}`;
+    const label = cause === RootCause.UNKNOWN ? "unexplained degradation" : cause.replace(/_/g, " ");
+    const meanConfidence = mean(members.map((m) => m.confidence));
+    const group = { cause, scope: "correlated", links, confidence: meanConfidence, explanation: "" };
+
+    const shared = members
+      .map((m) => [m.link.from, m.link.to])
+      .reduce((common, ends) => common.filter((id) => ends.includes(id)));
+    if (AREA_CAUSES.includes(cause)) {
+      // Smallest circle about the group's centroid holding every affected link's midpoint;
+      // unaffected links inside it count against the area hypothesis.
+      const points = members.map((m) => midpoint(m.link));
+      const centre = { x: mean(points.map((p) => p.x)), y: mean(points.map((p) => p.y)) };
+      const radius = maxVal(points.map((p) => Math.hypot(p.x - centre.x, p.y - centre.y)));
+      const spared = topology.links.filter((link) => {
+        if (links.includes(link.id)) return false;
+        const p = midpoint(link);
+        return Math.hypot(p.x - centre.x, p.y - centre.y) <= radius;
+      });
+      Object.assign(group, { scope: "area", centre, radius });
+      group.confidence = (meanConfidence * links.length) / (links.length + spared.length);
+      const sparedIds = spared.map((l) => l.id).join(", ");
+      group.explanation =
+        `Area ${label} near (${centre.x.toFixed(2)}, ${centre.y.toFixed(2)}) affecting ${names}.` +
+        (spared.length > 1 ? ` Links ${sparedIds} in that area show no ${label}.` : "") +
+        (spared.length === 1 ? ` Link ${sparedIds} in that area shows no ${label}.` : "");
+    } else if ((cause === RootCause.CONGESTION || cause === RootCause.UNKNOWN) && shared.length) {
+      const node = shared[0];
+      const onNode = topology.links.filter((link) => link.from === node || link.to === node).length;
+      Object.assign(group, { scope: "shared_node", node });
+      group.confidence = (meanConfidence * links.length) / onNode;
+      group.explanation =
+        cause === RootCause.CONGESTION
+          ? `Congested shared backhaul at node ${node} affecting ${names}.`
+          : `Unexplained degradation on ${names}, which all meet at node ${node}; check what they share there.`;
+    } else {
+      group.explanation = `Simultaneous ${label} on ${names} suggests a common cause.`;
+    }
+    groups.push(group);
+  }
+  return groups.sort((a, b) => b.links.length - a.links.length || b.confidence - a.confidence);
 }
 
 // expose to global scope for non-module usage
 window.RootCause = RootCause;
 window.DiagnosticEngine = DiagnosticEngine;
+window.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+window.THRESHOLD_NAMES = THRESHOLD_NAMES;
 window.windowFrom = windowFrom;
+window.RollingWindow = RollingWindow;
+window.DEFAULT_FEATURE_CONFIG = DEFAULT_FEATURE_CONFIG;
+window.validateFeatureConfig = validateFeatureConfig;
+window.featureSpan = featureSpan;
+window.validReading = validReading;
+window.correlateLinks = correlateLinks;
+window.explainRejection = explainRejection;
@@ -0,0 +1,39 @@
+// Engine worker: runs fast-forward batches (see runFastForward in engine.js) off the page's
+// thread. The core scripts publish their API on `window`, so point it at the worker's global
+// before loading them in dependency order (as tools/load-core.js does for Node).
+self.window = self;
+
+importScripts(
+  "channel.js",
+  "packet.js",
+  "phy.js",
+  "simulator.js",
+  "rules.js",
+  "rolling.js",
+  "diagnostics.js",
+  "changepoint.js",
+  "scenario.js",
+  "telemetry.js",
+  "evaluation.js",
+  "bayes.js",
+  "mitigation.js",
+  "plugins.js",
+  "engine.js"
+);
+
+// Messages:
+//   { type: "init", plugins: [urls] }   load the page's fault plugin scripts
+//   { type: "run", job }                run one batch; answered with { type: "batch", batch }
+//                                       or { type: "error", message }
+self.onmessage = (event) => {
+  const msg = event.data;
+  try {
+    if (msg.type === "init") {
+      importScripts(...msg.plugins);
+    } else if (msg.type === "run") {
+      self.postMessage({ type: "batch", batch: runFastForward(msg.job) });
+    }
+  } catch (err) {
+    self.postMessage({ type: "error", message: err.message });
+  }
+};
@@ -0,0 +1,107 @@
+// The per-tick diagnosis pipeline shared by the page and the engine worker (engine-worker.js),
+// and the fast-forward batches the worker runs. A batch is stateless: it gets everything it
+// resumes from as plain data and hands the simulator and change detector back, so the page
+// can change any setting between batches and pick the link up when fast-forward stops.
+
+// The per-tick record the views, incidents and alerts work from.
+function diagnosisEntry(sample, diag) {
+  return {
+    t: sample.t,
+    primary_cause: diag.primary_cause,
+    confidence: diag.confidence,
+    ranked_causes: diag.ranked_causes,
+    causes: diag.causes,
+    active_causes: diag.active_causes,
+    explanation: diag.explanation,
+    suggested_actions: diag.suggested_actions,
+    suggested_mitigations: diag.suggested_mitigations,
+    contributing_rules: diag.contributing_rules,
+    confidence_model: diag.confidence_model,
+    change_points: diag.change_points,
+    cause_checks: diag.cause_checks,
+    active_faults: sample.active_faults,
+  };
+}
+
+// Change points, rolling window and engine for one stream of samples.
+class DiagnosisStream {
+  constructor(engine, changes, windowSize = 20) {
+    this.engine = engine;
+    this.changes = changes;
+    this.windowSize = windowSize;
+    this.restart();
+  }
+
+  // Starts a new rolling window, e.g. after a reset or when the engine's feature config changed.
+  // `recent` samples (oldest first) refill it, so the next window carries on from them.
+  restart(recent = []) {
+    this.window = new RollingWindow(this.windowSize, this.engine.feature_config);
+    recent.slice(-this.window.span).forEach((sample) => this.window.push(sample));
+  }
+
+  // Returns { window, diagnosis, entry } for the next sample.
+  observe(sample) {
+    this.changes.observe(sample);
+    const window = this.window.push(sample);
+    const diagnosis = this.engine.diagnose(window, changePointsAt(this.changes.events, sample.t, 20));
+    return { window, diagnosis, entry: diagnosisEntry(sample, diagnosis) };
+  }
+}
+
+// What a batch needs to rebuild an engine configured like `engine`.
+function engineSettings(engine) {
+  return {
+    rule_base: engine.ruleBase,
+    feature_config: engine.feature_config,
+    baseline: engine.baseline,
+    bayes_model: engine.bayes_model,
+  };
+}
+
+function engineFromSettings(settings) {
+  const engine = new DiagnosticEngine(settings.rule_base);
+  engine.setFeatureConfig(settings.feature_config);
+  if (settings.baseline) engine.setBaseline(settings.baseline);
+  if (settings.bayes_model) engine.setBayesModel(new NaiveBayesModel(settings.bayes_model));
+  return engine;
+}
+
+// Ticks between checks of a batch's time budget.
+const FAST_FORWARD_CHUNK = 50;
+
+// Runs one fast-forward batch. `job` is plain data:
+//   simulator, changes  the CommLinkSimulator and ChangePointDetector to continue from
+//   engine              engineSettings() of the engine to diagnose with
+//   recent              the latest samples, to refill the rolling window
+//   timeline            optional { segments, seed, base }: a scenario timeline over `base` faults
+//   budget_ms           how long to run; at least one chunk of ticks runs
+// Returns { samples, entries, simulator, changes }. Only the last entry keeps its rule checks
+// (cause_checks, contributing_rules): the views explain the latest diagnosis only.
+function runFastForward(job) {
+  const sim = CommLinkSimulator.restore(job.simulator);
+  const stream = new DiagnosisStream(engineFromSettings(job.engine), ChangePointDetector.restore(job.changes));
+  stream.restart(job.recent);
+  const timeline = job.timeline ? new FaultScenario(job.timeline.segments, job.timeline.seed) : null;
+  const samples = [];
+  const entries = [];
+  const deadline = Date.now() + job.budget_ms;
+  do {
+    for (let i = 0; i < FAST_FORWARD_CHUNK; i++) {
+      if (timeline) sim.setFaultConfig(timeline.configAt(sim.t + 1, job.timeline.base));
+      const sample = sim.step();
+      samples.push(sample);
+      entries.push(stream.observe(sample).entry);
+    }
+  } while (Date.now() < deadline);
+  for (const entry of entries.slice(0, -1)) {
+    delete entry.cause_checks;
+    delete entry.contributing_rules;
+  }
+  return { samples, entries, simulator: sim, changes: stream.changes };
+}
+
+// expose to global scope for non-module usage
+window.diagnosisEntry = diagnosisEntry;
+window.DiagnosisStream = DiagnosisStream;
+window.engineSettings = engineSettings;
+window.runFastForward = runFastForward;
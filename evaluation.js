@@ -0,0 +1,395 @@
+// Headless batch evaluation of the diagnostic engine against the simulator's ground truth.
+// Uses only CommLinkSimulator, DiagnosticEngine, windowFrom and ChangePointDetector; no DOM access.
+
+// `expected` lists the root causes that count as a detection once the faults switch on.
+const DEFAULT_SCENARIOS = [
+  { name: "healthy", faults: {}, expected: [] },
+  { name: "noise spike", faults: { noise_spike_level: 0.8 }, expected: [RootCause.NOISE_SPIKE] },
+  { name: "wideband jammer", faults: { jammer_level: 0.8 }, expected: [RootCause.WIDEBAND_JAMMER] },
+  { name: "sync loss", faults: { sync_loss_prob: 0.2 }, expected: [RootCause.SYNC_LOSS] },
+  { name: "congestion", faults: { congestion_level: 0.8 }, expected: [RootCause.CONGESTION] },
+  { name: "fading", faults: { fading_severity: 0.8 }, expected: [RootCause.FADING] },
+  {
+    name: "rayleigh fading",
+    faults: { fading_severity: 0.8 },
+    channel: { model: "rayleigh", doppler_norm: 0.05 },
+    expected: [RootCause.FADING],
+  },
+  {
+    name: "burst errors",
+    faults: { fading_severity: 0.8 },
+    channel: { model: "gilbert_elliott" },
+    expected: [RootCause.FADING],
+  },
+  { name: "oscillator drift", faults: { oscillator_drift_level: 0.8 }, expected: [RootCause.OSCILLATOR_DRIFT] },
+  {
+    name: "adjacent channel",
+    faults: { adjacent_channel_level: 0.8, adjacent_channel_offset: 1.0 },
+    expected: [RootCause.ADJACENT_CHANNEL],
+  },
+  {
+    name: "jammer + congestion",
+    faults: { jammer_level: 0.6, congestion_level: 0.6 },
+    expected: [RootCause.WIDEBAND_JAMMER, RootCause.CONGESTION],
+  },
+  {
+    name: "corrupt telemetry",
+    faults: { telemetry_outlier_level: 0.6, telemetry_nan_level: 0.6 },
+    expected: [RootCause.MONITORING_FAULT],
+  },
+  { name: "stuck telemetry", faults: { telemetry_stuck_level: 0.8 }, expected: [RootCause.MONITORING_FAULT] },
+  {
+    name: "lost telemetry",
+    faults: { telemetry_dropout_level: 0.6, telemetry_gap_level: 0.6 },
+    expected: [RootCause.MONITORING_FAULT],
+  },
+];
+
+// Runs one scenario: `warmup` healthy ticks, then the scenario's faults for `ticks` ticks.
+// An optional `timeline` (FaultScenario segments, ticks counted from fault start) is layered
+// on top of the static `faults`; an optional `channel` selects the fading channel model.
+// `keepWindows` stores each tick's feature window on its record (for model training).
+function runScenario(
+  scenario,
+  { ticks = 300, warmup = 50, seed = 1, windowSize = 20, engine, keepWindows = false } = {}
+) {
+  const sim = new CommLinkSimulator(seed);
+  if (scenario.channel) sim.setChannelConfig(Object.assign(new ChannelConfig(), scenario.channel));
+  const diagEngine = engine || new DiagnosticEngine();
+  const timeline = scenario.timeline ? new FaultScenario(scenario.timeline, seed) : null;
+  const faults = Object.assign(new FaultConfig(), scenario.faults);
+  const expected = scenario.expected;
+  const history = [];
+  const records = [];
+  let detectedAt = null;
+  const changes = new ChangePointDetector();
+  let faultOnsetAt = null;
+
+  for (let i = 0; i < warmup + ticks; i++) {
+    if (i === warmup) sim.setFaultConfig(faults);
+    if (i >= warmup && timeline) sim.setFaultConfig(timeline.configAt(i - warmup, faults));
+    const sample = sim.step();
+    history.push(sample);
+    changes.observe(sample);
+    if (faultOnsetAt === null && faultsOn(sim.fault_config)) faultOnsetAt = sample.t;
+    const recent = history.slice(-windowSize);
+    const window = windowFrom(history, windowSize, diagEngine.feature_config);
+    // The same change points as live and in replays, so the explanations are dated here too.
+    const diag = diagEngine.diagnose(window, changePointsAt(changes.events, sample.t, windowSize));
+    const record = {
+      t: sample.t,
+      active_faults: sample.active_faults,
+      window_faults: windowFaults(recent),
+      predicted: diag.primary_cause,
+      predicted_set: diag.active_causes,
+      confidence: diag.confidence,
+      ranked: diag.ranked_causes,
+      change_points: diag.change_points,
+    };
+    if (keepWindows) record.window = window;
+    records.push(record);
+    if (i >= warmup && detectedAt === null && expected.includes(diag.primary_cause)) {
+      detectedAt = i - warmup + 1;
+    }
+  }
+
+  return {
+    name: scenario.name,
+    seed,
+    expected,
+    records,
+    time_to_detect: expected.length ? detectedAt : null,
+    change_onset: changeOnset(changes.events, faultOnsetAt),
+  };
+}
+
+// True when any fault is switched on; the adjacent-channel offset alone is not a fault.
+function faultsOn(cfg) {
+  return Object.entries(cfg).some(([field, value]) => field !== "adjacent_channel_offset" && value > 0);
+}
+
+// The first onset flagged once the faults were switched on at `faultT`, against that time, and
+// the onsets flagged before it (false alarms). `detected` and `estimated` are null when missed.
+function changeOnset(events, faultT) {
+  const onsets = events.filter((ev) => ev.kind === ChangeKind.ONSET);
+  const early = onsets.filter((ev) => faultT === null || ev.detected_t < faultT);
+  const first = faultT === null ? null : onsets.find((ev) => ev.detected_t >= faultT);
+  return {
+    fault_t: faultT,
+    detected_t: first ? first.detected_t : null,
+    estimated_t: first ? first.t : null,
+    metric: first ? first.metric : null,
+    false_onsets: early.length,
+  };
+}
+
+// Multi-label comparison of a diagnosed cause set with the injected faults. "healthy" and
+// "unknown" are not fault labels; both sets empty counts as a perfect match (Jaccard 1).
+function labelSetScore(predicted, truth) {
+  const pred = new Set(predicted.filter((c) => c !== RootCause.HEALTHY && c !== RootCause.UNKNOWN));
+  const actual = new Set(truth);
+  const hits = [...actual].filter((f) => pred.has(f));
+  const misses = [...actual].filter((f) => !pred.has(f));
+  const false_alarms = [...pred].filter((c) => !actual.has(c));
+  const union = hits.length + misses.length + false_alarms.length;
+  return { jaccard: union ? hits.length / union : 1, hits, misses, false_alarms };
+}
+
+// Accumulates labelSetScore() results into a mean Jaccard index and per-label hit/miss counts.
+class MultiLabelTally {
+  constructor() {
+    this.count = 0;
+    this.jaccardSum = 0;
+    this.per_label = {};
+  }
+
+  add(score) {
+    this.count += 1;
+    this.jaccardSum += score.jaccard;
+    for (const [key, labels] of [
+      ["hits", score.hits],
+      ["misses", score.misses],
+      ["false_alarms", score.false_alarms],
+    ]) {
+      for (const label of labels) {
+        const entry = this.per_label[label] || (this.per_label[label] = { hits: 0, misses: 0, false_alarms: 0 });
+        entry[key] += 1;
+      }
+    }
+  }
+
+  summary() {
+    return { mean_jaccard: this.count ? this.jaccardSum / this.count : null, per_label: this.per_label };
+  }
+}
+
+// Faults active anywhere in a window of samples, in first-seen order.
+function windowFaults(samples) {
+  const seen = new Set();
+  for (const s of samples) s.active_faults.forEach((f) => seen.add(f));
+  return [...seen];
+}
+
+// Calibration of ranked confidences against the faults present in each window. Every cause's
+// confidence is scored one-vs-rest (a window with no fault counts as "healthy"). Returns the
+// multi-class Brier score and reliability-diagram bins of mean confidence vs observed frequency.
+function calibrationStats(pairs, nBins = 10) {
+  const labels = Object.values(RootCause);
+  const bins = Array.from({ length: nBins }, (_, i) => ({
+    lo: i / nBins,
+    hi: (i + 1) / nBins,
+    count: 0,
+    sum_p: 0,
+    positives: 0,
+  }));
+  let brier = 0;
+  for (const { ranked, truth } of pairs) {
+    const probs = Object.fromEntries(ranked);
+    const actual = new Set(truth.length ? truth : [RootCause.HEALTHY]);
+    for (const label of labels) {
+      const p = probs[label] || 0;
+      const y = actual.has(label) ? 1 : 0;
+      brier += (p - y) ** 2;
+      const bin = bins[Math.min(nBins - 1, Math.floor(p * nBins))];
+      bin.count += 1;
+      bin.sum_p += p;
+      bin.positives += y;
+    }
+  }
+  return {
+    count: pairs.length,
+    brier: pairs.length ? brier / pairs.length : null,
+    bins: bins.map((b) => ({
+      lo: b.lo,
+      hi: b.hi,
+      count: b.count,
+      mean_confidence: b.count ? b.sum_p / b.count : null,
+      observed: b.count ? b.positives / b.count : null,
+    })),
+  };
+}
+
+// Ground-truth label for a tick. With several faults active, a prediction naming any of them
+// counts as correct; otherwise the tick is charged to the first active fault.
+function truthLabel(record) {
+  if (!record.active_faults.length) return RootCause.HEALTHY;
+  if (record.active_faults.includes(record.predicted)) return record.predicted;
+  return record.active_faults[0];
+}
+
+function evaluateScenarios({
+  scenarios = DEFAULT_SCENARIOS,
+  ticks = 300,
+  warmup = 50,
+  seed = 1,
+  windowSize = 20,
+  engine,
+} = {}) {
+  const runs = scenarios.map((sc, i) => runScenario(sc, { ticks, warmup, seed: seed + i, windowSize, engine }));
+
+  const labels = Object.values(RootCause);
+  const confusion = {};
+  for (const truth of labels) {
+    confusion[truth] = {};
+    for (const pred of labels) confusion[truth][pred] = 0;
+  }
+
+  let healthyTicks = 0;
+  let falseAlarms = 0;
+  const tally = new MultiLabelTally();
+  const calibrationPairs = [];
+  for (const run of runs) {
+    for (const rec of run.records) {
+      // Skip ticks whose window has not filled yet.
+      if (rec.t < windowSize) continue;
+      confusion[truthLabel(rec)][rec.predicted] += 1;
+      calibrationPairs.push({ ranked: rec.ranked, truth: rec.window_faults });
+      tally.add(labelSetScore(rec.predicted_set, rec.active_faults));
+      if (!run.expected.length) {
+        healthyTicks += 1;
+        if (rec.predicted !== RootCause.HEALTHY && rec.predicted !== RootCause.UNKNOWN) falseAlarms += 1;
+      }
+    }
+  }
+
+  const per_cause = {};
+  for (const cause of labels) {
+    const tp = confusion[cause][cause];
+    let predicted = 0;
+    let actual = 0;
+    for (const other of labels) {
+      predicted += confusion[other][cause];
+      actual += confusion[cause][other];
+    }
+    if (!predicted && !actual) continue;
+    per_cause[cause] = {
+      precision: predicted ? tp / predicted : null,
+      recall: actual ? tp / actual : null,
+      support: actual,
+    };
+  }
+
+  const faulted = runs.filter((r) => r.expected.length);
+  const detectionTimes = faulted.filter((r) => r.time_to_detect !== null).map((r) => r.time_to_detect);
+  const undetected = faulted.filter((r) => r.time_to_detect === null).map((r) => r.name);
+  const totalDetect = detectionTimes.reduce((a, b) => a + b, 0);
+  const confidence_model = engine && engine.bayes_model ? "naive_bayes" : "rules";
+
+  const flagged = runs.filter((r) => r.change_onset.detected_t !== null);
+  const onsetDelays = flagged.map((r) => r.change_onset.detected_t - r.change_onset.fault_t);
+  const onsetErrors = flagged.map((r) => Math.abs(r.change_onset.estimated_t - r.change_onset.fault_t));
+  const change_detection = {
+    mean_delay: flagged.length ? onsetDelays.reduce((a, b) => a + b, 0) / flagged.length : null,
+    mean_onset_error: flagged.length ? onsetErrors.reduce((a, b) => a + b, 0) / flagged.length : null,
+    missed: runs
+      .filter((r) => r.change_onset.fault_t !== null && r.change_onset.detected_t === null)
+      .map((r) => r.name),
+    false_onsets: runs.reduce((n, r) => n + r.change_onset.false_onsets, 0),
+  };
+
+  return {
+    settings: { ticks, warmup, seed, windowSize, confidence_model },
+    confusion,
+    per_cause,
+    multi_label: tally.summary(),
+    calibration: calibrationStats(calibrationPairs),
+    false_alarm_rate: healthyTicks ? falseAlarms / healthyTicks : null,
+    mean_time_to_detect: detectionTimes.length ? totalDetect / detectionTimes.length : null,
+    undetected,
+    change_detection,
+    scenarios: runs.map((r) => ({
+      name: r.name,
+      seed: r.seed,
+      expected: r.expected,
+      time_to_detect: r.time_to_detect,
+      change_onset: r.change_onset,
+    })),
+  };
+}
+
+function formatReport(result) {
+  const fmtPct = (v) => (v === null ? "   n/a" : `${(v * 100).toFixed(1).padStart(5)}%`);
+  const short = (cause) => cause.replace(/_/g, " ");
+  const lines = [];
+  const { ticks, warmup, seed, windowSize, confidence_model } = result.settings;
+  lines.push(`Batch evaluation: ${ticks} faulted ticks after ${warmup} healthy, seed ${seed}, window ${windowSize}`);
+  lines.push(`Confidence model: ${confidence_model.replace(/_/g, " ")}`);
+  lines.push("");
+
+  const used = Object.keys(result.confusion).filter(
+    (c) =>
+      Object.values(result.confusion[c]).some((n) => n > 0) ||
+      Object.keys(result.confusion).some((r) => result.confusion[r][c] > 0)
+  );
+  const width = Math.max(...used.map((c) => short(c).length), 10) + 2;
+  lines.push("Confusion matrix (rows: ground truth, columns: diagnosed)");
+  lines.push("".padEnd(width) + used.map((c) => short(c).padStart(width)).join(""));
+  for (const truth of used) {
+    lines.push(short(truth).padEnd(width) + used.map((p) => String(result.confusion[truth][p]).padStart(width)).join(""));
+  }
+  lines.push("");
+
+  lines.push("Per-cause precision / recall");
+  for (const [cause, m] of Object.entries(result.per_cause)) {
+    const name = short(cause).padEnd(width);
+    lines.push(`  ${name} precision ${fmtPct(m.precision)}  recall ${fmtPct(m.recall)}  (n=${m.support})`);
+  }
+  lines.push("");
+
+  const jaccard = fmtPct(result.multi_label.mean_jaccard);
+  lines.push(`Multi-label (diagnosed cause set vs injected faults): mean Jaccard ${jaccard}`);
+  for (const [label, c] of Object.entries(result.multi_label.per_label)) {
+    lines.push(`  ${short(label).padEnd(width)} hits ${c.hits}  misses ${c.misses}  false alarms ${c.false_alarms}`);
+  }
+  lines.push("");
+
+  const cal = result.calibration;
+  lines.push(`Calibration (confidence vs faults present in the window): Brier score ${cal.brier.toFixed(3)}`);
+  lines.push("  confidence   windows  mean conf  observed");
+  for (const b of cal.bins) {
+    if (!b.count) continue;
+    const range = `${b.lo.toFixed(1)}-${b.hi.toFixed(1)}`;
+    const meanConf = fmtPct(b.mean_confidence);
+    lines.push(`  ${range.padEnd(10)} ${String(b.count).padStart(9)}     ${meanConf}    ${fmtPct(b.observed)}`);
+  }
+  lines.push("");
+
+  lines.push(`False-alarm rate on healthy runs: ${fmtPct(result.false_alarm_rate)}`);
+  const ttd = result.mean_time_to_detect;
+  lines.push(`Mean time to detect: ${ttd === null ? "n/a" : `${ttd.toFixed(1)} ticks`}`);
+  const nameWidth = Math.max(...result.scenarios.map((sc) => sc.name.length), width);
+  for (const sc of result.scenarios) {
+    if (!sc.expected.length) continue;
+    const t = sc.time_to_detect === null ? "not detected" : `${sc.time_to_detect} ticks`;
+    lines.push(`  ${sc.name.padEnd(nameWidth)} ${t}`);
+  }
+  lines.push("");
+
+  const cd = result.change_detection;
+  const fmtTicks = (v) => (v === null ? "n/a" : `${v.toFixed(1)} ticks`);
+  lines.push("Change-point detection (first onset flagged after the faults switched on)");
+  lines.push(`  mean delay ${fmtTicks(cd.mean_delay)}, onset dated within ${fmtTicks(cd.mean_onset_error)} on average`);
+  lines.push(`  false onsets before any fault: ${cd.false_onsets}`);
+  for (const sc of result.scenarios) {
+    const co = sc.change_onset;
+    if (co.fault_t === null) continue;
+    const t =
+      co.detected_t === null
+        ? "not flagged"
+        : `${co.detected_t - co.fault_t} ticks (${co.metric}, dated ${co.estimated_t - co.fault_t >= 0 ? "+" : ""}${
+            co.estimated_t - co.fault_t
+          })`;
+    lines.push(`  ${sc.name.padEnd(nameWidth)} ${t}`);
+  }
+  return lines.join("\n");
+}
+
+// expose to global scope for non-module usage
+window.DEFAULT_SCENARIOS = DEFAULT_SCENARIOS;
+window.runScenario = runScenario;
+window.labelSetScore = labelSetScore;
+window.MultiLabelTally = MultiLabelTally;
+window.windowFaults = windowFaults;
+window.calibrationStats = calibrationStats;
+window.evaluateScenarios = evaluateScenarios;
+window.formatReport = formatReport;
@@ -0,0 +1,98 @@
+// Incident lifecycle on top of per-tick diagnoses. An incident opens once a non-healthy primary
+// cause has held for `open_dwell` consecutive ticks and closes after `close_dwell` consecutive
+// healthy ticks, so a single flickering diagnosis neither opens nor ends one.
+
+// Severity of a diagnosis: the confidence that the link is not healthy.
+function diagnosisSeverity(diag) {
+  const healthy = diag.ranked_causes.find(([cause]) => cause === RootCause.HEALTHY);
+  return healthy ? 1 - healthy[1] : 1;
+}
+
+// Long runs keep the latest incidents, and the latest confidence points of each.
+const INCIDENTS_KEPT = 500;
+const INCIDENT_POINTS_KEPT = 2000;
+
+class IncidentTracker {
+  constructor({ open_dwell = 5, close_dwell = 15 } = {}) {
+    if (!(open_dwell >= 1 && close_dwell >= 1)) throw new Error("Dwell times must be at least one tick.");
+    this.open_dwell = open_dwell;
+    this.close_dwell = close_dwell;
+    this.incidents = [];
+    this.open = null;
+    this.pending = [];
+    this.healthyRun = 0;
+    this.nextId = 1;
+  }
+
+  // Feeds one diagnosis ({ t, primary_cause, confidence, ranked_causes }) in tick order.
+  observe(diag) {
+    const point = {
+      t: diag.t,
+      cause: diag.primary_cause,
+      confidence: diag.confidence,
+      severity: diagnosisSeverity(diag),
+    };
+    const healthy = diag.primary_cause === RootCause.HEALTHY;
+
+    if (!this.open) {
+      this.pending = healthy ? [] : this.pending.concat(point);
+      if (this.pending.length >= this.open_dwell) this._openIncident();
+      return;
+    }
+
+    const inc = this.open;
+    if (healthy) {
+      this.healthyRun += 1;
+      if (this.healthyRun >= this.close_dwell) {
+        inc.end = diag.t - this.healthyRun + 1;
+        this.open = null;
+        this.healthyRun = 0;
+      }
+      return;
+    }
+    this.healthyRun = 0;
+    this._addPoint(inc, point);
+  }
+
+  _openIncident() {
+    const inc = {
+      id: this.nextId++,
+      start: this.pending[0].t,
+      end: null,
+      cause: null,
+      current_cause: null,
+      cause_ticks: {},
+      peak_severity: 0,
+      peak_t: null,
+      history: [],
+    };
+    this.pending.forEach((point) => this._addPoint(inc, point));
+    this.pending = [];
+    this.incidents.push(inc);
+    if (this.incidents.length > INCIDENTS_KEPT) this.incidents.shift();
+    this.open = inc;
+  }
+
+  // The incident's cause is the one diagnosed on most of its ticks, so it does not flicker.
+  _addPoint(inc, point) {
+    inc.history.push(point);
+    if (inc.history.length > 2 * INCIDENT_POINTS_KEPT) inc.history.splice(0, INCIDENT_POINTS_KEPT);
+    inc.cause_ticks[point.cause] = (inc.cause_ticks[point.cause] || 0) + 1;
+    inc.current_cause = point.cause;
+    if (!inc.cause || inc.cause_ticks[point.cause] > inc.cause_ticks[inc.cause]) inc.cause = point.cause;
+    if (point.severity > inc.peak_severity) {
+      inc.peak_severity = point.severity;
+      inc.peak_t = point.t;
+    }
+  }
+}
+
+// Duration in ticks; open incidents run up to `now`.
+function incidentDuration(inc, now) {
+  return (inc.end === null ? now + 1 : inc.end) - inc.start;
+}
+
+// expose to global scope for non-module usage
+window.diagnosisSeverity = diagnosisSeverity;
+window.IncidentTracker = IncidentTracker;
+window.incidentDuration = incidentDuration;
@@ -0,0 +1,170 @@
+// Executable mitigations and closed-loop remediation. Rules name mitigation types (see the
+// `mitigations` field in rules.js); applying one changes the simulator's MitigationConfig, and
+// the controller compares the link before the change with a window taken entirely after it.
+
+const MITIGATIONS = {
+  switch_channel: {
+    label: "Switch to a clean channel",
+    description: "A wideband jammer only partly covers the new channel and the adjacent interferer is further away.",
+    canApply: (m) => !m.channel_switched,
+    apply: (m) => {
+      m.channel_switched = true;
+    },
+  },
+  raise_fec: {
+    label: "Raise FEC strength",
+    description: "Cuts BER by about 0.8 decades per level at the cost of a lower code rate.",
+    canApply: (m) => m.fec_level < MAX_FEC_LEVEL,
+    apply: (m) => {
+      m.fec_level += 1;
+    },
+  },
+  enable_interleaving: {
+    label: "Enable interleaving",
+    description: "Spreads burst and impulsive errors so coding can correct them; adds interleaver delay.",
+    canApply: (m) => !m.interleaving,
+    apply: (m) => {
+      m.interleaving = true;
+    },
+  },
+  long_preamble: {
+    label: "Lengthen the preamble",
+    description: "Lets the receiver reacquire sync within most would-be outages.",
+    canApply: (m) => !m.long_preamble,
+    apply: (m) => {
+      m.long_preamble = true;
+    },
+  },
+  rate_limit: {
+    label: "Rate-limit offered traffic",
+    description: "Relieves queueing at the cost of 30% of the throughput.",
+    canApply: (m) => !m.rate_limit,
+    apply: (m) => {
+      m.rate_limit = true;
+    },
+  },
+  enable_diversity: {
+    label: "Enable receive diversity",
+    description: "Combining independent branches makes deep fades much rarer.",
+    canApply: (m) => !m.diversity,
+    apply: (m) => {
+      m.diversity = true;
+    },
+  },
+};
+
+// Metric changes that count as a clear improvement (positive) or degradation.
+const EFFECT_MARGINS = {
+  snr_db: 2,
+  ber_decades: 0.5,
+  latency_ms: 15,
+  retries: 0.5,
+};
+
+function linkSnapshot(window, diag) {
+  return {
+    severity: diagnosisSeverity(diag),
+    cause: diag.primary_cause,
+    snr_db: window.snr_mean,
+    ber_decades: Math.log10(window.ber_mean),
+    latency_ms: window.latency_mean,
+    retries: window.retries_mean,
+  };
+}
+
+// "helped", "worse" or "no clear effect". Severity decides when it moved by 0.2 or more;
+// otherwise the metrics do, with higher SNR and lower BER, latency and retries counting as better.
+function judgeEffect(before, after) {
+  const dSeverity = after.severity - before.severity;
+  if (dSeverity <= -0.2) return "helped";
+  if (dSeverity >= 0.2) return "worse";
+  let better = 0;
+  let worse = 0;
+  for (const [metric, margin] of Object.entries(EFFECT_MARGINS)) {
+    const change = (after[metric] - before[metric]) * (metric === "snr_db" ? 1 : -1);
+    if (change >= margin) better += 1;
+    if (change <= -margin) worse += 1;
+  }
+  if (better && !worse) return "helped";
+  if (worse && !better) return "worse";
+  return "no clear effect";
+}
+
+class RemediationController {
+  // `settle_ticks` should cover a whole diagnosis window so the "after" window holds no samples
+  // from before the change. Auto-heal waits `cooldown_ticks` between its own actions.
+  constructor(simulator, { settle_ticks = 20, cooldown_ticks = 30 } = {}) {
+    this.simulator = simulator;
+    this.settle_ticks = settle_ticks;
+    this.cooldown_ticks = cooldown_ticks;
+    this.auto_heal = false;
+    this.log = [];
+    this.nextId = 1;
+  }
+
+  // The given mitigation types that can still be applied to the link.
+  available(types) {
+    return types.filter((type) => MITIGATIONS[type].canApply(this.simulator.mitigation_config));
+  }
+
+  // Applies a mitigation from the next tick on. `window` and `diag` describe the link at tick `t`.
+  execute(type, t, window, diag, trigger = "manual") {
+    const mitigation = MITIGATIONS[type];
+    if (!mitigation) throw new Error(`Unknown mitigation "${type}".`);
+    const cfg = Object.assign(new MitigationConfig(), this.simulator.mitigation_config);
+    if (!mitigation.canApply(cfg)) throw new Error(`${mitigation.label}: already at its limit.`);
+    mitigation.apply(cfg);
+    this.simulator.setMitigationConfig(cfg);
+    const entry = {
+      id: this.nextId++,
+      type,
+      label: mitigation.label,
+      trigger,
+      t,
+      before: linkSnapshot(window, diag),
+      after: null,
+      verdict: null,
+    };
+    this.log.push(entry);
+    return entry;
+  }
+
+  // Call once per tick after diagnosing. Scores actions whose settle time has passed and, in
+  // auto-heal mode, applies the first available mitigation for an open incident. Returns the
+  // auto-heal log entry, if any.
+  observe(t, window, diag, incident) {
+    for (const entry of this.log) {
+      if (entry.verdict || t - entry.t < this.settle_ticks) continue;
+      entry.after = linkSnapshot(window, diag);
+      entry.verdict = judgeEffect(entry.before, entry.after);
+    }
+    if (!this.auto_heal || !incident || incident.end !== null) return null;
+    if (this.log.some((entry) => !entry.verdict)) return null;
+    const last = this.log[this.log.length - 1];
+    if (last && t - last.t < this.cooldown_ticks) return null;
+    // Mitigations that did not help once are not retried automatically.
+    const failed = this.log.filter((entry) => entry.verdict !== "helped").map((entry) => entry.type);
+    const [type] = this.available(diag.suggested_mitigations).filter((candidate) => !failed.includes(candidate));
+    return type ? this.execute(type, t, window, diag, "auto-heal") : null;
+  }
+
+  // True while observe() has work to do on every tick: auto-heal is on or an action awaits its
+  // verdict.
+  get active() {
+    return this.auto_heal || this.log.some((entry) => !entry.verdict);
+  }
+
+  // Pending evaluations refer to ticks of the run they were taken in.
+  clearLog() {
+    this.log = [];
+  }
+
+  clearMitigations() {
+    this.simulator.setMitigationConfig(new MitigationConfig());
+  }
+}
+
+// expose to global scope for non-module usage
+window.MITIGATIONS = MITIGATIONS;
+window.judgeEffect = judgeEffect;
+window.RemediationController = RemediationController;
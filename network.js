@@ -0,0 +1,162 @@
+// Multi-link network: one CommLinkSimulator per link of a topology. Faults attach either to a
+// single link (its local FaultConfig) or to a shared source that reaches several links at once:
+// an area jammer with a location and radius, or a congested backhaul behind one node.
+
+const TopologyKind = {
+  STAR: "star",
+  MESH: "mesh",
+  RELAY: "relay",
+};
+
+const SharedSourceType = {
+  AREA_JAMMER: "area_jammer",
+  BACKHAUL: "backhaul",
+};
+
+const NETWORK_HISTORY = 600;
+
+// Nodes sit on the unit square so a jammer's location and radius mean the same in every layout.
+// Links are named A, B, C, ... in creation order.
+function buildTopology(kind, nodeCount = 5) {
+  if (nodeCount < 2) throw new Error("A network needs at least two nodes.");
+  const nodes = [];
+  const pairs = [];
+  if (kind === TopologyKind.STAR) {
+    nodes.push({ id: "hub", x: 0.5, y: 0.5 });
+    for (let i = 1; i < nodeCount; i++) {
+      const angle = (2 * Math.PI * (i - 1)) / (nodeCount - 1) - Math.PI / 2;
+      nodes.push({ id: `n${i}`, x: 0.5 + 0.38 * Math.cos(angle), y: 0.5 + 0.38 * Math.sin(angle) });
+      pairs.push(["hub", `n${i}`]);
+    }
+  } else if (kind === TopologyKind.MESH) {
+    for (let i = 0; i < nodeCount; i++) {
+      const angle = (2 * Math.PI * i) / nodeCount - Math.PI / 2;
+      nodes.push({ id: `n${i}`, x: 0.5 + 0.4 * Math.cos(angle), y: 0.5 + 0.4 * Math.sin(angle) });
+    }
+    for (let i = 0; i < nodeCount; i++) {
+      for (let j = i + 1; j < nodeCount; j++) pairs.push([`n${i}`, `n${j}`]);
+    }
+  } else if (kind === TopologyKind.RELAY) {
+    for (let i = 0; i < nodeCount; i++) {
+      nodes.push({ id: `n${i}`, x: 0.08 + (0.84 * i) / (nodeCount - 1), y: 0.5 });
+      if (i > 0) pairs.push([`n${i - 1}`, `n${i}`]);
+    }
+  } else {
+    throw new Error(`Unknown topology "${kind}".`);
+  }
+  const links = pairs.map(([from, to], i) => ({ id: linkName(i), from, to }));
+  return { kind, nodes, links };
+}
+
+function linkName(i) {
+  return i < 26 ? String.fromCharCode(65 + i) : `L${i + 1}`;
+}
+
+function topologyNode(topology, id) {
+  return topology.nodes.find((node) => node.id === id);
+}
+
+// Distance from point (x, y) to the link's path between its two nodes.
+function linkDistance(topology, link, x, y) {
+  const a = topologyNode(topology, link.from);
+  const b = topologyNode(topology, link.to);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len2 = dx * dx + dy * dy;
+  const u = len2 ? Math.min(1, Math.max(0, ((x - a.x) * dx + (y - a.y) * dy) / len2)) : 0;
+  return Math.hypot(a.x + u * dx - x, a.y + u * dy - y);
+}
+
+// Fault levels one shared source imposes on a link. An area jammer's power falls off with the
+// distance to the link and is gone at its radius; a backhaul congests every link on its node.
+function sharedSourceEffect(topology, link, source) {
+  if (!source.enabled || !(source.severity > 0)) return {};
+  if (source.type === SharedSourceType.AREA_JAMMER) {
+    const d = linkDistance(topology, link, source.x, source.y);
+    if (d >= source.radius) return {};
+    return { jammer_level: source.severity * (1 - (d / source.radius) ** 2) };
+  }
+  if (source.type === SharedSourceType.BACKHAUL) {
+    if (link.from !== source.node && link.to !== source.node) return {};
+    return { congestion_level: source.severity };
+  }
+  throw new Error(`Unknown shared source type "${source.type}".`);
+}
+
+class NetworkSimulator {
+  // Link i gets its own random stream derived from `seed`, so a network run is reproducible and
+  // the links' noise is independent.
+  constructor(topology, seed = randomSeed(), { windowSize = 20 } = {}) {
+    this.topology = topology;
+    this.windowSize = windowSize;
+    this.sources = [];
+    this.links = topology.links.map((link) => ({
+      link,
+      simulator: null,
+      local_faults: new FaultConfig(),
+      fault_config: new FaultConfig(),
+      history: [],
+      diagnosis: null,
+    }));
+    this.correlation = [];
+    this.reset(seed);
+  }
+
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0;
+    this.t = 0;
+    this.links.forEach((state, i) => {
+      state.simulator = new CommLinkSimulator((this.seed + 7919 * (i + 1)) >>> 0);
+      state.history = [];
+      state.diagnosis = null;
+    });
+    this.correlation = [];
+  }
+
+  link(id) {
+    const state = this.links.find((s) => s.link.id === id);
+    if (!state) throw new Error(`Unknown link "${id}".`);
+    return state;
+  }
+
+  setLocalFaults(id, cfg) {
+    this.link(id).local_faults = cfg;
+  }
+
+  setSharedSources(sources) {
+    this.sources = sources;
+  }
+
+  // A link's own faults combined with every shared source; overlapping levels take the maximum.
+  effectiveFaults(state) {
+    const cfg = Object.assign(new FaultConfig(), state.local_faults);
+    for (const source of this.sources) {
+      const effect = sharedSourceEffect(this.topology, state.link, source);
+      for (const [field, level] of Object.entries(effect)) cfg[field] = Math.max(cfg[field], level);
+    }
+    return cfg;
+  }
+
+  // Advances every link one tick, diagnoses each with `engine`, then correlates the diagnoses.
+  step(engine) {
+    this.t += 1;
+    const diagnoses = {};
+    for (const state of this.links) {
+      state.fault_config = this.effectiveFaults(state);
+      state.simulator.setFaultConfig(state.fault_config);
+      state.history.push(state.simulator.step());
+      if (state.history.length > NETWORK_HISTORY) state.history.shift();
+      state.diagnosis = engine.diagnose(windowFrom(state.history, this.windowSize, engine.feature_config));
+      diagnoses[state.link.id] = state.diagnosis;
+    }
+    this.correlation = correlateLinks(this.topology, diagnoses);
+    return this.correlation;
+  }
+}
+
+// expose to global scope for non-module usage
+window.TopologyKind = TopologyKind;
+window.SharedSourceType = SharedSourceType;
+window.buildTopology = buildTopology;
+window.linkDistance = linkDistance;
+window.NetworkSimulator = NetworkSimulator;
@@ -0,0 +1,124 @@
+// Optional packet layer. With it enabled the simulator no longer adds fixed retry and latency
+// offsets per fault: packets arrive at the link as a Poisson stream, wait in a finite FIFO
+// (M/M/1/K: exponentially sized packets, at most `queue_limit` in the system) and are sent with
+// ARQ or HARQ until they get through or run out of retries. Retries, latency, queue depth and
+// packet loss then follow from the tick's BER, PHY rate and offered load.
+
+const ArqMode = {
+  ARQ: "arq",
+  HARQ: "harq",
+};
+
+// HARQ chase combining gains 10·log10(k) dB of SNR at the k-th attempt; as in the MCS model,
+// each dB is worth 0.3 BER decades.
+const HARQ_BER_DECADES_PER_DB = 0.3;
+// Cross traffic at congestion level 1: enough to overload the fastest MCS.
+const CONGESTION_LOAD_MBPS = 75;
+
+class PacketConfig {
+  constructor() {
+    this.enabled = false;
+    // Mean packet size; sizes are exponentially distributed.
+    this.packet_bits = 12000;
+    this.offered_load_mbps = 1.5;
+    // Packets in the system (queued plus in service) before arrivals are dropped.
+    this.queue_limit = 400;
+    this.arq_mode = ArqMode.ARQ;
+    this.max_retries = 4;
+    // Link time a failed attempt costs before its retransmission: the ACK timeout for ARQ, the
+    // feedback round trip for HARQ.
+    this.retry_delay_ms = 2;
+    // Simulated time per tick (the dashboard runs 12 ticks per second).
+    this.tick_ms = 1000 / 12;
+  }
+}
+
+// Throws naming the first invalid field.
+function validatePacketConfig(cfg) {
+  const positive = { packet_bits: "bits", offered_load_mbps: "Mbps", tick_ms: "ms" };
+  for (const [field, unit] of Object.entries(positive)) {
+    if (!(cfg[field] > 0)) throw new Error(`${field}: must be a positive number of ${unit}.`);
+  }
+  if (!Number.isInteger(cfg.queue_limit) || cfg.queue_limit < 1) {
+    throw new Error("queue_limit: must be a whole number of at least 1 packet.");
+  }
+  if (!Number.isInteger(cfg.max_retries) || cfg.max_retries < 0) {
+    throw new Error("max_retries: must be a whole number of retransmissions.");
+  }
+  if (!(cfg.retry_delay_ms >= 0)) throw new Error("retry_delay_ms: must not be negative.");
+  if (!Object.values(ArqMode).includes(cfg.arq_mode)) throw new Error(`arq_mode: must be "arq" or "harq".`);
+  return cfg;
+}
+
+class PacketLink {
+  constructor(cfg) {
+    this.cfg = cfg;
+    this.reset();
+  }
+
+  reset() {
+    // Departure times (ms) of the packets in the system, oldest first. FIFO service means a
+    // packet's departure is known when it arrives.
+    this.departures = [];
+  }
+
+  // Runs tick `t`. `ber` and `rate_mbps` hold for the whole tick; `cross_load_mbps` is traffic
+  // competing for the link on top of the offered load, and `outage_ms` keeps the link idle at
+  // the start of the tick (e.g. a receiver resync). Returns the tick's traffic:
+  //   arrived, delivered, dropped (queue overflow or retry limit), retries (retransmissions),
+  //   attempts, delay_ms (mean time in the system of the packets served), queue_depth (at the
+  //   end of the tick) and packet_loss (dropped share of the arrivals).
+  step(t, { ber, rate_mbps, cross_load_mbps = 0, outage_ms = 0 }, rng) {
+    const cfg = this.cfg;
+    const start = (t - 1) * cfg.tick_ms;
+    const end = t * cfg.tick_ms;
+    const arrivalRate = ((cfg.offered_load_mbps + cross_load_mbps) * 1000) / cfg.packet_bits;
+    const bitsPerMs = rate_mbps * 1000;
+    const departures = this.departures;
+    const out = { arrived: 0, delivered: 0, dropped: 0, retries: 0, attempts: 0, delay_ms: 0 };
+    let served = 0;
+    let timeInSystem = 0;
+
+    let arrival = start;
+    for (;;) {
+      arrival += -Math.log(1 - rng.random()) / arrivalRate;
+      if (arrival >= end) break;
+      out.arrived += 1;
+      while (departures.length && departures[0] <= arrival) departures.shift();
+      if (departures.length >= cfg.queue_limit) {
+        out.dropped += 1;
+        continue;
+      }
+      const bits = -Math.log(1 - rng.random()) * cfg.packet_bits;
+      let clock = Math.max(arrival, start + outage_ms, departures.length ? departures[departures.length - 1] : 0);
+      let delivered = false;
+      for (let attempt = 1; attempt <= cfg.max_retries + 1 && !delivered; attempt++) {
+        const attemptBer =
+          cfg.arq_mode === ArqMode.HARQ ? ber * 10 ** (-HARQ_BER_DECADES_PER_DB * 10 * Math.log10(attempt)) : ber;
+        const per = 1 - (1 - attemptBer) ** bits;
+        delivered = rng.random() >= per;
+        clock += bits / bitsPerMs + (delivered ? 0 : cfg.retry_delay_ms);
+        out.attempts += 1;
+        if (attempt > 1) out.retries += 1;
+      }
+      departures.push(clock);
+      served += 1;
+      timeInSystem += clock - arrival;
+      if (delivered) out.delivered += 1;
+      else out.dropped += 1;
+    }
+
+    while (departures.length && departures[0] <= end) departures.shift();
+    out.queue_depth = departures.length;
+    out.delay_ms = served ? timeInSystem / served : 0;
+    out.packet_loss = out.arrived ? out.dropped / out.arrived : 0;
+    return out;
+  }
+}
+
+// expose to global scope for non-module usage
+window.ArqMode = ArqMode;
+window.PacketConfig = PacketConfig;
+window.PacketLink = PacketLink;
+window.validatePacketConfig = validatePacketConfig;
+window.CONGESTION_LOAD_MBPS = CONGESTION_LOAD_MBPS;
@@ -0,0 +1,170 @@
+// Optional symbol-level view of the PHY. The link model works in SNR and BER; with this enabled
+// each tick also sends a burst of symbols of the current modulation through the tick's
+// impairments, for the constellation and eye diagram, and measures their error vector magnitude
+// (EVM). The burst draws from its own random stream, seeded by the run seed and tick, so
+// switching the view on or off leaves the link's samples unchanged.
+//
+// Impairments, as the simulator hands them over for a tick:
+//   snr_db       signal to noise plus interference at the receiver; sets the total error power
+//   impulse      noise-spike level: part of the error power arrives as sparse impulses
+//   interferer   share of the error power from the adjacent-channel interferer, a tone
+//   fade_db      fade gain; the receiver's gain control only catches up over a few ticks
+//   cfo          accumulated oscillator offset (1.0 forces a resync): phase offset and rotation
+//   sync_outage  lost sync: timing error, random phase and a spinning carrier
+
+class SymbolConfig {
+  constructor() {
+    this.enabled = false;
+    this.symbols_per_tick = 256;
+  }
+}
+
+const SYMBOLS_PER_TICK_MAX = 4096;
+// Waveform samples per symbol for the eye diagram, and symbols the eye diagram overlays.
+const SAMPLES_PER_SYMBOL = 8;
+const EYE_SYMBOLS = 40;
+// Raised-cosine pulse: roll-off and one-sided length in symbols.
+const PULSE_ROLLOFF = 0.35;
+const PULSE_SPAN = 4;
+// Offset of the adjacent-channel tone after receive filtering, in cycles per symbol.
+const INTERFERER_CYCLES_PER_SYMBOL = 0.07;
+// Share of waveform samples an impulse hits.
+const IMPULSE_RATE = 0.02;
+// Weight of a tick's fade in the receiver's gain estimate.
+const AGC_GAIN = 0.3;
+
+// Throws naming the first invalid field.
+function validateSymbolConfig(cfg) {
+  const n = cfg.symbols_per_tick;
+  if (!Number.isInteger(n) || n < 16 || n > SYMBOLS_PER_TICK_MAX) {
+    throw new Error(`symbols_per_tick: must be a whole number from 16 to ${SYMBOLS_PER_TICK_MAX}.`);
+  }
+  return cfg;
+}
+
+const constellations = {};
+
+// Ideal points [i, q] of a modulation in MCS_TABLE, scaled to unit mean energy.
+function constellation(modulation) {
+  if (constellations[modulation]) return constellations[modulation];
+  let points;
+  if (modulation === "BPSK") {
+    points = [
+      [-1, 0],
+      [1, 0],
+    ];
+  } else {
+    const side = { QPSK: 2, "16-QAM": 4, "64-QAM": 8 }[modulation];
+    if (!side) throw new Error(`No constellation for modulation "${modulation}".`);
+    const levels = Array.from({ length: side }, (_, k) => 2 * k - side + 1);
+    const scale = Math.sqrt((2 * (side * side - 1)) / 3);
+    points = levels.flatMap((i) => levels.map((q) => [i / scale, q / scale]));
+  }
+  constellations[modulation] = points;
+  return points;
+}
+
+function raisedCosine(x) {
+  if (x === 0) return 1;
+  const sinc = (v) => Math.sin(Math.PI * v) / (Math.PI * v);
+  const edge = 2 * PULSE_ROLLOFF * x;
+  if (Math.abs(Math.abs(edge) - 1) < 1e-9) return (Math.PI / 4) * sinc(1 / (2 * PULSE_ROLLOFF));
+  return (sinc(x) * Math.cos(Math.PI * PULSE_ROLLOFF * x)) / (1 - edge * edge);
+}
+
+// The random stream of tick `t`'s burst.
+function symbolRng(seed, t) {
+  return new SeededRng((seed ^ Math.imul(t, 0x9e3779b1)) >>> 0);
+}
+
+// Sends `cfg.symbols_per_tick` symbols through `imp` (see the top of this file). `gain_db` is the
+// fade the receiver's gain control was set for. Returns the burst:
+//   { modulation, symbols, eye, samples_per_symbol, evm_pct, gain_db }
+// `symbols` are the received [i, q] points at the decision instants, `eye` the in-phase
+// waveform of the first EYE_SYMBOLS symbols, and `gain_db` the gain control's next setting.
+function sendSymbols(cfg, modulation, imp, rng, gain_db = 0) {
+  const points = constellation(modulation);
+  const n = cfg.symbols_per_tick;
+  const tx = [];
+  for (let m = 0; m < n + 2 * PULSE_SPAN; m++) tx.push(points[Math.floor(rng.random() * points.length)]);
+
+  // Residual gain after the receiver's gain control, and the carrier's phase and rotation.
+  const nextGain = gain_db + AGC_GAIN * (imp.fade_db - gain_db);
+  const g = 10 ** ((imp.fade_db - nextGain) / 20);
+  // The carrier loop lags a drifting oscillator by up to about 17 degrees before it loses lock.
+  let phase = 0.3 * imp.cfo;
+  let spin = 0.001 * imp.cfo;
+  let timing = 0;
+  if (imp.sync_outage) {
+    phase = 2 * Math.PI * rng.random();
+    spin = 2 * Math.PI * 0.02 * (rng.random() - 0.5);
+    timing = (0.25 + 0.25 * rng.random()) * (rng.random() < 0.5 ? -1 : 1);
+  }
+
+  // Error power relative to the received signal, split between the noise floor, impulses and
+  // the tone.
+  const errorPower = 10 ** (-imp.snr_db / 10) * g * g;
+  const toneShare = Math.min(0.8, imp.interferer);
+  const impulseShare = Math.min(0.8 - toneShare, 0.6 * imp.impulse);
+  const sigma = Math.sqrt(((1 - toneShare - impulseShare) * errorPower) / 2);
+  const impulseSigma = Math.sqrt((impulseShare * errorPower) / (2 * IMPULSE_RATE));
+  const toneAmp = Math.sqrt(toneShare * errorPower);
+  const tonePhase = 2 * Math.PI * rng.random();
+
+  // Received signal at time `x` symbols after the first padded symbol.
+  const received = (x) => {
+    let i = 0;
+    let q = 0;
+    const first = Math.max(0, Math.ceil(x - PULSE_SPAN));
+    const last = Math.min(tx.length - 1, Math.floor(x + PULSE_SPAN));
+    for (let m = first; m <= last; m++) {
+      const p = raisedCosine(x - m);
+      i += tx[m][0] * p;
+      q += tx[m][1] * p;
+    }
+    const rot = phase + spin * x;
+    const c = Math.cos(rot);
+    const s = Math.sin(rot);
+    let ri = g * (i * c - q * s) + sigma * rng.randn();
+    let rq = g * (i * s + q * c) + sigma * rng.randn();
+    if (toneAmp) {
+      const tone = tonePhase + 2 * Math.PI * INTERFERER_CYCLES_PER_SYMBOL * x;
+      ri += toneAmp * Math.cos(tone);
+      rq += toneAmp * Math.sin(tone);
+    }
+    if (impulseSigma && rng.random() < IMPULSE_RATE) {
+      ri += impulseSigma * rng.randn();
+      rq += impulseSigma * rng.randn();
+    }
+    return [ri, rq];
+  };
+
+  const symbols = [];
+  let errorSum = 0;
+  for (let m = PULSE_SPAN; m < n + PULSE_SPAN; m++) {
+    const y = received(m + timing);
+    symbols.push(y);
+    errorSum += (y[0] - tx[m][0]) ** 2 + (y[1] - tx[m][1]) ** 2;
+  }
+  const eye = [];
+  const eyeSamples = (Math.min(n, EYE_SYMBOLS) + 1) * SAMPLES_PER_SYMBOL;
+  for (let k = 0; k <= eyeSamples; k++) {
+    eye.push(received(PULSE_SPAN - 1 + k / SAMPLES_PER_SYMBOL + timing)[0]);
+  }
+  return {
+    modulation,
+    symbols,
+    eye,
+    samples_per_symbol: SAMPLES_PER_SYMBOL,
+    // Points have unit mean energy, so this is the RMS error vector in percent.
+    evm_pct: 100 * Math.sqrt(errorSum / n),
+    gain_db: nextGain,
+  };
+}
+
+// expose to global scope for non-module usage
+window.SymbolConfig = SymbolConfig;
+window.validateSymbolConfig = validateSymbolConfig;
+window.constellation = constellation;
+window.sendSymbols = sendSymbols;
+window.symbolRng = symbolRng;
@@ -0,0 +1,130 @@
+// Fault plugins: a site-specific impairment declared in one place instead of edits across the
+// core files. A plugin script, loaded after this file and before app.js, calls
+// registerFaultPlugin(); the fault then gets a FaultType, FaultConfig fields with generated
+// sliders and its effect in CommLinkSimulator.step(), and with a rule also a RootCause that the
+// default rule base diagnoses.
+//
+// Plugin fields:
+//   id           lowercase identifier: the fault type, and the cause its rule diagnoses
+//   label        name shown in the UI
+//   description  optional hint under the sliders
+//   params[]     { field, label, min, max, step, default } FaultConfig fields, one slider each.
+//                The first is the fault's level; the fault is active while it is above zero.
+//   apply(metrics, cfg, ctx)
+//                edits the tick's metrics { snr_db, ber, latency_ms, retries } in place. `ctx` is
+//                { t, rng, mitigation, sync_outage, state }; `state` persists until a reset.
+//                Draw randomness from ctx.rng only, so runs replay from their seed.
+//                With the packet layer on (packet.js), retries start from zero and the ones a
+//                plugin adds are reported on top of the queue's retransmissions; its latency
+//                adds to the queueing delay. The queue itself sees a plugin only through the BER
+//                its packets are sent at.
+//   rule         optional rule-base entry without id and cause (see rules.js), plus an optional
+//                decision_threshold. Without one the fault can be injected but not diagnosed.
+//   color        optional colour for the cause in charts
+//   scenario     optional evaluation scenario { name, faults }, scored against the plugin's cause
+
+const PLUGIN_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+// URLs of the page scripts that registered plugins, for the engine worker to load as well.
+const PLUGIN_SCRIPTS = [];
+
+// Throws naming the plugin and field on the first problem found.
+function validateFaultPlugin(plugin) {
+  const name = plugin && typeof plugin.id === "string" ? plugin.id : "?";
+  const fail = (field, msg) => {
+    throw new Error(`fault plugin "${name}"${field ? `.${field}` : ""}: ${msg}`);
+  };
+  if (!plugin || typeof plugin !== "object") fail("", "must be an object.");
+  if (!PLUGIN_ID_PATTERN.test(plugin.id || "")) fail("id", "must be a lowercase identifier.");
+  if (Object.values(FaultType).includes(plugin.id) || Object.values(RootCause).includes(plugin.id)) {
+    fail("id", "is already a fault type or root cause.");
+  }
+  if (typeof plugin.label !== "string" || !plugin.label) fail("label", "must be a non-empty string.");
+  if (typeof plugin.apply !== "function") fail("apply", "must be a function.");
+  if (!Array.isArray(plugin.params) || !plugin.params.length) fail("params", "must list at least the fault level.");
+
+  const taken = Object.keys(new FaultConfig());
+  plugin.params.forEach((param, i) => {
+    const path = `params[${i}]`;
+    if (!param || !PLUGIN_ID_PATTERN.test(param.field || "")) {
+      fail(`${path}.field`, "must be a lowercase identifier.");
+    }
+    if (taken.includes(param.field)) fail(`${path}.field`, `"${param.field}" is already a fault config field.`);
+    taken.push(param.field);
+    if (!(Number.isFinite(param.min) && Number.isFinite(param.max) && param.min < param.max)) {
+      fail(path, "needs numeric min < max.");
+    }
+    if (!(param.step > 0)) fail(`${path}.step`, "must be positive.");
+    if (!(param.default >= param.min && param.default <= param.max)) {
+      fail(`${path}.default`, "must lie within min..max.");
+    }
+  });
+  if (plugin.params[0].min !== 0) fail("params[0].min", "must be 0 so the fault can be switched off.");
+
+  if (plugin.rule !== undefined) {
+    const rule = Object.assign({}, plugin.rule, { id: plugin.id, cause: plugin.id });
+    delete rule.decision_threshold;
+    try {
+      compileRuleBase(
+        { thresholds: DEFAULT_RULE_BASE.thresholds, rules: [rule] },
+        {
+          features: new DiagnosticEngine().featureNames(),
+          thresholds: THRESHOLD_NAMES,
+          mitigations: Object.keys(MITIGATIONS),
+          causes: Object.values(RootCause).concat(plugin.id),
+        }
+      );
+    } catch (err) {
+      fail("rule", err.message.replace(/^rules\[0\]\.?/, ""));
+    }
+    const threshold = plugin.rule.decision_threshold;
+    if (threshold !== undefined && !(threshold >= 0 && threshold <= 1)) {
+      fail("rule.decision_threshold", "must be a number between 0 and 1.");
+    }
+  }
+  if (plugin.scenario !== undefined) {
+    if (!plugin.rule) fail("scenario", "needs a rule to score against.");
+    if (!plugin.scenario.faults || typeof plugin.scenario.faults !== "object") {
+      fail("scenario.faults", "must be an object.");
+    }
+  }
+}
+
+// Registers a fault plugin (see the fields above). Register before the app or tools create their
+// simulator, engine and fault configs: existing ones do not pick the plugin up.
+function registerFaultPlugin(plugin) {
+  validateFaultPlugin(plugin);
+  const key = plugin.id.toUpperCase();
+  FAULT_PLUGINS.push(plugin);
+  const script = typeof document !== "undefined" && document.currentScript;
+  if (script && script.src && !PLUGIN_SCRIPTS.includes(script.src)) PLUGIN_SCRIPTS.push(script.src);
+  FaultType[key] = plugin.id;
+
+  if (plugin.rule) {
+    // Keep "unknown" as the last cause.
+    delete RootCause.UNKNOWN;
+    RootCause[key] = plugin.id;
+    RootCause.UNKNOWN = "unknown";
+    const rule = Object.assign({ id: plugin.id, cause: plugin.id }, plugin.rule);
+    delete rule.decision_threshold;
+    // Base rules go ahead of the compound ones, so the printed rule base keeps its layout.
+    const rules = DEFAULT_RULE_BASE.rules;
+    const firstCompound = rules.findIndex((r) => r.stage === "compound");
+    rules.splice(firstCompound < 0 ? rules.length : firstCompound, 0, rule);
+    if (plugin.rule.decision_threshold !== undefined) {
+      DEFAULT_RULE_BASE.decision_thresholds[plugin.id] = plugin.rule.decision_threshold;
+    }
+  }
+  if (plugin.scenario) {
+    DEFAULT_SCENARIOS.push({
+      name: plugin.scenario.name || plugin.label.toLowerCase(),
+      faults: plugin.scenario.faults,
+      expected: [plugin.id],
+    });
+  }
+  return plugin;
+}
+
+// expose to global scope for non-module usage
+window.registerFaultPlugin = registerFaultPlugin;
+window.validateFaultPlugin = validateFaultPlugin;
+window.PLUGIN_SCRIPTS = PLUGIN_SCRIPTS;
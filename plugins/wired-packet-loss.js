@@ -0,0 +1,39 @@
+// Example fault plugin: frames lost on the wired side of the radio (a damaged cable, a duplex
+// mismatch, a failing switch port). The air interface stays clean, but the losses come in bursts
+// and each one forces retransmissions.
+registerFaultPlugin({
+  id: "wired_packet_loss",
+  label: "Wired packet loss",
+  description: "Bursts of frames dropped between the radio and the network: retries rise while SNR and BER stay clean.",
+  params: [
+    { field: "wired_loss_level", label: "Wired packet loss", min: 0, max: 1, step: 0.1, default: 0 },
+    { field: "wired_loss_burst", label: "Burst length (ticks)", min: 1, max: 20, step: 1, default: 5 },
+  ],
+  apply(metrics, cfg, ctx) {
+    const level = cfg.wired_loss_level;
+    const state = ctx.state;
+    if (!state.burst_left && ctx.rng.random() < 0.3 * level) state.burst_left = Math.round(cfg.wired_loss_burst);
+    if (!state.burst_left) return;
+    state.burst_left -= 1;
+    metrics.retries += 1 + ctx.rng.poisson(3 * level);
+    metrics.latency_ms += 4 * level + ctx.rng.randn() * 2;
+  },
+  rule: {
+    conditions: [
+      { feature: "retries_mean", op: ">", value: "retries_warn" },
+      // Congestion raises retries too, but with queueing delay on top.
+      { feature: "latency_mean", op: "<", value: 35 },
+      { feature: "snr_mean", op: ">", value: "good_snr_db" },
+      { feature: "ber_max", op: "<", value: "moderate_ber" },
+    ],
+    score: "0.5 + 0.5 * min(1.0, (retries_mean - retries_warn) / 3.0)",
+    explanation: "Retransmissions with clean SNR and BER and no queueing delay point to frames lost on the wired side.",
+    actions: [
+      "Check interface error counters on the radio's Ethernet port and the switch.",
+      "Verify speed/duplex settings match on both ends of the cable.",
+      "Reseat or replace the cable and connectors to the radio.",
+    ],
+  },
+  color: "#a3e635",
+  scenario: { name: "wired packet loss", faults: { wired_loss_level: 0.8 } },
+});
@@ -0,0 +1,224 @@
+// Session recording, export (JSON/CSV) and offline replay through the diagnostic engine.
+
+const SESSION_FORMAT = "sdcs-session";
+const SESSION_VERSION = 1;
+
+// Flat copy of the fault config plus the channel config under `channel_*` keys.
+function snapshotConfig(cfg, channelCfg) {
+  const out = {};
+  for (const key of Object.keys(cfg)) out[key] = cfg[key];
+  if (channelCfg) {
+    for (const key of Object.keys(channelCfg)) out[`channel_${key}`] = channelCfg[key];
+  }
+  return out;
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class SessionRecorder {
+  constructor() {
+    this.recording = false;
+    this.session = null;
+  }
+
+  // `startT` is the simulator tick when recording began; with `seed` it lets a run started
+  // from a reset be regenerated exactly. `leadIn` holds the samples just before the recording
+  // so replayed windows at the start see the same history the live engine did.
+  start(seed, startT, faultConfig, channelConfig, leadIn = []) {
+    this.session = {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      created_at: new Date().toISOString(),
+      seed,
+      start_t: startT,
+      config_changes: [],
+      lead_in: leadIn,
+      samples: [],
+      diagnoses: [],
+    };
+    this.recording = true;
+    this.recordConfig(startT + 1, faultConfig, channelConfig);
+  }
+
+  stop() {
+    this.recording = false;
+  }
+
+  hasData() {
+    return !!this.session && this.session.samples.length > 0;
+  }
+
+  // Stores a config change; repeats of the last recorded config (e.g. a scenario re-applying
+  // the same values every tick) are skipped.
+  recordConfig(t, faultConfig, channelConfig) {
+    if (!this.recording) return;
+    const config = snapshotConfig(faultConfig, channelConfig);
+    const changes = this.session.config_changes;
+    const last = changes[changes.length - 1];
+    if (last && JSON.stringify(last.config) === JSON.stringify(config)) return;
+    changes.push({ t, config });
+  }
+
+  recordStep(sample, diagnosis) {
+    if (!this.recording) return;
+    this.session.samples.push(sample);
+    this.session.diagnoses.push({
+      t: diagnosis.t,
+      primary_cause: diagnosis.primary_cause,
+      confidence: diagnosis.confidence,
+      ranked_causes: diagnosis.ranked_causes,
+      active_causes: diagnosis.active_causes,
+    });
+  }
+
+  toJSON() {
+    return JSON.stringify(this.session, null, 2);
+  }
+
+  toCSV() {
+    return sessionToCSV(this.session);
+  }
+}
+
+// One row per sample, with the fault config in effect at that tick and the recorded diagnosis.
+function sessionToCSV(session) {
+  const changes = session.config_changes;
+  const faultFields = [];
+  for (const change of changes) {
+    for (const key of Object.keys(change.config)) if (!faultFields.includes(key)) faultFields.push(key);
+  }
+  const header = [
+    "t",
+    "snr_db",
+    "ber",
+    "latency_ms",
+    "retries",
+    "mcs",
+    "throughput_mbps",
+    "goodput_mbps",
+    "queue_depth",
+    "packet_loss",
+    "evm_pct",
+    "active_faults",
+    "primary_cause",
+    "confidence",
+  ].concat(faultFields);
+  const rows = [header.join(",")];
+  let changeIdx = 0;
+  let config = changes.length ? changes[0].config : {};
+
+  session.samples.forEach((s, i) => {
+    while (changeIdx + 1 < changes.length && changes[changeIdx + 1].t <= s.t) {
+      changeIdx += 1;
+      config = changes[changeIdx].config;
+    }
+    const d = session.diagnoses[i] || {};
+    const cells = [
+      s.t,
+      s.snr_db,
+      s.ber,
+      s.latency_ms,
+      s.retries,
+      s.mcs === undefined ? undefined : MCS_TABLE[s.mcs].name,
+      s.throughput_mbps,
+      s.goodput_mbps,
+      s.queue_depth,
+      s.packet_loss,
+      s.evm_pct,
+      s.active_faults ? s.active_faults.join(";") : "",
+      d.primary_cause,
+      d.confidence,
+    ].concat(faultFields.map((f) => config[f]));
+    rows.push(cells.map(csvCell).join(","));
+  });
+  return rows.join("\n") + "\n";
+}
+
+function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Recording is not valid JSON: ${err.message}`);
+  }
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error("File is not a recorded session.");
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Recording version ${session.version} is newer than this app supports.`);
+  }
+  if (!Array.isArray(session.samples) || !session.samples.length) {
+    throw new Error("Recording contains no samples.");
+  }
+  session.config_changes = session.config_changes || [];
+  session.lead_in = session.lead_in || [];
+  session.diagnoses = session.diagnoses || [];
+  return session;
+}
+
+// Re-runs a recorded session through a (possibly changed) DiagnosticEngine.
+// Diagnoses are computed lazily and cached so scrubbing back and forth is cheap.
+class SessionReplayer {
+  constructor(session, engine, windowSize = 20) {
+    this.session = session;
+    this.engine = engine;
+    this.windowSize = windowSize;
+    this.cursor = 0;
+    this.cache = [];
+    // Change points depend only on the samples. The detector's reference comes from the lead-in,
+    // so they can differ from the live run's when recording started mid-fault.
+    const detector = new ChangePointDetector();
+    session.lead_in.concat(session.samples).forEach((s) => detector.observe(s));
+    this.changes = detector.events;
+  }
+
+  get length() {
+    return this.session.samples.length;
+  }
+
+  seek(index) {
+    this.cursor = Math.min(Math.max(0, index), this.length - 1);
+  }
+
+  advance(n) {
+    this.seek(this.cursor + n);
+    return this.cursor < this.length - 1;
+  }
+
+  // Drop cached diagnoses, e.g. after the rule base or thresholds changed.
+  invalidate() {
+    this.cache = [];
+  }
+
+  diagnosisAt(index) {
+    if (!this.cache[index]) {
+      const { lead_in, samples } = this.session;
+      const features = this.engine.feature_config;
+      const from = index + 1 - featureSpan(this.windowSize, features);
+      const windowSamples =
+        from >= 0 ? samples.slice(from, index + 1) : lead_in.slice(from).concat(samples.slice(0, index + 1));
+      const changes = changePointsAt(this.changes, samples[index].t, this.windowSize);
+      this.cache[index] = this.engine.diagnose(windowFrom(windowSamples, this.windowSize, features), changes);
+    }
+    return this.cache[index];
+  }
+
+  // Count ticks up to the cursor where the replayed primary cause differs from the recorded one.
+  countChanged() {
+    let changed = 0;
+    for (let i = 0; i <= this.cursor; i++) {
+      const recorded = this.session.diagnoses[i];
+      if (recorded && recorded.primary_cause !== this.diagnosisAt(i).primary_cause) changed += 1;
+    }
+    return changed;
+  }
+}
+
+// expose to global scope for non-module usage
+window.SessionRecorder = SessionRecorder;
+window.SessionReplayer = SessionReplayer;
+window.parseSession = parseSession;
+window.sessionToCSV = sessionToCSV;
@@ -0,0 +1,158 @@
+// Bounded storage for long runs: a ring buffer for the recent ticks and a downsampled overview
+// of the whole run, so memory stays flat however many ticks a soak test covers.
+
+// Fixed-capacity FIFO; pushing onto a full buffer evicts the oldest item. Reads mirror the
+// Array methods the views use (length, at, slice, forEach, map), so either can back `history`.
+class RingBuffer {
+  constructor(capacity) {
+    if (!(Number.isInteger(capacity) && capacity >= 1)) throw new Error("Ring buffer capacity must be at least 1.");
+    this.capacity = capacity;
+    this.clear();
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  // Returns the evicted item, if any.
+  push(item) {
+    let evicted;
+    if (this.length === this.capacity) {
+      evicted = this.items[this.start];
+      this.items[this.start] = item;
+      this.start = (this.start + 1) % this.capacity;
+    } else {
+      this.items[(this.start + this.length) % this.capacity] = item;
+      this.length += 1;
+    }
+    return evicted;
+  }
+
+  // Removes and returns the oldest item.
+  shift() {
+    if (!this.length) return undefined;
+    const item = this.items[this.start];
+    this.items[this.start] = undefined;
+    this.start = (this.start + 1) % this.capacity;
+    this.length -= 1;
+    return item;
+  }
+
+  // Negative indices count from the newest item, as with Array.prototype.at.
+  at(i) {
+    const idx = i < 0 ? this.length + i : i;
+    if (idx < 0 || idx >= this.length) return undefined;
+    return this.items[(this.start + idx) % this.capacity];
+  }
+
+  // Same index rules as Array.prototype.slice; returns a plain array.
+  slice(begin = 0, end = this.length) {
+    const clamp = (i) => Math.max(0, Math.min(this.length, i < 0 ? this.length + i : i));
+    const out = [];
+    for (let i = clamp(begin); i < clamp(end); i++) out.push(this.items[(this.start + i) % this.capacity]);
+    return out;
+  }
+
+  toArray() {
+    return this.slice();
+  }
+
+  forEach(fn) {
+    for (let i = 0; i < this.length; i++) fn(this.at(i), i);
+  }
+
+  map(fn) {
+    const out = [];
+    this.forEach((item, i) => out.push(fn(item, i)));
+    return out;
+  }
+}
+
+const OVERVIEW_METRICS = ["snr_db", "ber", "latency_ms", "retries"];
+
+// The whole run at a resolution that coarsens as it grows: at most `capacity` buckets, each
+// covering `width` ticks. When the buckets run out, neighbours merge in pairs and the width
+// doubles. Each bucket keeps { t_start, t_end, count, metrics, causes }: per metric the min,
+// max and mean of its finite readings, and how many ticks each primary cause was diagnosed.
+class RunOverview {
+  constructor(capacity = 512) {
+    if (!(Number.isInteger(capacity) && capacity >= 2 && capacity % 2 === 0)) {
+      throw new Error("Overview capacity must be an even number of buckets.");
+    }
+    this.capacity = capacity;
+    this.reset();
+  }
+
+  reset() {
+    this.buckets = [];
+    this.width = 1;
+  }
+
+  push(sample, entry) {
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.count >= this.width) {
+      if (this.buckets.length === this.capacity) this._coarsen();
+      bucket = { t_start: sample.t, t_end: sample.t, count: 0, metrics: {}, causes: {} };
+      for (const metric of OVERVIEW_METRICS) bucket.metrics[metric] = { min: Infinity, max: -Infinity, sum: 0, n: 0 };
+      this.buckets.push(bucket);
+    }
+    bucket.t_end = sample.t;
+    bucket.count += 1;
+    for (const metric of OVERVIEW_METRICS) {
+      const value = sample[metric];
+      if (!Number.isFinite(value)) continue;
+      const m = bucket.metrics[metric];
+      m.min = Math.min(m.min, value);
+      m.max = Math.max(m.max, value);
+      m.sum += value;
+      m.n += 1;
+    }
+    if (entry) bucket.causes[entry.primary_cause] = (bucket.causes[entry.primary_cause] || 0) + 1;
+  }
+
+  // Mean reading of a bucket's metric, NaN when it had none.
+  static mean(bucket, metric) {
+    const m = bucket.metrics[metric];
+    return m.n ? m.sum / m.n : NaN;
+  }
+
+  // The primary cause diagnosed on most of a bucket's ticks.
+  static dominantCause(bucket) {
+    let best = null;
+    for (const [cause, n] of Object.entries(bucket.causes)) {
+      if (best === null || n > bucket.causes[best]) best = cause;
+    }
+    return best;
+  }
+
+  _coarsen() {
+    const merged = [];
+    for (let i = 0; i < this.buckets.length; i += 2) {
+      const a = this.buckets[i];
+      const b = this.buckets[i + 1];
+      const bucket = { t_start: a.t_start, t_end: b.t_end, count: a.count + b.count, metrics: {}, causes: {} };
+      for (const metric of OVERVIEW_METRICS) {
+        const ma = a.metrics[metric];
+        const mb = b.metrics[metric];
+        bucket.metrics[metric] = {
+          min: Math.min(ma.min, mb.min),
+          max: Math.max(ma.max, mb.max),
+          sum: ma.sum + mb.sum,
+          n: ma.n + mb.n,
+        };
+      }
+      for (const source of [a.causes, b.causes]) {
+        for (const [cause, n] of Object.entries(source)) bucket.causes[cause] = (bucket.causes[cause] || 0) + n;
+      }
+      merged.push(bucket);
+    }
+    this.buckets = merged;
+    this.width *= 2;
+  }
+}
+
+// expose to global scope for non-module usage
+window.RingBuffer = RingBuffer;
+window.RunOverview = RunOverview;
@@ -0,0 +1,595 @@
+// Declarative rule base for DiagnosticEngine.
+//
+// A rule base is plain JSON:
+//   thresholds           named numbers that conditions and score expressions can refer to
+//   decision_thresholds  per-cause confidence a cause needs to be reported as active
+//                        ("default" applies to causes not listed)
+//   rules[]              { id, cause, conditions, score, explanation, actions,
+//                          mitigations, stage, explains_away }
+//   fallback             { explanation, actions } used when no rule fires (cause "unknown")
+//
+// Conditions are all required; a condition is either
+//   { feature, op, value }   op one of < <= > >= == !=, value a number or threshold name
+//   { cause, op, value }     compound rules only: compares a cause's confidence from the base
+//                            rules (0 when none of its rules fired) with a number
+//   { any: [conditions] }    passes when at least one nested condition passes
+// Rules with stage "compound" run after the base rules and capture known interactions between
+// faults. Causes listed in `explains_away` are dropped when the compound rule fires, because
+// their symptoms are side effects of the compound rule's cause. Every cause a rule names, in
+// `cause`, cause conditions or `explains_away`, must be a RootCause (plugins add theirs).
+// `actions` are advice for an operator; `mitigations` name executable countermeasures from
+// MITIGATIONS (mitigation.js) that can be applied to the link.
+// Score expressions are arithmetic over feature and threshold names with + - * / ( ) and the
+// functions min, max, abs, sqrt, log10, clamp(x, lo, hi). They are parsed, never eval()'d.
+
+const DEFAULT_RULE_BASE = {
+  version: 1,
+  decision_thresholds: {
+    default: 0.5,
+    sync_loss: 0.7,
+  },
+  thresholds: {
+    good_snr_db: 20.0,
+    moderate_snr_db: 12.0,
+    bad_snr_db: 8.0,
+    good_ber: 1e-5,
+    moderate_ber: 1e-3,
+    bad_ber: 1e-2,
+    latency_warn_ms: 80.0,
+    latency_bad_ms: 160.0,
+    retries_warn: 1.0,
+    retries_bad: 3.0,
+    evm_warn_pct: 15.0,
+    evm_bad_pct: 30.0,
+  },
+  rules: [
+    {
+      id: "healthy",
+      cause: "healthy",
+      conditions: [
+        { feature: "snr_mean", op: ">", value: "good_snr_db" },
+        { feature: "ber_max", op: "<", value: "good_ber" },
+        { feature: "latency_mean", op: "<", value: "latency_warn_ms" },
+        { feature: "retries_mean", op: "<=", value: "retries_warn" },
+      ],
+      score: "1.0",
+      explanation: "SNR, BER, latency, and retries are nominal.",
+      actions: ["No immediate action required. Continue monitoring for emerging anomalies."],
+    },
+    {
+      id: "noise_spike",
+      cause: "noise_spike",
+      conditions: [
+        { feature: "snr_mean", op: "<", value: "good_snr_db" },
+        { feature: "snr_std", op: ">", value: 1.5 },
+        { feature: "ber_max", op: ">", value: "moderate_ber" },
+        { feature: "latency_mean", op: "<", value: "latency_bad_ms" },
+      ],
+      score: "0.4 + 0.6 * min(1.0, (good_snr_db - snr_mean) / 10.0)",
+      explanation: "Volatile SNR dips with BER bursts and modest latency suggest impulsive noise.",
+      actions: [
+        "Check grounding/shielding to reduce impulsive noise coupling.",
+        "Inspect nearby equipment for intermittent high-power emissions.",
+        "Increase error-correction strength or interleaving depth if possible.",
+      ],
+      mitigations: ["raise_fec", "enable_interleaving"],
+    },
+    {
+      id: "wideband_jammer",
+      cause: "wideband_jammer",
+      conditions: [
+        { feature: "snr_mean", op: "<", value: "moderate_snr_db" },
+        {
+          any: [
+            { feature: "ber_mean", op: ">", value: "moderate_ber" },
+            { feature: "rate_fraction", op: "<", value: 0.6 },
+          ],
+        },
+        { feature: "retries_mean", op: ">=", value: "retries_warn" },
+      ],
+      score: "0.5 + 0.5 * min(1.0, (moderate_snr_db - snr_mean) / 8.0)",
+      explanation:
+        "Persistently poor SNR with high BER (or a link-adaptation rate collapse) and retries indicates strong interference/jamming.",
+      actions: [
+        "Evaluate spectral environment and locate strong interferers.",
+        "Switch to an alternate channel or band if available.",
+        "Apply filtering/notching around the interferer.",
+      ],
+      mitigations: ["switch_channel"],
+    },
+    {
+      // EVM is NaN unless the PHY view is on (or a log has the column), which fails the rule.
+      id: "wideband_jammer_evm",
+      cause: "wideband_jammer",
+      conditions: [
+        { feature: "evm_mean", op: ">", value: "evm_warn_pct" },
+        { feature: "snr_mean", op: "<", value: "good_snr_db" },
+        { feature: "retries_mean", op: ">=", value: "retries_warn" },
+      ],
+      score: "0.5 + 0.5 * min(1.0, (evm_mean - evm_warn_pct) / (evm_bad_pct - evm_warn_pct))",
+      explanation:
+        "A scattered constellation (high EVM) with reduced SNR and retries indicates interference/jamming, even before the BER climbs.",
+      actions: [
+        "Evaluate spectral environment and locate strong interferers.",
+        "Switch to an alternate channel or band if available.",
+      ],
+      mitigations: ["switch_channel"],
+    },
+    {
+      id: "sync_loss",
+      cause: "sync_loss",
+      conditions: [
+        { feature: "ber_max", op: ">", value: 0.05 },
+        { feature: "snr_mean", op: ">=", value: "moderate_snr_db" },
+      ],
+      score: "0.6 + 0.4 * min(1.0, (ber_max - 0.05) / 0.25)",
+      explanation: "Very high BER while RF SNR is acceptable points to framing/sync loss.",
+      actions: [
+        "Verify clock stability and alignment between TX/RX.",
+        "Increase preamble length or improve sync acquisition.",
+        "Check for framing/configuration mismatches.",
+      ],
+      mitigations: ["long_preamble"],
+    },
+    {
+      id: "congestion",
+      cause: "congestion",
+      conditions: [
+        { feature: "latency_mean", op: ">", value: "latency_warn_ms" },
+        { feature: "retries_mean", op: ">", value: "retries_warn" },
+        { feature: "snr_mean", op: ">", value: "bad_snr_db" },
+      ],
+      score: "0.4 + 0.6 * min(1.0, (latency_mean - latency_warn_ms) / 120.0)",
+      explanation: "High latency and retries with tolerable RF conditions suggest congestion.",
+      actions: [
+        "Reduce offered load or apply traffic shaping.",
+        "Increase buffers or enable congestion control mechanisms.",
+        "Distribute traffic across additional links if possible.",
+      ],
+      mitigations: ["rate_limit"],
+    },
+    {
+      id: "fading",
+      cause: "fading",
+      conditions: [
+        { feature: "snr_mean", op: "<", value: "good_snr_db" },
+        { feature: "snr_std", op: ">", value: 2.0 },
+        { feature: "ber_mean", op: ">", value: "good_ber" },
+        { feature: "latency_mean", op: "<", value: "latency_bad_ms" },
+      ],
+      score: "0.3 + 0.7 * min(1.0, snr_std / 5.0)",
+      explanation: "Significant SNR fluctuations with elevated BER and modest latency hint at fading.",
+      actions: [
+        "Increase transmit power within limits.",
+        "Enable diversity (spatial/frequency/time).",
+        "Use more robust modulation/coding during deep fades.",
+      ],
+      mitigations: ["enable_diversity", "enable_interleaving", "raise_fec"],
+    },
+    {
+      id: "oscillator_drift",
+      cause: "oscillator_drift",
+      conditions: [
+        { feature: "snr_mean", op: ">", value: "good_snr_db" },
+        { feature: "snr_std", op: "<", value: 1.5 },
+        { feature: "ber_max", op: ">", value: "good_ber" },
+        { feature: "ber_max", op: "<", value: 0.05 },
+        { feature: "latency_mean", op: "<", value: "latency_warn_ms" },
+        {
+          any: [
+            { feature: "ber_log_slope", op: ">", value: 0 },
+            { feature: "latency_max", op: ">", value: "latency_warn_ms" },
+          ],
+        },
+      ],
+      score: "0.4 + 0.6 * min(1.0, log10(ber_max / good_ber) / 2.0)",
+      explanation:
+        "BER creeping up while SNR stays clean, punctuated by brief resync latency spikes, points to oscillator drift / carrier frequency offset.",
+      actions: [
+        "Check reference oscillator (TCXO/OCXO) stability and its temperature environment.",
+        "Enable or tighten carrier frequency offset tracking (AFC/PLL loop bandwidth).",
+        "Discipline the local clock to GPS or a network time reference.",
+      ],
+    },
+    {
+      id: "adjacent_channel",
+      cause: "adjacent_channel",
+      conditions: [
+        { feature: "snr_mean", op: "<", value: "good_snr_db" },
+        { feature: "snr_mean", op: ">", value: "bad_snr_db" },
+        { feature: "snr_std", op: "<", value: 1.0 },
+        { feature: "ber_log_std", op: "<", value: 0.32 },
+        { feature: "retries_mean", op: "<", value: "retries_warn" },
+        { feature: "latency_mean", op: "<", value: "latency_warn_ms" },
+      ],
+      score: "0.4 + 0.6 * min(1.0, (good_snr_db - snr_mean) / 8.0)",
+      explanation:
+        "A steady, partial SNR loss with steady BER and no extra retries or latency suggests energy leaking in from an adjacent channel.",
+      actions: [
+        "Increase channel spacing or move away from the busy neighbouring channel.",
+        "Tighten receive channel filtering to improve adjacent-channel selectivity.",
+        "Coordinate transmit power or spectral mask with the adjacent-channel user.",
+      ],
+      mitigations: ["switch_channel"],
+    },
+    {
+      id: "monitoring_fault",
+      cause: "monitoring_fault",
+      conditions: [
+        {
+          any: [
+            { feature: "invalid_frac", op: ">=", value: 0.1 },
+            { feature: "stuck_frac", op: ">=", value: 0.25 },
+            { feature: "missing_frac", op: ">=", value: 0.2 },
+          ],
+        },
+      ],
+      score: "0.5 + 0.5 * min(1.0, max(invalid_frac / 0.3, max(stuck_frac, missing_frac) / 0.5))",
+      explanation:
+        "Part of the telemetry is corrupt, frozen or missing, so the fault lies with the monitoring path and the link metrics cannot be taken at face value.",
+      actions: [
+        "Check the statistics agent on the modem, the collector and the transport between them.",
+        "Compare the suspect readings with another source, e.g. the far end or the modem's own console.",
+        "Check the collector's clock and polling schedule if samples arrive with gaps.",
+      ],
+    },
+    {
+      id: "jammer_explains_retries",
+      stage: "compound",
+      cause: "wideband_jammer",
+      conditions: [
+        { cause: "wideband_jammer", op: ">=", value: 0.5 },
+        { cause: "congestion", op: ">", value: 0 },
+        { feature: "latency_mean", op: "<", value: "latency_bad_ms" },
+      ],
+      score: "0.2",
+      explains_away: ["congestion"],
+      explanation:
+        "Retransmissions forced by the jammer explain the congestion-like retries; latency is not high enough for independent congestion.",
+    },
+    {
+      id: "sync_outages_explain_latency",
+      stage: "compound",
+      cause: "sync_loss",
+      conditions: [
+        { cause: "sync_loss", op: ">=", value: 0.6 },
+        { cause: "congestion", op: ">", value: 0 },
+        { feature: "latency_mean", op: "<", value: "latency_bad_ms" },
+      ],
+      score: "0.2",
+      explains_away: ["congestion"],
+      explanation:
+        "Latency and retry spikes line up with sync outages rather than sustained queueing, so they are not counted as congestion.",
+    },
+    {
+      id: "bad_telemetry_voids_healthy",
+      stage: "compound",
+      cause: "monitoring_fault",
+      conditions: [
+        { cause: "monitoring_fault", op: ">=", value: 0.5 },
+        { cause: "healthy", op: ">", value: 0 },
+      ],
+      score: "0.2",
+      explains_away: ["healthy"],
+      explanation: "Readings that look nominal do not show the link is healthy while the telemetry itself is faulty.",
+    },
+  ],
+  fallback: {
+    explanation: "Patterns do not clearly match any known rule set.",
+    actions: [
+      "Capture additional diagnostics to refine the hypothesis.",
+      "Consider extending the rule base for newly observed patterns.",
+    ],
+  },
+};
+
+const COMPARATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+};
+
+const EXPR_FUNCTIONS = {
+  min: Math.min,
+  max: Math.max,
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  log10: Math.log10,
+  clamp: (x, lo, hi) => Math.min(Math.max(x, lo), hi),
+};
+
+function tokenizeExpr(src) {
+  const tokens = [];
+  const re = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(.))/gy;
+  let m;
+  while (re.lastIndex < src.length && (m = re.exec(src))) {
+    if (m[1] !== undefined) tokens.push({ type: "num", value: parseFloat(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: "name", value: m[2] });
+    else if (m[3] !== undefined && m[3].trim()) {
+      if (!"+-*/(),".includes(m[3])) throw new Error(`unexpected character "${m[3]}"`);
+      tokens.push({ type: "op", value: m[3] });
+    }
+  }
+  return tokens;
+}
+
+// Recursive-descent parser producing a small AST: num, name, neg, bin, call.
+function parseExpr(src) {
+  const tokens = tokenizeExpr(String(src));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const take = (value) => {
+    const tok = tokens[pos];
+    if (!tok || (value !== undefined && tok.value !== value)) {
+      throw new Error(`expected "${value}" but found ${tok ? `"${tok.value}"` : "end of expression"}`);
+    }
+    pos += 1;
+    return tok;
+  };
+
+  function primary() {
+    const tok = peek();
+    if (!tok) throw new Error("unexpected end of expression");
+    if (tok.type === "num") {
+      pos += 1;
+      return { type: "num", value: tok.value };
+    }
+    if (tok.value === "-") {
+      pos += 1;
+      return { type: "neg", arg: primary() };
+    }
+    if (tok.value === "(") {
+      take("(");
+      const inner = additive();
+      take(")");
+      return inner;
+    }
+    if (tok.type === "name") {
+      pos += 1;
+      if (peek() && peek().value === "(") {
+        if (!EXPR_FUNCTIONS[tok.value]) throw new Error(`unknown function "${tok.value}"`);
+        take("(");
+        const args = [additive()];
+        while (peek() && peek().value === ",") {
+          take(",");
+          args.push(additive());
+        }
+        take(")");
+        return { type: "call", name: tok.value, args };
+      }
+      return { type: "name", name: tok.value };
+    }
+    throw new Error(`unexpected "${tok.value}"`);
+  }
+
+  function multiplicative() {
+    let node = primary();
+    while (peek() && (peek().value === "*" || peek().value === "/")) {
+      const op = take().value;
+      node = { type: "bin", op, left: node, right: primary() };
+    }
+    return node;
+  }
+
+  function additive() {
+    let node = multiplicative();
+    while (peek() && (peek().value === "+" || peek().value === "-")) {
+      const op = take().value;
+      node = { type: "bin", op, left: node, right: multiplicative() };
+    }
+    return node;
+  }
+
+  const ast = additive();
+  if (pos < tokens.length) throw new Error(`unexpected "${tokens[pos].value}"`);
+  return ast;
+}
+
+function exprNames(ast, out = new Set()) {
+  if (ast.type === "name") out.add(ast.name);
+  else if (ast.type === "neg") exprNames(ast.arg, out);
+  else if (ast.type === "bin") {
+    exprNames(ast.left, out);
+    exprNames(ast.right, out);
+  } else if (ast.type === "call") ast.args.forEach((a) => exprNames(a, out));
+  return out;
+}
+
+// `lookup(name)` resolves feature and threshold names; unknown names evaluate to NaN.
+function evalExpr(ast, lookup) {
+  switch (ast.type) {
+    case "num":
+      return ast.value;
+    case "name":
+      return lookup(ast.name);
+    case "neg":
+      return -evalExpr(ast.arg, lookup);
+    case "call":
+      return EXPR_FUNCTIONS[ast.name](...ast.args.map((a) => evalExpr(a, lookup)));
+    case "bin": {
+      const l = evalExpr(ast.left, lookup);
+      const r = evalExpr(ast.right, lookup);
+      if (ast.op === "+") return l + r;
+      if (ast.op === "-") return l - r;
+      if (ast.op === "*") return l * r;
+      return l / r;
+    }
+    default:
+      return NaN;
+  }
+}
+
+function compileCondition(cond, path, known, compound) {
+  if (cond && Array.isArray(cond.any)) {
+    if (!cond.any.length) throw new Error(`${path}.any: needs at least one condition`);
+    return { any: cond.any.map((c, i) => compileCondition(c, `${path}.any[${i}]`, known, compound)) };
+  }
+  if (cond && typeof cond.cause === "string") {
+    if (!compound) throw new Error(`${path}: cause conditions are only allowed in compound rules`);
+    if (!known.causes.includes(cond.cause)) throw new Error(`${path}: unknown cause "${cond.cause}"`);
+    if (!COMPARATORS[cond.op]) throw new Error(`${path}: unknown operator "${cond.op}"`);
+    if (!Number.isFinite(cond.value)) throw new Error(`${path}: "value" must be a confidence between 0 and 1`);
+    return { cause: cond.cause, op: cond.op, value: cond.value };
+  }
+  if (!cond || typeof cond.feature !== "string") {
+    throw new Error(`${path}: needs a "feature" name, a "cause" name or an "any" list`);
+  }
+  if (!known.features.includes(cond.feature)) throw new Error(`${path}: unknown feature "${cond.feature}"`);
+  if (!COMPARATORS[cond.op]) throw new Error(`${path}: unknown operator "${cond.op}"`);
+  if (typeof cond.value === "string") {
+    if (!known.thresholds.includes(cond.value)) throw new Error(`${path}: unknown threshold "${cond.value}"`);
+  } else if (!Number.isFinite(cond.value)) {
+    throw new Error(`${path}: "value" must be a number or threshold name`);
+  }
+  return { feature: cond.feature, op: cond.op, value: cond.value };
+}
+
+const THRESHOLD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Validates a rule base and returns it with parsed score expressions. `features` lists the
+// window feature names rules may test; `thresholds` the engine's built-in threshold names;
+// `mitigations` the executable mitigation types rules may name; `causes` the root causes rules
+// may diagnose, test and explain away.
+// Throws an Error naming the offending path on the first problem found.
+function compileRuleBase(ruleBase, { features, thresholds, mitigations = [], causes }) {
+  if (!ruleBase || typeof ruleBase !== "object") throw new Error("Rule base must be a JSON object");
+  const ruleThresholds = ruleBase.thresholds || {};
+  for (const [name, value] of Object.entries(ruleThresholds)) {
+    // Score expressions refer to thresholds by name, and a feature of the same name would hide one.
+    if (!THRESHOLD_NAME_PATTERN.test(name)) throw new Error(`thresholds.${name}: name must be an identifier`);
+    // Inherited names ("constructor", "__proto__") would resolve to the prototype's value instead.
+    if (name in Object.prototype) throw new Error(`thresholds.${name}: name is reserved`);
+    if (features.includes(name)) throw new Error(`thresholds.${name}: name is taken by a window feature`);
+    if (!Number.isFinite(value)) throw new Error(`thresholds.${name}: must be a number`);
+  }
+  const known = { features, causes, thresholds: [...new Set(thresholds.concat(Object.keys(ruleThresholds)))] };
+  if (!Array.isArray(ruleBase.rules)) throw new Error(`"rules" must be a list`);
+  const decision = Object.assign({ default: 0.5 }, ruleBase.decision_thresholds);
+  for (const [cause, value] of Object.entries(decision)) {
+    if (!(Number.isFinite(value) && value >= 0 && value <= 1)) {
+      throw new Error(`decision_thresholds.${cause}: must be a number between 0 and 1`);
+    }
+  }
+
+  const ids = new Set();
+  const rules = ruleBase.rules.map((rule, i) => {
+    const path = `rules[${i}]`;
+    if (!rule || typeof rule.id !== "string" || !rule.id) throw new Error(`${path}: needs a string "id"`);
+    if (ids.has(rule.id)) throw new Error(`${path}: duplicate id "${rule.id}"`);
+    ids.add(rule.id);
+    if (typeof rule.cause !== "string" || !rule.cause) throw new Error(`${path}: needs a string "cause"`);
+    if (!causes.includes(rule.cause)) throw new Error(`${path}.cause: unknown cause "${rule.cause}"`);
+    if (!Array.isArray(rule.conditions)) throw new Error(`${path}: "conditions" must be a list`);
+    const stage = rule.stage || "base";
+    if (stage !== "base" && stage !== "compound") throw new Error(`${path}.stage: must be "base" or "compound"`);
+    const compound = stage === "compound";
+    const conditions = rule.conditions.map((c, j) =>
+      compileCondition(c, `${path}.conditions[${j}]`, known, compound)
+    );
+    const explainsAway = rule.explains_away || [];
+    if (!(Array.isArray(explainsAway) && explainsAway.every((c) => typeof c === "string"))) {
+      throw new Error(`${path}.explains_away: must be a list of cause names`);
+    }
+    if (explainsAway.length && !compound) throw new Error(`${path}.explains_away: only compound rules can explain away`);
+    for (const cause of explainsAway) {
+      if (!causes.includes(cause)) throw new Error(`${path}.explains_away: unknown cause "${cause}"`);
+    }
+
+    let score;
+    try {
+      score = parseExpr(rule.score === undefined ? "1" : rule.score);
+    } catch (err) {
+      throw new Error(`${path}.score: ${err.message}`);
+    }
+    for (const name of exprNames(score)) {
+      if (!features.includes(name) && !known.thresholds.includes(name)) {
+        throw new Error(`${path}.score: unknown name "${name}"`);
+      }
+    }
+    if (rule.actions !== undefined && !(Array.isArray(rule.actions) && rule.actions.every((a) => typeof a === "string"))) {
+      throw new Error(`${path}.actions: must be a list of strings`);
+    }
+    const ruleMitigations = rule.mitigations || [];
+    if (!Array.isArray(ruleMitigations)) throw new Error(`${path}.mitigations: must be a list of mitigation types`);
+    for (const type of ruleMitigations) {
+      if (!mitigations.includes(type)) throw new Error(`${path}.mitigations: unknown mitigation "${type}"`);
+    }
+    return {
+      id: rule.id,
+      cause: rule.cause,
+      stage,
+      conditions,
+      explains_away: explainsAway,
+      score,
+      explanation: String(rule.explanation || ""),
+      actions: rule.actions || [],
+      mitigations: ruleMitigations,
+    };
+  });
+
+  const fallback = ruleBase.fallback || {};
+  return {
+    thresholds: ruleThresholds,
+    decision_thresholds: decision,
+    rules,
+    fallback: {
+      explanation: String(fallback.explanation || "Patterns do not clearly match any known rule set."),
+      actions: Array.isArray(fallback.actions) ? fallback.actions : [],
+    },
+  };
+}
+
+// `causeConfidence(cause)` backs cause conditions; only compound rules use them.
+function conditionPasses(cond, lookup, causeConfidence) {
+  return conditionResult(cond, lookup, causeConfidence).passed;
+}
+
+// Signed distance of `actual` from failing `op threshold`: positive when the comparison holds,
+// negative by how far it misses. Equality has no slack, so a pass scores 0.
+function conditionMargin(op, actual, threshold) {
+  if (op === "<" || op === "<=") return threshold - actual;
+  if (op === ">" || op === ">=") return actual - threshold;
+  const off = Math.abs(actual - threshold);
+  return op === "==" ? -off : off;
+}
+
+// What a condition saw: { feature | cause, op, actual, threshold, threshold_name, passed, margin },
+// or { any: [results], passed, margin } with the best nested margin. Unknown values give a NaN
+// margin and fail.
+function conditionResult(cond, lookup, causeConfidence) {
+  if (cond.any) {
+    const any = cond.any.map((c) => conditionResult(c, lookup, causeConfidence));
+    const margins = any.map((r) => r.margin).filter(Number.isFinite);
+    return {
+      any,
+      passed: any.some((r) => r.passed),
+      margin: margins.length ? Math.max(...margins) : NaN,
+    };
+  }
+  const result = { op: cond.op };
+  if (cond.cause) {
+    Object.assign(result, { cause: cond.cause, actual: causeConfidence(cond.cause), threshold: cond.value });
+  } else {
+    const named = typeof cond.value === "string";
+    Object.assign(result, {
+      feature: cond.feature,
+      actual: lookup(cond.feature),
+      threshold: named ? lookup(cond.value) : cond.value,
+      threshold_name: named ? cond.value : null,
+    });
+  }
+  result.passed = COMPARATORS[cond.op](result.actual, result.threshold);
+  result.margin = conditionMargin(cond.op, result.actual, result.threshold);
+  return result;
+}
+
+// expose to global scope for non-module usage
+window.DEFAULT_RULE_BASE = DEFAULT_RULE_BASE;
+window.compileRuleBase = compileRuleBase;
+window.conditionPasses = conditionPasses;
+window.conditionResult = conditionResult;
+window.parseExpr = parseExpr;
+window.evalExpr = evalExpr;
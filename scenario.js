@@ -0,0 +1,121 @@
+// Scenario timelines: per-field fault segments evaluated by simulator tick.
+// Fields without an active segment keep their base (slider) value.
+
+const SegmentType = {
+  STEP: "step",
+  RAMP: "ramp",
+  BURST: "burst",
+  RANDOM: "random",
+};
+
+// Parameters each segment type needs besides field/type/start/end.
+const SEGMENT_PARAMS = {
+  [SegmentType.STEP]: ["value"],
+  [SegmentType.RAMP]: ["from", "to"],
+  [SegmentType.BURST]: ["value", "period", "width"],
+  [SegmentType.RANDOM]: ["value", "prob", "hold"],
+};
+
+const SCENARIO_PRESETS = {
+  "jammer-ramp": {
+    label: "Jammer ramps up over 360 ticks (~30 s)",
+    segments: [
+      { field: "jammer_level", type: SegmentType.RAMP, start: 60, end: 420, from: 0, to: 1 },
+      { field: "jammer_level", type: SegmentType.STEP, start: 420, end: 600, value: 1 },
+    ],
+  },
+  "noise-bursts": {
+    label: "Noise bursts every 50 ticks",
+    segments: [
+      { field: "noise_spike_level", type: SegmentType.BURST, start: 50, end: null, value: 0.8, period: 50, width: 10 },
+    ],
+  },
+  "busy-hour": {
+    label: "Busy-hour congestion",
+    segments: [
+      { field: "congestion_level", type: SegmentType.RAMP, start: 100, end: 160, from: 0, to: 0.8 },
+      { field: "congestion_level", type: SegmentType.STEP, start: 160, end: 400, value: 0.8 },
+      { field: "congestion_level", type: SegmentType.RAMP, start: 400, end: 460, from: 0.8, to: 0 },
+    ],
+  },
+  "flaky-sync": {
+    label: "Intermittent sync trouble",
+    segments: [
+      { field: "sync_loss_prob", type: SegmentType.RANDOM, start: 40, end: null, value: 0.3, prob: 0.3, hold: 25 },
+    ],
+  },
+};
+
+function validateSegment(seg, fields) {
+  if (!fields.includes(seg.field)) throw new Error(`Unknown fault field "${seg.field}".`);
+  if (!SEGMENT_PARAMS[seg.type]) throw new Error(`Unknown segment type "${seg.type}".`);
+  if (!Number.isFinite(seg.start) || seg.start < 0) throw new Error(`${seg.field}: start must be a tick >= 0.`);
+  if (seg.end !== null && !(Number.isFinite(seg.end) && seg.end > seg.start)) {
+    throw new Error(`${seg.field}: end must be after start (or empty for open-ended).`);
+  }
+  if (seg.type === SegmentType.RAMP && seg.end === null) throw new Error(`${seg.field}: a ramp needs an end tick.`);
+  for (const param of SEGMENT_PARAMS[seg.type]) {
+    if (!Number.isFinite(seg[param])) throw new Error(`${seg.field}: ${seg.type} segment needs a numeric "${param}".`);
+  }
+  if (seg.type === SegmentType.BURST && !(seg.period > 0 && seg.width > 0)) {
+    throw new Error(`${seg.field}: burst period and width must be positive.`);
+  }
+  if (seg.type === SegmentType.RANDOM && !(seg.hold > 0)) throw new Error(`${seg.field}: hold must be positive.`);
+}
+
+class FaultScenario {
+  // Keeps copies of the segments, so later edits to the caller's list (e.g. the scenario editor's
+  // rows, which are validated only afterwards) leave this scenario as it was validated.
+  constructor(segments = [], seed = 1) {
+    const fields = Object.keys(new FaultConfig());
+    segments.forEach((seg) => validateSegment(seg, fields));
+    this.segments = segments.map((seg) => Object.assign({}, seg));
+    this.seed = seed >>> 0;
+  }
+
+  // Value of `field` at tick `t`, or `fallback` when no segment covers it. Later segments win.
+  valueAt(field, t, fallback) {
+    let value = fallback;
+    this.segments.forEach((seg, idx) => {
+      if (seg.field !== field || t < seg.start || (seg.end !== null && t >= seg.end)) return;
+      value = this._segmentValue(seg, idx, t - seg.start);
+    });
+    return value;
+  }
+
+  configAt(t, base) {
+    const cfg = Object.assign(new FaultConfig(), base);
+    for (const field of Object.keys(cfg)) cfg[field] = this.valueAt(field, t, cfg[field]);
+    return cfg;
+  }
+
+  // Last tick the timeline changes anything; open-ended segments count from their start.
+  duration() {
+    return this.segments.reduce((d, seg) => Math.max(d, seg.end === null ? seg.start : seg.end), 0);
+  }
+
+  _segmentValue(seg, idx, local) {
+    switch (seg.type) {
+      case SegmentType.STEP:
+        return seg.value;
+      case SegmentType.RAMP:
+        return seg.from + (seg.to - seg.from) * Math.min(1, local / (seg.end - seg.start));
+      case SegmentType.BURST:
+        return local % seg.period < seg.width ? seg.value : 0;
+      case SegmentType.RANDOM: {
+        // Stateless per-block draw so the profile can be previewed and replayed at any tick.
+        const block = Math.floor(local / seg.hold);
+        const rng = new SeededRng((this.seed ^ Math.imul(idx + 1, 0x9e3779b1) ^ Math.imul(block + 1, 0x85ebca6b)) >>> 0);
+        return rng.random() < seg.prob ? seg.value : 0;
+      }
+      default:
+        return 0;
+    }
+  }
+}
+
+// expose to global scope for non-module usage
+window.SegmentType = SegmentType;
+window.SEGMENT_PARAMS = SEGMENT_PARAMS;
+window.SCENARIO_PRESETS = SCENARIO_PRESETS;
+window.FaultScenario = FaultScenario;
@@ -1,22 +1,47 @@
-// Simple RNG utilities (Box-Muller for normal, Knuth for Poisson)
-function randn() {
-  let u = 0;
-  let v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+// Seedable RNG (mulberry32) with Box-Muller normal and Knuth Poisson draws.
+// Every random draw in the simulator goes through one of these so a run can be
+// replayed exactly from its seed.
+// Seeds are 32-bit. Larger values would wrap onto smaller seeds and replay their runs, so inputs
+// outside 0..MAX_SEED are rejected rather than passed on.
+const MAX_SEED = 0xffffffff;
+
+class SeededRng {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  random() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let z = this.state;
+    z = Math.imul(z ^ (z >>> 15), z | 1);
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61);
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296;
+  }
+
+  randn() {
+    let u = 0;
+    let v = 0;
+    while (u === 0) u = this.random();
+    while (v === 0) v = this.random();
+    return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+  }
+
+  poisson(lambda) {
+    if (lambda <= 0) return 0;
+    const L = Math.exp(-lambda);
+    let k = 0;
+    let p = 1.0;
+    do {
+      k++;
+      p *= this.random();
+    } while (p > L);
+    return k - 1;
+  }
 }
 
-function poisson(lambda) {
-  if (lambda <= 0) return 0;
-  const L = Math.exp(-lambda);
-  let k = 0;
-  let p = 1.0;
-  do {
-    k++;
-    p *= Math.random();
-  } while (p > L);
-  return k - 1;
+function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1)) >>> 0;
 }
 
 const FaultType = {
@@ -26,8 +51,15 @@ const FaultType = {
   SYNC_LOSS: "sync_loss",
   CONGESTION: "congestion",
   FADING: "fading",
+  OSCILLATOR_DRIFT: "oscillator_drift",
+  ADJACENT_CHANNEL: "adjacent_channel",
+  MONITORING_FAULT: "monitoring_fault",
 };
 
+// Faults added by registerFaultPlugin (plugins.js), in registration order. Their parameters join
+// FaultConfig with their defaults and `step()` applies them after the built-in faults.
+const FAULT_PLUGINS = [];
+
 class FaultConfig {
   constructor() {
     this.noise_spike_level = 0.0;
@@ -35,97 +67,470 @@ class FaultConfig {
     this.sync_loss_prob = 0.0;
     this.congestion_level = 0.0;
     this.fading_severity = 0.0;
+    this.oscillator_drift_level = 0.0;
+    this.adjacent_channel_level = 0.0;
+    // Interferer offset in channel spacings; leakage falls off as it moves away.
+    this.adjacent_channel_offset = 1.0;
+    // Monitoring faults corrupt what is reported about the link, not the link itself.
+    this.telemetry_stuck_level = 0.0;
+    this.telemetry_dropout_level = 0.0;
+    this.telemetry_gap_level = 0.0;
+    this.telemetry_outlier_level = 0.0;
+    this.telemetry_nan_level = 0.0;
+    for (const plugin of FAULT_PLUGINS) {
+      for (const param of plugin.params) this[param.field] = param.default;
+    }
   }
 }
 
-class CommLinkSimulator {
+const TELEMETRY_FAULT_FIELDS = [
+  "telemetry_stuck_level",
+  "telemetry_dropout_level",
+  "telemetry_gap_level",
+  "telemetry_outlier_level",
+  "telemetry_nan_level",
+];
+const REPORTED_METRICS = ["snr_db", "ber", "latency_ms", "retries"];
+// Realistic ranges [min, max] the link's readings are clipped to.
+const CLIP_LIMITS = {
+  snr_db: [-5, 40],
+  ber: [1e-9, 0.5],
+  latency_ms: [1.0, Infinity],
+};
+// What an outlier fault reports instead of the reading: sentinel and wrapped-counter values far
+// outside anything the link produces.
+const TELEMETRY_OUTLIERS = {
+  snr_db: () => 99,
+  ber: () => 1,
+  latency_ms: (v) => v * 1000,
+  retries: () => 65535,
+};
+
+// Modulation and coding schemes (802.11a/g-style rates at 12 Msym/s). `min_snr_db` is the SNR
+// each needs for the link's nominal BER; every dB of shortfall costs MCS_BER_DECADES_PER_DB.
+const SYMBOL_RATE_MSPS = 12;
+const MCS_TABLE = [
+  { name: "BPSK 1/2", modulation: "BPSK", bits_per_symbol: 1, code_rate: 1 / 2, min_snr_db: 4 },
+  { name: "BPSK 3/4", modulation: "BPSK", bits_per_symbol: 1, code_rate: 3 / 4, min_snr_db: 6 },
+  { name: "QPSK 1/2", modulation: "QPSK", bits_per_symbol: 2, code_rate: 1 / 2, min_snr_db: 7 },
+  { name: "QPSK 3/4", modulation: "QPSK", bits_per_symbol: 2, code_rate: 3 / 4, min_snr_db: 9 },
+  { name: "16-QAM 1/2", modulation: "16-QAM", bits_per_symbol: 4, code_rate: 1 / 2, min_snr_db: 12 },
+  { name: "16-QAM 3/4", modulation: "16-QAM", bits_per_symbol: 4, code_rate: 3 / 4, min_snr_db: 16 },
+  { name: "64-QAM 2/3", modulation: "64-QAM", bits_per_symbol: 6, code_rate: 2 / 3, min_snr_db: 20 },
+  { name: "64-QAM 3/4", modulation: "64-QAM", bits_per_symbol: 6, code_rate: 3 / 4, min_snr_db: 21 },
+];
+MCS_TABLE.forEach((mcs) => {
+  mcs.rate_mbps = SYMBOL_RATE_MSPS * mcs.bits_per_symbol * mcs.code_rate;
+});
+// The fault model's BER figures are for this MCS, so a fixed default MCS leaves them unchanged.
+const REFERENCE_MCS = MCS_TABLE.length - 1;
+const MCS_BER_DECADES_PER_DB = 0.3;
+// Goodput model: packets offered per tick and their size.
+const PACKETS_PER_TICK = 10;
+const PACKET_BITS = 12000;
+
+class RateConfig {
+  constructor() {
+    this.mcs_index = REFERENCE_MCS;
+    // Link adaptation: each tick pick the fastest MCS whose SNR need, plus the margin, is met
+    // by a smoothed estimate of the SNR reported so far.
+    this.adaptive = false;
+    this.margin_db = 3.0;
+  }
+}
+
+// Link-side countermeasures. They scale the fault effects without extra random draws, so a run
+// with no mitigations stays sample-for-sample identical for a given seed.
+const MAX_FEC_LEVEL = 3;
+// Code rate per FEC level; the throughput cost of stronger coding.
+const FEC_CODE_RATES = [1, 5 / 6, 3 / 4, 1 / 2];
+
+class MitigationConfig {
   constructor() {
+    // Moved to another channel: the jammer only partly covers it, the adjacent interferer is further off.
+    this.channel_switched = false;
+    this.fec_level = 0;
+    this.interleaving = false;
+    this.long_preamble = false;
+    this.rate_limit = false;
+    this.diversity = false;
+  }
+}
+
+class CommLinkSimulator {
+  constructor(seed = randomSeed()) {
     this.t = 0;
+    this.seed = seed >>> 0;
+    this.rng = new SeededRng(this.seed);
     this.baseline_snr_db = 25.0;
     this.baseline_ber = 1e-6;
     this.baseline_latency_ms = 20.0;
     this.baseline_retries = 0;
     this.fault_config = new FaultConfig();
+    this.channel_config = new ChannelConfig();
+    this.channel = null;
+    this.mitigation_config = new MitigationConfig();
+    this.rate_config = new RateConfig();
+    this.packet_config = new PacketConfig();
+    this.packet_link = new PacketLink(this.packet_config);
+    this.symbol_config = new SymbolConfig();
+    // The latest symbol burst (see phy.js) and the fade its receiver's gain control is set for.
+    this.symbol_burst = null;
+    this.agc_gain_db = 0;
+    this.mcs_index = this.rate_config.mcs_index;
+    this.snr_estimate = null;
+    // Accumulated carrier frequency offset, normalised so 1.0 forces a resync.
+    this.cfo = 0;
+    // Per-plugin scratch state, by plugin id; cleared on reset.
+    this.plugin_state = {};
+    // Monitoring-fault state: the reading held by a stuck sensor, and samples left in a gap.
+    this.stuck_reading = null;
+    this.gap_left = 0;
   }
 
   setFaultConfig(cfg) {
     this.fault_config = cfg;
   }
 
+  setRateConfig(cfg) {
+    this.rate_config = cfg;
+    if (!cfg.adaptive) this.mcs_index = cfg.mcs_index;
+  }
+
+  // Fastest MCS the smoothed SNR supports; the slowest one when none does.
+  _adaptMcs() {
+    if (!this.rate_config.adaptive || this.snr_estimate === null) return;
+    const usable = this.snr_estimate - this.rate_config.margin_db;
+    let idx = 0;
+    MCS_TABLE.forEach((mcs, i) => {
+      if (mcs.min_snr_db <= usable) idx = i;
+    });
+    this.mcs_index = idx;
+  }
+
+  // Switching the packet layer on or off, or changing it, starts with an empty queue.
+  setPacketConfig(cfg) {
+    this.packet_config = validatePacketConfig(cfg);
+    this.packet_link = new PacketLink(cfg);
+  }
+
+  setSymbolConfig(cfg) {
+    this.symbol_config = validateSymbolConfig(cfg);
+    if (!cfg.enabled) this.symbol_burst = null;
+  }
+
+  setMitigationConfig(cfg) {
+    this.mitigation_config = cfg;
+  }
+
+  // Selecting a channel model restarts its state (e.g. the fading phasor).
+  setChannelConfig(cfg) {
+    this.channel_config = cfg;
+    this.channel = createChannelProcess(cfg, this.rng);
+  }
+
+  // Rewind to t = 0 and restart the random stream. Fault, channel, mitigation, rate, packet and
+  // symbol configs are kept.
+  reset(seed = this.seed) {
+    this.t = 0;
+    this.seed = seed >>> 0;
+    this.rng = new SeededRng(this.seed);
+    this.channel = createChannelProcess(this.channel_config, this.rng);
+    this.cfo = 0;
+    this.plugin_state = {};
+    this.stuck_reading = null;
+    this.gap_left = 0;
+    this.packet_link.reset();
+    this.symbol_burst = null;
+    this.agc_gain_db = 0;
+    this.snr_estimate = null;
+    this.mcs_index = this.rate_config.mcs_index;
+  }
+
+  // A simulator continuing from `state`, a structured-clone copy of one (e.g. handed back from
+  // the engine worker): same tick, random stream, channel and queue state, and configs.
+  static restore(state) {
+    const sim = Object.assign(Object.create(CommLinkSimulator.prototype), state);
+    sim.rng = Object.assign(Object.create(SeededRng.prototype), state.rng);
+    sim.fault_config = Object.assign(new FaultConfig(), state.fault_config);
+    sim.channel_config = Object.assign(new ChannelConfig(), state.channel_config);
+    sim.channel = restoreChannelProcess(sim.channel_config, state.channel);
+    sim.mitigation_config = Object.assign(new MitigationConfig(), state.mitigation_config);
+    sim.rate_config = Object.assign(new RateConfig(), state.rate_config);
+    sim.packet_config = Object.assign(new PacketConfig(), state.packet_config);
+    sim.packet_link = new PacketLink(sim.packet_config);
+    sim.packet_link.departures = state.packet_link.departures;
+    sim.symbol_config = Object.assign(new SymbolConfig(), state.symbol_config);
+    return sim;
+  }
+
+  // One reported sample. Lost samples (dropouts, gaps) are not reported: the link runs on, so the
+  // next sample that gets through carries a later `t`.
   step() {
+    let sample = this._stepLink();
+    while (this._sampleLost()) sample = this._stepLink();
+    return this._report(sample);
+  }
+
+  _stepLink() {
     this.t += 1;
+    this._adaptMcs();
+    const mcs = MCS_TABLE[this.mcs_index];
     const cfg = this.fault_config;
+    const mit = this.mitigation_config;
+    const rng = this.rng;
     const active_faults = [];
+    // With the packet layer on, retries and queueing delay come from it rather than from the
+    // per-fault offsets below.
+    const packets = this.packet_config.enabled;
+    let outage_ms = 0;
+    // What the symbol burst needs to know about the faults (see phy.js).
+    let impulse = 0;
+    let interferer = 0;
+    let fade_db = 0;
 
-    let snr = this.baseline_snr_db + randn() * 0.3;
-    let ber = Math.max(this.baseline_ber * 10 ** (randn() * 0.2), 1e-9);
-    let latency = this.baseline_latency_ms + randn() * 1.0;
+    let snr = this.baseline_snr_db + rng.randn() * 0.3;
+    let ber = Math.max(this.baseline_ber * 10 ** (rng.randn() * 0.2), 1e-9);
+    let latency = this.baseline_latency_ms + rng.randn() * 1.0;
     let retries = this.baseline_retries;
 
     // Noise spike
     if (cfg.noise_spike_level > 0) {
       const noise = cfg.noise_spike_level;
-      snr -= 8.0 * noise + randn() * (1.0 * noise);
-      ber *= 10 ** (2.0 * noise + randn() * (0.5 * noise));
+      snr -= 8.0 * noise + rng.randn() * (1.0 * noise);
+      ber *= 10 ** (2.0 * noise + rng.randn() * (0.5 * noise));
+      impulse = noise;
       active_faults.push(FaultType.NOISE_SPIKE);
     }
 
     // Wideband jammer
     if (cfg.jammer_level > 0) {
-      const jam = cfg.jammer_level;
-      snr -= 15.0 * jam + randn() * (2.0 * jam);
-      ber *= 10 ** (3.0 * jam + randn() * (0.5 * jam));
-      retries += Math.max(0, Math.round(5 * jam + poisson(2 * jam)));
-      latency += 5 * jam + randn() * (2 * jam);
+      const jam = cfg.jammer_level * (mit.channel_switched ? 0.25 : 1);
+      snr -= 15.0 * jam + rng.randn() * (2.0 * jam);
+      ber *= 10 ** (3.0 * jam + rng.randn() * (0.5 * jam));
+      if (!packets) {
+        retries += Math.max(0, Math.round(5 * jam + rng.poisson(2 * jam)));
+        latency += 5 * jam + rng.randn() * (2 * jam);
+      }
       active_faults.push(FaultType.WIDEBAND_JAMMER);
     }
 
     // Sync loss
     let sync_outage = false;
-    if (cfg.sync_loss_prob > 0 && Math.random() < cfg.sync_loss_prob) {
+    // A longer preamble lets the receiver reacquire within most would-be outages.
+    const syncLossProb = cfg.sync_loss_prob * (mit.long_preamble ? 0.35 : 1);
+    if (cfg.sync_loss_prob > 0 && rng.random() < syncLossProb) {
       sync_outage = true;
-      ber = 0.1 + 0.8 * Math.random();
-      snr = this.baseline_snr_db + randn();
-      latency += 200 + randn() * 20;
-      retries += 5 + poisson(3);
+      ber = 0.1 + 0.8 * rng.random();
+      snr = this.baseline_snr_db + rng.randn();
+      if (!packets) {
+        latency += 200 + rng.randn() * 20;
+        retries += 5 + rng.poisson(3);
+      }
       active_faults.push(FaultType.SYNC_LOSS);
     }
 
     // Congestion
     if (cfg.congestion_level > 0 && !sync_outage) {
-      const cong = cfg.congestion_level;
-      latency += 40 * cong + randn() * (10 * cong);
-      retries += Math.max(0, Math.round(3 * cong + poisson(3 * cong)));
-      ber *= 10 ** (0.3 * cong + randn() * (0.1 * cong));
+      const cong = cfg.congestion_level * (mit.rate_limit ? 0.35 : 1);
+      if (!packets) {
+        latency += 40 * cong + rng.randn() * (10 * cong);
+        retries += Math.max(0, Math.round(3 * cong + rng.poisson(3 * cong)));
+      }
+      ber *= 10 ** (0.3 * cong + rng.randn() * (0.1 * cong));
       active_faults.push(FaultType.CONGESTION);
     }
 
-    // Fading
+    // Fading. A channel model with memory advances every tick so fades keep their duration;
+    // the severity scales how deep they cut into SNR and BER.
+    const fade = this.channel ? this.channel.step(rng) : null;
     if (cfg.fading_severity > 0 && !sync_outage) {
-      const fad = cfg.fading_severity;
-      snr -= 5.0 * fad + Math.abs(randn() * (3.0 * fad));
-      ber *= 10 ** (1.5 * fad + randn() * (0.3 * fad));
-      active_faults.push(FaultType.FADING);
+      // Diversity combining makes deep fades rarer; interleaving spreads their errors out.
+      const fad = cfg.fading_severity * (mit.diversity ? 0.4 : 1);
+      const berFad = fad * (mit.interleaving ? 0.5 : 1);
+      if (fade) {
+        fade_db = fad * fade.snr_db;
+        ber *= 10 ** (berFad * fade.ber_decades);
+      } else {
+        fade_db = -(5.0 * fad + Math.abs(rng.randn() * (3.0 * fad)));
+        ber *= 10 ** (1.5 * berFad + rng.randn() * (0.3 * berFad));
+      }
+      snr += fade_db;
+      if (!fade || fade.faded) active_faults.push(FaultType.FADING);
+    }
+
+    // Oscillator drift: the carrier offset builds up tick by tick, slowly raising BER, until the
+    // receiver loses lock and resyncs, which costs a latency spike and a few retransmissions.
+    if (cfg.oscillator_drift_level > 0 && !sync_outage) {
+      const drift = cfg.oscillator_drift_level;
+      this.cfo += (0.01 + 0.03 * drift) * (1 + 0.2 * rng.randn());
+      snr -= 1.5 * this.cfo;
+      ber *= 10 ** (3.0 * this.cfo ** 2 + rng.randn() * 0.1);
+      if (this.cfo >= 1) {
+        this.cfo = 0;
+        if (packets) {
+          outage_ms = 60;
+        } else {
+          latency += 60 + rng.randn() * 10;
+          retries += 2 + rng.poisson(1);
+        }
+      }
+      active_faults.push(FaultType.OSCILLATOR_DRIFT);
+    } else if (!(cfg.oscillator_drift_level > 0)) {
+      // The offset is the oscillator's, so it outlasts a sync outage and only clears once the
+      // drift fault is switched off.
+      this.cfo = 0;
+    }
+
+    // Adjacent-channel interference: a steady neighbour whose leakage into our passband, and
+    // hence the SNR penalty, shrinks with its frequency offset.
+    if (cfg.adjacent_channel_level > 0 && !sync_outage) {
+      const level = cfg.adjacent_channel_level;
+      const offset = Math.max(0.5, cfg.adjacent_channel_offset) + (mit.channel_switched ? 2 : 0);
+      const leakage = level * Math.exp(-1.2 * (offset - 0.5));
+      const drop = 10 * Math.log10(1 + 10 * leakage);
+      // The leakage's share of the noise plus interference.
+      interferer = (10 * leakage) / (1 + 10 * leakage);
+      snr -= drop + rng.randn() * 0.3 * level;
+      ber *= 10 ** (0.2 * drop + rng.randn() * 0.1);
+      if (!packets) retries += rng.poisson(0.3 * leakage);
+      active_faults.push(FaultType.ADJACENT_CHANNEL);
+    }
+
+    // Plugin faults, each while its level (first parameter) is above zero. They edit the metrics
+    // in place and may draw from `rng`; plugins that are switched off draw nothing.
+    let plugin_retries = 0;
+    if (FAULT_PLUGINS.length) {
+      const metrics = { snr_db: snr, ber, latency_ms: latency, retries };
+      for (const plugin of FAULT_PLUGINS) {
+        if (!(cfg[plugin.params[0].field] > 0)) continue;
+        const state = this.plugin_state[plugin.id] || (this.plugin_state[plugin.id] = {});
+        plugin.apply(metrics, cfg, { t: this.t, rng, mitigation: mit, sync_outage, state });
+        active_faults.push(plugin.id);
+      }
+      plugin_retries = metrics.retries - retries;
+      ({ snr_db: snr, ber, latency_ms: latency, retries } = metrics);
+    }
+
+    // Coding and interleaving cost decoder/interleaver delay; FEC cannot help without sync.
+    if (!sync_outage) {
+      ber *= 10 ** (MCS_BER_DECADES_PER_DB * (mcs.min_snr_db - MCS_TABLE[REFERENCE_MCS].min_snr_db));
+      if (mit.fec_level > 0) ber *= 10 ** (-0.8 * mit.fec_level);
+      if (mit.interleaving && cfg.noise_spike_level > 0) ber *= 10 ** (-0.5 * cfg.noise_spike_level);
     }
+    latency += 1.5 * mit.fec_level + (mit.interleaving ? 8 : 0);
+    // The MCS rate less extra coding overhead and rate limiting.
+    const throughput_mbps = mcs.rate_mbps * FEC_CODE_RATES[mit.fec_level] * (mit.rate_limit ? 0.7 : 1);
 
     // Clip to realistic ranges
-    snr = Math.min(Math.max(snr, -5), 40);
-    ber = Math.min(Math.max(ber, 1e-9), 0.5);
-    latency = Math.max(1.0, latency);
+    snr = Math.min(Math.max(snr, CLIP_LIMITS.snr_db[0]), CLIP_LIMITS.snr_db[1]);
+    ber = Math.min(Math.max(ber, CLIP_LIMITS.ber[0]), CLIP_LIMITS.ber[1]);
+    latency = Math.max(CLIP_LIMITS.latency_ms[0], latency);
     retries = Math.max(0, Math.round(retries));
 
-    return {
+    // Delivered share of the airtime: packets that survive the BER, over packets sent
+    // including retransmissions.
+    const per = 1 - (1 - ber) ** PACKET_BITS;
+    let goodput_mbps;
+    let traffic = null;
+    if (packets) {
+      // Congestion is cross traffic sharing the link; a resync holds it idle.
+      const cross_load_mbps = cfg.congestion_level * (mit.rate_limit ? 0.35 : 1) * CONGESTION_LOAD_MBPS;
+      traffic = this.packet_link.step(this.t, { ber, rate_mbps: throughput_mbps, cross_load_mbps, outage_ms }, rng);
+      latency += traffic.delay_ms;
+      // Retries a plugin adds happen outside the queue model and count on top of its own.
+      retries = traffic.retries + Math.max(0, Math.round(plugin_retries));
+      const delivered = traffic.attempts ? traffic.delivered / traffic.attempts : 1 - per;
+      goodput_mbps = throughput_mbps * delivered;
+    } else {
+      goodput_mbps = (throughput_mbps * PACKETS_PER_TICK * (1 - per)) / (PACKETS_PER_TICK + retries);
+    }
+    const burst = this.symbol_config.enabled
+      ? this._sendSymbols(mcs, { snr_db: snr, impulse, interferer, fade_db, cfo: this.cfo, sync_outage })
+      : null;
+    // The receiver's SNR report feeds the next tick's MCS choice.
+    this.snr_estimate = this.snr_estimate === null ? snr : 0.8 * this.snr_estimate + 0.2 * snr;
+
+    const sample = {
       t: this.t,
       snr_db: snr,
       ber,
       latency_ms: latency,
       retries,
+      mcs: this.mcs_index,
+      throughput_mbps,
+      goodput_mbps,
       active_faults,
     };
+    if (traffic) Object.assign(sample, { queue_depth: traffic.queue_depth, packet_loss: traffic.packet_loss });
+    if (burst) sample.evm_pct = burst.evm_pct;
+    return sample;
+  }
+
+  // The tick's symbol burst, on a random stream of its own so the link's draws are unchanged.
+  _sendSymbols(mcs, impairments) {
+    const rng = symbolRng(this.seed, this.t);
+    this.symbol_burst = sendSymbols(this.symbol_config, mcs.modulation, impairments, rng, this.agc_gain_db);
+    this.agc_gain_db = this.symbol_burst.gain_db;
+    return this.symbol_burst;
+  }
+
+  // A gap loses 11 to 40 samples in a row; dropouts lose single ones.
+  _sampleLost() {
+    const cfg = this.fault_config;
+    if (this.gap_left > 0) {
+      this.gap_left -= 1;
+      return true;
+    }
+    if (cfg.telemetry_gap_level > 0 && this.rng.random() < 0.05 * cfg.telemetry_gap_level) {
+      this.gap_left = 10 + Math.floor(this.rng.random() * 30);
+      return true;
+    }
+    return cfg.telemetry_dropout_level > 0 && this.rng.random() < 0.3 * cfg.telemetry_dropout_level;
+  }
+
+  // Corrupts the readings of a sample as the monitoring faults dictate. A stuck sensor holds SNR
+  // (at its last value or pinned at the clip limit) or latency for 20 to 60 samples; outliers
+  // and NaN hit one random reading.
+  _report(sample) {
+    const cfg = this.fault_config;
+    const rng = this.rng;
+    if (!TELEMETRY_FAULT_FIELDS.some((field) => cfg[field] > 0)) {
+      this.stuck_reading = null;
+      return sample;
+    }
+    sample.active_faults.push(FaultType.MONITORING_FAULT);
+    const pick = () => REPORTED_METRICS[Math.floor(rng.random() * REPORTED_METRICS.length)];
+
+    if (this.stuck_reading) {
+      sample[this.stuck_reading.metric] = this.stuck_reading.value;
+      this.stuck_reading.left -= 1;
+      if (!this.stuck_reading.left) this.stuck_reading = null;
+    } else if (cfg.telemetry_stuck_level > 0 && rng.random() < 0.05 * cfg.telemetry_stuck_level) {
+      const metric = rng.random() < 0.5 ? "snr_db" : "latency_ms";
+      const pinned = metric === "snr_db" && rng.random() < 0.5;
+      const value = pinned ? 40 : sample[metric];
+      this.stuck_reading = { metric, value, left: 20 + Math.floor(rng.random() * 40) };
+    }
+    if (cfg.telemetry_outlier_level > 0 && rng.random() < 0.2 * cfg.telemetry_outlier_level) {
+      const metric = pick();
+      sample[metric] = TELEMETRY_OUTLIERS[metric](sample[metric]);
+    }
+    if (cfg.telemetry_nan_level > 0 && rng.random() < 0.2 * cfg.telemetry_nan_level) sample[pick()] = NaN;
+    return sample;
   }
 }
 
 // expose to global scope for non-module usage
 window.CommLinkSimulator = CommLinkSimulator;
 window.FaultConfig = FaultConfig;
+window.MitigationConfig = MitigationConfig;
+window.RateConfig = RateConfig;
+window.MCS_TABLE = MCS_TABLE;
+window.CLIP_LIMITS = CLIP_LIMITS;
+window.MAX_FEC_LEVEL = MAX_FEC_LEVEL;
 window.FaultType = FaultType;
+window.FAULT_PLUGINS = FAULT_PLUGINS;
+window.MAX_SEED = MAX_SEED;
+window.SeededRng = SeededRng;
+window.randomSeed = randomSeed;
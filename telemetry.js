@@ -0,0 +1,432 @@
+// Telemetry sources. The diagnosis pipeline consumes samples
+//   { t, snr_db, ber, latency_ms, retries, throughput_mbps, goodput_mbps, mcs, active_faults }
+// one tick at a time. A source hands them over with poll(max): the built-in simulator, a CSV or
+// JSON log, or a live feed over WebSocket or Server-Sent Events. External samples are numbered
+// by the source (t = 1, 2, ...) and carry rate fields, queue depth, packet loss, EVM and ground
+// truth only when the log has them; without ground truth `active_faults` is null.
+//
+// Every source has { kind, label, has_ground_truth, done, poll(max), reset(), close(), status() }.
+
+// Fields a log column can map to. The first unit of each is the pipeline's own; the others are
+// converted to it. `time` is kept as `time_s` for reference only: ticks stay the time base.
+const TELEMETRY_FIELDS = {
+  time: { label: "Timestamp", units: { s: (v) => v, ms: (v) => v / 1000 } },
+  snr_db: { label: "SNR", required: true, units: { dB: (v) => v, linear: (v) => 10 * Math.log10(v) } },
+  ber: { label: "BER", required: true, units: { ratio: (v) => v, percent: (v) => v / 100, log10: (v) => 10 ** v } },
+  latency_ms: { label: "Latency", required: true, units: { ms: (v) => v, s: (v) => v * 1000, us: (v) => v / 1000 } },
+  retries: { label: "Retries", required: true, units: { count: (v) => v } },
+  throughput_mbps: { label: "Throughput", units: { Mbps: (v) => v, kbps: (v) => v / 1e3, bps: (v) => v / 1e6 } },
+  goodput_mbps: { label: "Goodput", units: { Mbps: (v) => v, kbps: (v) => v / 1e3, bps: (v) => v / 1e6 } },
+  queue_depth: { label: "Queue depth", units: { packets: (v) => v } },
+  packet_loss: { label: "Packet loss", units: { ratio: (v) => v, percent: (v) => v / 100 } },
+  evm_pct: { label: "EVM", units: { percent: (v) => v, ratio: (v) => v * 100, dB: (v) => 100 * 10 ** (v / 20) } },
+  active_faults: { label: "Ground truth (faults)", units: { list: (v) => v } },
+};
+
+// Column names tried for each field, most specific first; a unit suffix picks the unit.
+const TELEMETRY_COLUMN_HINTS = {
+  time: [/^time_?s$/, /^time_?ms$/, /^(t|time|timestamp|ts)$/],
+  snr_db: [/^snr_?db$/, /^snr_?lin(ear)?$/, /^(snr|sinr|esno|cnr)/],
+  ber: [/^ber$/, /^ber_?(pct|percent)$/, /^(log_?ber|ber_?log)/, /^(ber|bit_?error)/],
+  latency_ms: [/^latency_?ms$/, /^latency_?s$/, /^latency_?us$/, /^(latency|delay|rtt)/],
+  retries: [/^retries$/, /^(retries|retrans|retx|harq)/],
+  throughput_mbps: [/^throughput/, /^(tput|rate|phy_?rate)/],
+  goodput_mbps: [/^goodput/],
+  queue_depth: [/^queue_?depth$/, /^(queue|backlog|qlen)/],
+  packet_loss: [/^packet_?loss/, /^(loss|drops?|plr)/],
+  evm_pct: [/^evm/],
+  active_faults: [/^active_faults$/, /^(faults?|labels?|truth|ground_?truth)$/],
+};
+
+const TELEMETRY_UNIT_SUFFIXES = [
+  [/_?ms$/, { time: "ms", latency_ms: "ms" }],
+  [/_?us$/, { latency_ms: "us" }],
+  [/_?s$/, { time: "s", latency_ms: "s" }],
+  [/_?lin(ear)?$/, { snr_db: "linear" }],
+  [/_?(pct|percent)$/, { ber: "percent", packet_loss: "percent" }],
+  [/_?db$/, { evm_pct: "dB" }],
+  [/^log_?ber|ber_?log/, { ber: "log10" }],
+  [/_?mbps$/, { throughput_mbps: "Mbps", goodput_mbps: "Mbps" }],
+  [/_?kbps$/, { throughput_mbps: "kbps", goodput_mbps: "kbps" }],
+  [/_?bps$/, { throughput_mbps: "bps", goodput_mbps: "bps" }],
+];
+
+// A stream hands over at most this many queued samples per poll and keeps at most
+// STREAM_QUEUE_LIMIT waiting, dropping the oldest.
+const STREAM_POLL_LIMIT = 200;
+const STREAM_QUEUE_LIMIT = 2000;
+
+// RFC 4180-style CSV: quoted cells may hold commas, quotes ("") and newlines.
+function parseTelemetryCSV(text) {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      record.push(cell);
+      if (record.some((c) => c !== "")) records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  record.push(cell);
+  if (record.some((c) => c !== "")) records.push(record);
+  if (!records.length) throw new Error("The CSV file is empty.");
+  const columns = records[0].map((c) => c.trim());
+  const rows = records.slice(1).map((cells) => {
+    const row = {};
+    columns.forEach((col, i) => {
+      row[col] = cells[i] === undefined ? "" : cells[i];
+    });
+    return row;
+  });
+  return { columns, rows };
+}
+
+// JSON logs are an array of objects, an object with a `samples` array (such as a recorded
+// session), or one object per line.
+function parseTelemetryJSON(text) {
+  let rows;
+  try {
+    const data = JSON.parse(text);
+    rows = Array.isArray(data) ? data : data && data.samples;
+  } catch (err) {
+    try {
+      rows = text
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    } catch (lineErr) {
+      throw new Error(`The JSON file does not parse: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(rows) || !rows.length) throw new Error("The JSON file holds no samples.");
+  if (!rows.every((row) => row && typeof row === "object" && !Array.isArray(row))) {
+    throw new Error("Every JSON sample must be an object of named values.");
+  }
+  const columns = [];
+  rows.forEach((row) => Object.keys(row).forEach((key) => columns.includes(key) || columns.push(key)));
+  return { columns, rows };
+}
+
+// Picks the format from the file name, or from the first character when there is none.
+function parseTelemetryText(text, name = "") {
+  const json = /\.(json|ndjson|jsonl)$/i.test(name) || (!/\.csv$/i.test(name) && /^\s*[[{]/.test(text));
+  return json ? parseTelemetryJSON(text) : parseTelemetryCSV(text);
+}
+
+// Best guess of { mapping: { field: column | null }, units: { field: unit } } from column names.
+function guessTelemetryMapping(columns) {
+  const mapping = {};
+  const units = {};
+  const taken = new Set();
+  for (const [field, spec] of Object.entries(TELEMETRY_FIELDS)) {
+    units[field] = Object.keys(spec.units)[0];
+    mapping[field] = null;
+    for (const hint of TELEMETRY_COLUMN_HINTS[field]) {
+      const column = columns.find((c) => !taken.has(c) && hint.test(c.trim().toLowerCase()));
+      if (column === undefined) continue;
+      mapping[field] = column;
+      taken.add(column);
+      const lower = column.trim().toLowerCase();
+      const suffix = TELEMETRY_UNIT_SUFFIXES.find(([re, byField]) => re.test(lower) && byField[field]);
+      if (suffix) units[field] = suffix[1][field];
+      break;
+    }
+  }
+  return { mapping, units };
+}
+
+// Throws if a required field has no column or a unit is unknown.
+function validateTelemetryMapping(mapping, units) {
+  for (const [field, spec] of Object.entries(TELEMETRY_FIELDS)) {
+    if (spec.required && !mapping[field]) throw new Error(`Map a column to ${spec.label}.`);
+    if (mapping[field] && !(units[field] in spec.units)) {
+      throw new Error(`${spec.label}: unknown unit "${units[field]}".`);
+    }
+  }
+}
+
+// "noise_spike;congestion", ["noise spike"], "none" or "" -> lists of fault names.
+function parseFaultList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim().toLowerCase().replace(/\s+/g, "_"));
+  const text = String(value).trim().toLowerCase();
+  if (!text || text === "none" || text === "healthy") return [];
+  return text.split(/\s*[;|]\s*/).filter(Boolean).map((v) => v.replace(/\s+/g, "_"));
+}
+
+// One log row as a pipeline sample without its tick, or null when the row holds no reading at
+// all or its timestamp (when mapped) is not a number. A required value that is missing or not a
+// number is kept as NaN, so screening (see screenSamples) counts the sample as corrupt. Optional
+// fields the row lacks stay undefined.
+function mapTelemetryRow(row, mapping, units) {
+  const sample = {};
+  let readings = 0;
+  for (const [field, spec] of Object.entries(TELEMETRY_FIELDS)) {
+    const column = mapping[field];
+    const raw = column ? row[column] : undefined;
+    const blank = raw === undefined || raw === null || raw === "";
+    if (field === "active_faults") {
+      sample.active_faults = column ? (blank ? [] : parseFaultList(raw)) : null;
+      continue;
+    }
+    const value = blank ? NaN : spec.units[units[field]](Number(raw));
+    if (!Number.isFinite(value)) {
+      if (field === "time" && column) return null;
+      if (spec.required) sample[field] = NaN;
+      continue;
+    }
+    if (field === "time") {
+      sample.time_s = value;
+    } else {
+      sample[field] = value;
+      readings += 1;
+    }
+  }
+  if (!readings) return null;
+  sample.retries = Math.max(0, sample.retries);
+  return sample;
+}
+
+// Numbers samples from 1 on, in the order they are handed over.
+class TelemetryClock {
+  constructor() {
+    this.t = 0;
+  }
+
+  stamp(sample) {
+    this.t += 1;
+    return Object.assign({ t: this.t }, sample);
+  }
+}
+
+// The built-in simulator as a source. `beforeStep(t)` runs before each tick, e.g. to apply a
+// scenario timeline.
+class SimulatorSource {
+  constructor(simulator, { beforeStep = null } = {}) {
+    this.kind = "simulator";
+    this.label = "Simulator";
+    this.simulator = simulator;
+    this.beforeStep = beforeStep;
+    this.has_ground_truth = true;
+    this.done = false;
+  }
+
+  poll(max) {
+    const samples = [];
+    for (let i = 0; i < max; i++) {
+      if (this.beforeStep) this.beforeStep(this.simulator.t + 1);
+      samples.push(this.simulator.step());
+    }
+    return samples;
+  }
+
+  reset() {
+    this.simulator.reset();
+  }
+
+  close() {}
+
+  status() {
+    return `Simulated link, seed ${this.simulator.seed}.`;
+  }
+}
+
+// A parsed log (see parseTelemetryText), played back `max` rows per poll. Rows that
+// mapTelemetryRow() cannot use are skipped and counted.
+class FileTelemetrySource {
+  constructor(name, rows, mapping, units) {
+    validateTelemetryMapping(mapping, units);
+    this.kind = "file";
+    this.label = name;
+    this.mapping = mapping;
+    this.units = units;
+    this.has_ground_truth = Boolean(mapping.active_faults);
+    this.samples = [];
+    this.skipped = 0;
+    for (const row of rows) {
+      const sample = mapTelemetryRow(row, mapping, units);
+      if (sample) this.samples.push(sample);
+      else this.skipped += 1;
+    }
+    if (!this.samples.length) throw new Error("No row has a numeric reading.");
+    this.reset();
+  }
+
+  get done() {
+    return this.cursor >= this.samples.length;
+  }
+
+  get remaining() {
+    return this.samples.length - this.cursor;
+  }
+
+  poll(max) {
+    const batch = this.samples.slice(this.cursor, this.cursor + max);
+    this.cursor += batch.length;
+    return batch.map((s) => this.clock.stamp(s));
+  }
+
+  reset() {
+    this.cursor = 0;
+    this.clock = new TelemetryClock();
+  }
+
+  close() {}
+
+  status() {
+    const skipped = this.skipped ? `, ${this.skipped} rows skipped without readings` : "";
+    const last = this.cursor ? this.samples[this.cursor - 1] : null;
+    const time = last && last.time_s !== undefined ? `, log time ${last.time_s.toFixed(1)} s` : "";
+    return `${this.label}: row ${this.cursor} of ${this.samples.length}${time}${skipped}.`;
+  }
+}
+
+// A live feed. Each message is one JSON sample or an array of them; columns and units are guessed
+// from the first message's keys unless a mapping is given. ws:// and wss:// URLs use a WebSocket,
+// anything else Server-Sent Events. Samples queue up between polls, and each poll hands over
+// what has arrived so the dashboard keeps pace with the feed.
+class StreamTelemetrySource {
+  constructor(url, { mapping = null, units = null, connect = null } = {}) {
+    this.kind = "stream";
+    this.label = url;
+    this.url = url;
+    this.mapping = mapping;
+    this.units = units;
+    this.has_ground_truth = Boolean(mapping && mapping.active_faults);
+    this.done = false;
+    this.state = "connecting";
+    this.error = null;
+    this.received = 0;
+    this.rejected = 0;
+    this.dropped = 0;
+    this.queue = [];
+    this.clock = new TelemetryClock();
+    this.connection = (connect || openTelemetryConnection)(url, {
+      open: () => {
+        this.state = "open";
+        this.error = null;
+      },
+      message: (text) => this._receive(text),
+      error: (message) => {
+        this.state = "error";
+        this.error = message;
+      },
+      close: () => {
+        if (this.state !== "error") this.state = "closed";
+      },
+    });
+  }
+
+  _receive(text) {
+    let items;
+    try {
+      const data = JSON.parse(text);
+      items = Array.isArray(data) ? data : [data];
+    } catch (err) {
+      this.rejected += 1;
+      return;
+    }
+    for (const item of items) {
+      if (!item || typeof item !== "object") {
+        this.rejected += 1;
+        continue;
+      }
+      if (!this.mapping) {
+        const guess = guessTelemetryMapping(Object.keys(item));
+        try {
+          validateTelemetryMapping(guess.mapping, guess.units);
+        } catch (err) {
+          this.rejected += 1;
+          this.error = `First message does not fit: ${err.message}`;
+          continue;
+        }
+        this.mapping = guess.mapping;
+        this.units = guess.units;
+        this.has_ground_truth = Boolean(guess.mapping.active_faults);
+      }
+      const sample = mapTelemetryRow(item, this.mapping, this.units);
+      if (!sample) {
+        this.rejected += 1;
+        continue;
+      }
+      this.received += 1;
+      this.queue.push(sample);
+      if (this.queue.length > STREAM_QUEUE_LIMIT) {
+        this.queue.shift();
+        this.dropped += 1;
+      }
+    }
+  }
+
+  poll() {
+    return this.queue.splice(0, STREAM_POLL_LIMIT).map((s) => this.clock.stamp(s));
+  }
+
+  // Keeps the connection; only the numbering and the backlog start over.
+  reset() {
+    this.queue = [];
+    this.clock = new TelemetryClock();
+  }
+
+  close() {
+    this.connection.close();
+    this.state = "closed";
+  }
+
+  status() {
+    const counts = [`${this.received} samples received`];
+    if (this.rejected) counts.push(`${this.rejected} rejected`);
+    if (this.dropped) counts.push(`${this.dropped} dropped while paused`);
+    const error = this.error ? ` ${this.error}` : "";
+    return `${this.url} (${this.state}): ${counts.join(", ")}.${error}`;
+  }
+}
+
+// Opens a WebSocket or EventSource and reports through `handlers` { open, message(text),
+// error(message), close }. Returns an object with close().
+function openTelemetryConnection(url, handlers) {
+  if (/^wss?:\/\//i.test(url)) {
+    const socket = new WebSocket(url);
+    socket.onopen = () => handlers.open();
+    socket.onmessage = (ev) => handlers.message(String(ev.data));
+    socket.onerror = () => handlers.error("WebSocket error.");
+    socket.onclose = () => handlers.close();
+    return { close: () => socket.close() };
+  }
+  const source = new EventSource(url);
+  source.onopen = () => handlers.open();
+  source.onmessage = (ev) => handlers.message(ev.data);
+  // EventSource retries by itself; the error only says the feed is down right now.
+  source.onerror = () => handlers.error(source.readyState === 2 ? "Feed closed." : "Feed unreachable, retrying.");
+  return { close: () => source.close() };
+}
+
+// expose to global scope for non-module usage
+window.TELEMETRY_FIELDS = TELEMETRY_FIELDS;
+window.parseTelemetryText = parseTelemetryText;
+window.guessTelemetryMapping = guessTelemetryMapping;
+window.validateTelemetryMapping = validateTelemetryMapping;
+window.mapTelemetryRow = mapTelemetryRow;
+window.SimulatorSource = SimulatorSource;
+window.FileTelemetrySource = FileTelemetrySource;
+window.StreamTelemetrySource = StreamTelemetrySource;
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Mock receiver for the alert webhook.
+//
+//   node tools/alert-receiver.js [--port 8787] [--status 204] [--max 0]
+//
+// Accepts POST /alerts, checks each body against the webhook payload format (alerts.js) and
+// prints one line per alert; a malformed payload gets 400 with the reason. GET /alerts returns
+// everything received so far. CORS is open so the dashboard can post to it from a file:// page.
+// `--status` answers valid payloads with another code, e.g. 503 to try out delivery failures;
+// `--max N` exits after N valid payloads.
+const http = require("http");
+require("./load-core");
+
+function parseArgs(argv) {
+  const opts = { port: 8787, status: 204, max: 0 };
+  const numeric = { "--port": "port", "--status": "status", "--max": "max" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!numeric[arg]) throw new Error(`Unknown argument: ${arg}`);
+    const value = Number(argv[++i]);
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} expects a non-negative integer`);
+    opts[numeric[arg]] = value;
+  }
+  return opts;
+}
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+function reply(res, status, body) {
+  const headers = Object.assign({}, CORS_HEADERS, body === undefined ? {} : { "Content-Type": "application/json" });
+  res.writeHead(status, headers);
+  res.end(body === undefined ? undefined : JSON.stringify(body, null, 2));
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  const received = [];
+  const server = http.createServer((req, res) => {
+    if (req.method === "OPTIONS") return reply(res, 204);
+    if (req.url !== "/alerts") return reply(res, 404, { error: "Use /alerts." });
+    if (req.method === "GET") return reply(res, 200, received);
+    if (req.method !== "POST") return reply(res, 405, { error: "Use GET or POST." });
+
+    let text = "";
+    req.on("data", (chunk) => {
+      text += chunk;
+    });
+    req.on("end", () => {
+      let payload;
+      try {
+        payload = validateWebhookPayload(JSON.parse(text));
+      } catch (err) {
+        console.error(`rejected: ${err.message}`);
+        return reply(res, 400, { error: err.message });
+      }
+      received.push(payload);
+      const a = payload.alert;
+      console.log(`t=${payload.t} ${payload.event.padEnd(12)} #${a.id} [${a.severity}] ${a.policy_id}: ${a.message}`);
+      reply(res, opts.status, opts.status === 204 ? undefined : { received: received.length });
+      if (opts.max && received.length >= opts.max) {
+        server.close();
+        server.closeAllConnections();
+      }
+    });
+  });
+  server.listen(opts.port, () => console.log(`Listening on http://localhost:${opts.port}/alerts`));
+}
+
+main();
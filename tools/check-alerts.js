@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Checks that alerting keeps bounded memory on long runs without losing open alerts.
+const assert = require("assert");
+const { check } = require("./check");
+
+function diagnosis(t, causes) {
+  return {
+    t,
+    causes: causes.map((cause) => ({ cause, confidence: 0.9 })),
+    active_causes: causes,
+  };
+}
+
+check("kept alerts and log events are capped; open alerts stay reachable", () => {
+  const manager = new AlertManager([
+    { id: "steady", cause: "congestion", for_ticks: 1, clear_ticks: 1, severity: "info" },
+    { id: "flapping", cause: "sync_loss", for_ticks: 1, clear_ticks: 1, severity: "critical" },
+  ]);
+  const log = new AlertLog();
+  let events = 0;
+  manager.addSink(log);
+  manager.addSink({ notify: () => (events += 1) });
+  const ticks = 6000;
+  for (let t = 1; t <= ticks; t++) {
+    manager.observe(diagnosis(t, t % 2 ? ["congestion", "sync_loss"] : ["congestion"]));
+  }
+  assert.strictEqual(manager.fired, 1 + ticks / 2);
+  assert.ok(manager.alerts.length < manager.fired, "every alert was kept");
+  assert.ok(log.events.length < events, "every log event was kept");
+  const open = manager.open();
+  assert.deepStrictEqual(open.map((a) => a.policy_id), ["steady"]);
+  assert.strictEqual(open[0].id, 1);
+  assert.ok(manager.acknowledge(1), "the first alert can still be acknowledged");
+  assert.strictEqual(manager.open()[0].state, AlertState.ACKNOWLEDGED);
+});
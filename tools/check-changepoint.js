@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Checks of the CUSUM change-point detector (changepoint.js): when it dates an onset and a
+// recovery, what it ignores, and which change points a diagnosis reports.
+const assert = require("assert");
+const { check } = require("./check");
+
+// Noisy readings around a healthy level, with the SNR `snrAt(t)` dB below it.
+function samples(ticks, snrAt, seed = 6) {
+  const rng = new SeededRng(seed);
+  return Array.from({ length: ticks }, (_, i) => {
+    const t = i + 1;
+    return {
+      t,
+      snr_db: 25 - snrAt(t) + 0.5 * rng.randn(),
+      ber: 10 ** (-6 + 0.2 * rng.randn()),
+      latency_ms: 20 + 2 * rng.randn(),
+      retries: 0,
+    };
+  });
+}
+
+function detect(stream) {
+  const detector = new ChangePointDetector();
+  stream.forEach((sample) => detector.observe(sample));
+  return detector.events;
+}
+
+check("an SNR step is dated to its onset and its recovery", () => {
+  const events = detect(samples(300, (t) => (t >= 100 && t < 200 ? 10 : 0)));
+  assert.deepStrictEqual(
+    events.map((ev) => [ev.metric, ev.kind, ev.direction]),
+    [
+      ["snr_db", ChangeKind.ONSET, -1],
+      ["snr_db", ChangeKind.RECOVERY, 1],
+    ]
+  );
+  const [onset, recovery] = events;
+  assert.ok(onset.t >= 99 && onset.t <= 101, `onset dated t=${onset.t}`);
+  assert.ok(onset.detected_t - onset.t <= 5, `onset detected at t=${onset.detected_t}`);
+  assert.ok(Math.abs(onset.shift + 10) < 1, `onset shift ${onset.shift}`);
+  assert.ok(recovery.t >= 199 && recovery.t <= 201, `recovery dated t=${recovery.t}`);
+  assert.ok(recovery.detected_t - recovery.t <= 5, `recovery detected at t=${recovery.detected_t}`);
+  assert.match(onset.description, /^SNR dropped \d+\.\d dB at t=\d+\.$/);
+});
+
+check("noise, single outliers and corrupt readings are not change points", () => {
+  assert.deepStrictEqual(detect(samples(1000, () => 0)), []);
+  const spiky = samples(300, (t) => (t % 50 === 0 ? 25 : 0));
+  spiky[120].ber = NaN;
+  spiky[121].latency_ms = -5;
+  assert.deepStrictEqual(detect(spiky), []);
+});
+
+check("an onset is reported until its recovery, and the recovery for the horizon after it", () => {
+  const events = detect(samples(300, (t) => (t >= 100 && t < 200 ? 10 : 0)));
+  const [onset, recovery] = events;
+  const at = (t) => changePointsAt(events, t, 20).map((ev) => ev.kind);
+  assert.deepStrictEqual(at(onset.detected_t - 1), []);
+  assert.deepStrictEqual(at(onset.detected_t), [ChangeKind.ONSET]);
+  assert.deepStrictEqual(at(recovery.detected_t - 1), [ChangeKind.ONSET]);
+  assert.deepStrictEqual(at(recovery.detected_t + 19), [ChangeKind.RECOVERY]);
+  assert.deepStrictEqual(at(recovery.detected_t + 20), []);
+});
+
+check("the evaluation diagnoses its windows with their change points", () => {
+  const run = runScenario({ faults: { jammer_level: 0.8 }, expected: [RootCause.WIDEBAND_JAMMER] }, { ticks: 100 });
+  const onset = run.records.find((record) => record.change_points.some((ev) => ev.kind === ChangeKind.ONSET));
+  assert.ok(onset, "no record carries an onset");
+  assert.ok(onset.t > 50 && onset.t <= 60, `first onset reported at t=${onset.t}`);
+});
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Checks of the incident lifecycle (incidents.js): the dwell times that open and close an
+// incident, and the cause and peak it reports.
+const assert = require("assert");
+const { check } = require("./check");
+
+const H = RootCause.HEALTHY;
+const J = RootCause.WIDEBAND_JAMMER;
+const C = RootCause.CONGESTION;
+
+// Feeds one diagnosis per entry of `causes`, from tick 1; `severity` maps a tick to how sure the
+// diagnosis is that the link is not healthy.
+function track(causes, options, severity = () => 0.8) {
+  const tracker = new IncidentTracker(options);
+  causes.forEach((cause, i) => {
+    const t = i + 1;
+    const notHealthy = cause === H ? 0.1 : severity(t);
+    tracker.observe({
+      t,
+      primary_cause: cause,
+      confidence: cause === H ? 1 - notHealthy : notHealthy,
+      ranked_causes: cause === H ? [[H, 1 - notHealthy]] : [[cause, notHealthy], [H, 1 - notHealthy]],
+    });
+  });
+  return tracker;
+}
+
+const run = (cause, n) => Array(n).fill(cause);
+
+check("an incident opens after open_dwell unhealthy ticks, dated to the first", () => {
+  const flicker = track(run(H, 5).concat(run(J, 2), H, run(J, 2), run(H, 5)), { open_dwell: 3 });
+  assert.strictEqual(flicker.incidents.length, 0, "a flicker shorter than open_dwell opened an incident");
+
+  const tracker = track(run(H, 5).concat(run(J, 3)), { open_dwell: 3 });
+  assert.strictEqual(tracker.incidents.length, 1);
+  assert.strictEqual(tracker.open, tracker.incidents[0]);
+  assert.strictEqual(tracker.open.start, 6);
+  assert.strictEqual(tracker.open.history.length, 3);
+});
+
+check("an incident closes after close_dwell healthy ticks, dated to the first of them", () => {
+  const causes = run(J, 10).concat(run(H, 3), run(J, 2), run(H, 3));
+  const open = track(causes, { open_dwell: 2, close_dwell: 4 });
+  assert.strictEqual(open.incidents.length, 1, "a healthy gap shorter than close_dwell split the incident");
+  assert.ok(open.open, "closed before close_dwell healthy ticks");
+
+  const tracker = track(causes.concat(H), { open_dwell: 2, close_dwell: 4 });
+  assert.strictEqual(tracker.open, null);
+  assert.deepStrictEqual([tracker.incidents[0].start, tracker.incidents[0].end], [1, 16]);
+  assert.strictEqual(incidentDuration(tracker.incidents[0], 100), 15);
+});
+
+check("an incident reports its most diagnosed cause and its peak severity", () => {
+  const causes = run(C, 3).concat(run(J, 5), run(C, 1));
+  const tracker = track(causes, { open_dwell: 2 }, (t) => (t === 6 ? 0.95 : 0.6));
+  const incident = tracker.incidents[0];
+  assert.strictEqual(incident.cause, J);
+  assert.strictEqual(incident.current_cause, C);
+  assert.deepStrictEqual(incident.cause_ticks, { [C]: 4, [J]: 5 });
+  assert.deepStrictEqual([incident.peak_t, incident.peak_severity], [6, 0.95]);
+  assert.strictEqual(incidentDuration(incident, 20), 20);
+});
+
+check("dwell times below one tick are rejected", () => {
+  assert.throws(() => new IncidentTracker({ open_dwell: 0 }), /at least one tick/);
+  assert.throws(() => new IncidentTracker({ close_dwell: NaN }), /at least one tick/);
+});
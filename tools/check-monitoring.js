@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Checks of the monitoring-fault screening (see screenSamples in diagnostics.js) and of the log
+// rows it gets to see.
+const assert = require("assert");
+const { check } = require("./check");
+
+const MONITORING = RootCause.MONITORING_FAULT;
+
+function simulate(faults, ticks, seed = 3) {
+  const sim = new CommLinkSimulator(seed);
+  sim.setFaultConfig(Object.assign(new FaultConfig(), faults));
+  return Array.from({ length: ticks }, () => sim.step());
+}
+
+function healthySamples(count) {
+  return simulate({}, count, 11);
+}
+
+check("SNR held at the clip floor by a heavy jammer is not stuck", () => {
+  const samples = simulate({ jammer_level: 1, noise_spike_level: 1, fading_severity: 1 }, 400);
+  assert.ok(samples.filter((s) => s.snr_db === CLIP_LIMITS.snr_db[0]).length > 100, "SNR should sit at the floor");
+  const engine = new DiagnosticEngine();
+  const rolling = new RollingWindow(20);
+  samples.forEach((sample, i) => {
+    const window = rolling.push(sample);
+    assert.strictEqual(window.stuck_frac, 0, `tick ${i + 1}: stuck_frac ${window.stuck_frac}`);
+    assert.ok(!engine.diagnose(window).active_causes.includes(MONITORING), `tick ${i + 1}: monitoring fault`);
+  });
+  assert.strictEqual(windowFrom(samples, samples.length).stuck_frac, 0);
+});
+
+check("a frozen reading is stuck, also when pinned at the ceiling", () => {
+  for (const value of [17.25, CLIP_LIMITS.snr_db[1]]) {
+    const samples = healthySamples(20);
+    for (let i = 8; i < 16; i++) samples[i].snr_db = value;
+    const window = windowFrom(samples, 20);
+    assert.strictEqual(window.stuck_frac, 7 / 20, `SNR frozen at ${value}`);
+    assert.ok(new DiagnosticEngine().diagnose(window).active_causes.includes(MONITORING));
+  }
+});
+
+check("corrupt readings count as invalid", () => {
+  const samples = healthySamples(20);
+  samples[3].ber = NaN;
+  samples[7].retries = 65535;
+  samples[12].snr_db = 99;
+  assert.strictEqual(windowFrom(samples, 20).invalid_frac, 3 / 20);
+});
+
+check("log rows with corrupt required values are kept as NaN", () => {
+  const { mapping, units } = guessTelemetryMapping(["time_s", "snr_db", "ber", "latency_ms", "retries"]);
+  const clean = { time_s: "1", snr_db: "20", ber: "1e-6", latency_ms: "12", retries: "0" };
+  const row = (values) => Object.assign({}, clean, values);
+  const blank = mapTelemetryRow(row({ snr_db: "" }), mapping, units);
+  assert.ok(blank && Number.isNaN(blank.snr_db) && blank.ber === 1e-6, "a blank SNR stays NaN");
+  const text = mapTelemetryRow(row({ latency_ms: "n/a" }), mapping, units);
+  assert.ok(text && Number.isNaN(text.latency_ms), "a non-numeric latency stays NaN");
+  assert.strictEqual(mapTelemetryRow(row({ time_s: "soon" }), mapping, units), null, "unusable timestamp");
+  assert.strictEqual(mapTelemetryRow({ time_s: "2" }, mapping, units), null, "no readings");
+
+  const rows = Array.from({ length: 20 }, (_, i) => row({ time_s: String(i), snr_db: String(20 + (i % 3)) }));
+  rows[4].ber = "";
+  rows[9].snr_db = "ERR";
+  const source = new FileTelemetrySource("log.csv", rows, mapping, units);
+  assert.strictEqual(source.skipped, 0);
+  assert.strictEqual(windowFrom(source.poll(20), 20).invalid_frac, 2 / 20);
+});
+
+check("no monitoring-fault false alarms on healthy windows", () => {
+  const rules = evaluateScenarios({ engine: new DiagnosticEngine() });
+  assert.strictEqual(rules.confusion.healthy[MONITORING], 0, "rule-based engine");
+  const engine = new DiagnosticEngine();
+  engine.setBayesModel(trainNaiveBayes());
+  const bayes = evaluateScenarios({ engine });
+  assert.strictEqual(bayes.confusion.healthy[MONITORING], 0, "naive-Bayes confidence model");
+});
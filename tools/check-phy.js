@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+// Checks of the symbol-level PHY view (phy.js) and of the rules that read its EVM.
+const assert = require("assert");
+const { check } = require("./check");
+
+function simulate(faults, ticks, symbols, seed = 4) {
+  const sim = new CommLinkSimulator(seed);
+  sim.setSymbolConfig(Object.assign(new SymbolConfig(), { enabled: symbols }));
+  sim.setFaultConfig(Object.assign(new FaultConfig(), faults));
+  return Array.from({ length: ticks }, () => sim.step());
+}
+
+check("symbols per tick must be a whole number from 16 to the maximum", () => {
+  const config = (n) => Object.assign(new SymbolConfig(), { symbols_per_tick: n });
+  for (const n of [16, 256, 4096]) validateSymbolConfig(config(n));
+  for (const n of [15, 4097, 64.5, NaN, "256"]) {
+    assert.throws(() => validateSymbolConfig(config(n)), /symbols_per_tick/, `accepted ${n}`);
+  }
+});
+
+check("every constellation has unit mean energy", () => {
+  for (const modulation of new Set(MCS_TABLE.map((mcs) => mcs.modulation))) {
+    const points = constellation(modulation);
+    const energy = points.reduce((sum, [i, q]) => sum + i * i + q * q, 0) / points.length;
+    assert.ok(Math.abs(energy - 1) < 1e-12, `${modulation}: mean energy ${energy}`);
+  }
+});
+
+check("the link's samples are the same with the PHY view on", () => {
+  const faults = { jammer_level: 0.5, oscillator_drift_level: 0.5, sync_loss_prob: 0.05 };
+  const off = simulate(faults, 200, false);
+  const on = simulate(faults, 200, true);
+  on.forEach((sample, i) => {
+    assert.ok(Number.isFinite(sample.evm_pct), `tick ${i + 1}: no EVM`);
+    const { evm_pct, ...link } = sample;
+    assert.deepStrictEqual(link, off[i], `tick ${i + 1}`);
+  });
+});
+
+// Feature and threshold names a compiled rule reads in its conditions and score expression.
+function namesRead(node, names = new Set()) {
+  if (Array.isArray(node)) node.forEach((child) => namesRead(child, names));
+  else if (node && typeof node === "object") {
+    if (node.type === "name") names.add(node.name);
+    if (node.feature) names.add(node.feature);
+    if (typeof node.value === "string") names.add(node.value);
+    Object.values(node).forEach((child) => namesRead(child, names));
+  }
+  return names;
+}
+
+check("the default rule base compiles and reads the EVM thresholds", () => {
+  const compiled = new DiagnosticEngine().validateRuleBase(DEFAULT_RULE_BASE);
+  const names = namesRead(compiled.rules.map((rule) => [rule.conditions, rule.score]));
+  for (const name of ["evm_mean", "evm_warn_pct", "evm_bad_pct"]) assert.ok(names.has(name), `no rule reads ${name}`);
+});
+
+check("a jammer's EVM is diagnosed with the PHY view on and ignored without it", () => {
+  const jammed = (symbols) => {
+    const samples = simulate({ jammer_level: 0.8 }, 200, symbols);
+    return new DiagnosticEngine().diagnose(windowFrom(samples, 20));
+  };
+  const evmRule = (diag) => diag.cause_checks.wideband_jammer.find((c) => c.rule_id === "wideband_jammer_evm");
+  const on = jammed(true);
+  assert.ok(evmRule(on).fired, "the EVM rule did not fire");
+  assert.ok(on.active_causes.includes(RootCause.WIDEBAND_JAMMER), `active causes: ${on.active_causes}`);
+  const off = jammed(false);
+  assert.ok(!evmRule(off).fired, "the EVM rule fired without EVM");
+  assert.strictEqual(evmRule(off).score, null);
+});
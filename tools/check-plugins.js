@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+// Checks of the fault plugin API (plugins.js): what validateFaultPlugin() rejects, and what a
+// registered plugin gets from the simulator, the rule base and the evaluation.
+const assert = require("assert");
+const path = require("path");
+const { check } = require("./check");
+
+// A valid plugin with `extra` fields merged in: a level that adds latency, and a rule for it.
+function plugin(extra = {}) {
+  return Object.assign(
+    {
+      id: "duct_delay",
+      label: "Duct delay",
+      params: [{ field: "duct_delay_level", label: "Duct delay", min: 0, max: 1, step: 0.1, default: 0 }],
+      apply(metrics, cfg, ctx) {
+        ctx.state.ticks = (ctx.state.ticks || 0) + 1;
+        metrics.latency_ms += 200 * cfg.duct_delay_level + ctx.rng.random();
+      },
+      rule: {
+        conditions: [{ feature: "latency_mean", op: ">", value: "latency_bad_ms" }],
+        score: "0.9",
+        decision_threshold: 0.4,
+      },
+      scenario: { faults: { duct_delay_level: 0.8 } },
+    },
+    extra
+  );
+}
+
+check("invalid plugins are rejected naming the field", () => {
+  const param = plugin().params[0];
+  const invalid = [
+    [{ id: "Duct-Delay" }, /"Duct-Delay"\.id: must be a lowercase identifier/],
+    [{ id: "fading" }, /"fading"\.id: is already a fault type or root cause/],
+    [{ label: "" }, /\.label: must be a non-empty string/],
+    [{ apply: "latency += 200" }, /\.apply: must be a function/],
+    [{ params: [] }, /\.params: must list at least the fault level/],
+    [{ params: [Object.assign({}, param, { field: "jammer_level" })] }, /is already a fault config field/],
+    [{ params: [param, param] }, /params\[1\]\.field: "duct_delay_level" is already/],
+    [{ params: [Object.assign({}, param, { max: 0 })] }, /params\[0\]: needs numeric min < max/],
+    [{ params: [Object.assign({}, param, { step: 0 })] }, /params\[0\]\.step: must be positive/],
+    [{ params: [Object.assign({}, param, { default: 2 })] }, /params\[0\]\.default: must lie within/],
+    [{ params: [Object.assign({}, param, { min: 0.1, default: 0.1 })] }, /params\[0\]\.min: must be 0/],
+    [{ rule: { conditions: [{ feature: "delay_mean", op: ">", value: 1 }] } }, /\.rule: conditions\[0\]: unknown/],
+    [{ rule: { conditions: [], score: "1 +" } }, /\.rule: score: unexpected end of expression/],
+    [{ rule: { conditions: [], decision_threshold: 2 } }, /\.rule\.decision_threshold: must be a number/],
+    [{ rule: undefined }, /\.scenario: needs a rule to score against/],
+  ];
+  for (const [extra, message] of invalid) {
+    assert.throws(() => validateFaultPlugin(plugin(extra)), message, JSON.stringify(extra));
+  }
+  validateFaultPlugin(plugin());
+});
+
+// Registering changes the core's tables for good, so everything below uses the registered plugin.
+registerFaultPlugin(plugin());
+require(path.join(__dirname, "..", "plugins", "wired-packet-loss.js"));
+
+function simulate(faults, ticks, seed = 9) {
+  const sim = new CommLinkSimulator(seed);
+  sim.setFaultConfig(Object.assign(new FaultConfig(), faults));
+  return Array.from({ length: ticks }, () => sim.step());
+}
+
+check("a registered plugin extends the fault and cause tables", () => {
+  assert.strictEqual(FaultType.DUCT_DELAY, "duct_delay");
+  assert.strictEqual(new FaultConfig().duct_delay_level, 0);
+  const causes = Object.values(RootCause);
+  assert.ok(causes.includes("duct_delay") && causes.includes("wired_packet_loss"), `causes: ${causes}`);
+  assert.strictEqual(causes.at(-1), RootCause.UNKNOWN, "unknown is no longer the last cause");
+  assert.throws(() => registerFaultPlugin(plugin()), /is already a fault type or root cause/);
+});
+
+check("its rule joins the default rule base ahead of the compound rules", () => {
+  const rules = DEFAULT_RULE_BASE.rules;
+  const index = rules.findIndex((rule) => rule.id === "duct_delay");
+  assert.ok(index >= 0, "the rule was not added");
+  assert.deepStrictEqual([rules[index].cause, rules[index].decision_threshold], ["duct_delay", undefined]);
+  assert.ok(rules.slice(0, index).every((rule) => rule.stage !== "compound"), "the rule follows a compound rule");
+  assert.strictEqual(DEFAULT_RULE_BASE.decision_thresholds.duct_delay, 0.4);
+  new DiagnosticEngine().validateRuleBase(DEFAULT_RULE_BASE);
+});
+
+check("the simulator applies it only while its level is above zero, replaying from the seed", () => {
+  assert.ok(simulate({}, 100).every((s) => !s.active_faults.includes("duct_delay")), "active while switched off");
+  const on = simulate({ duct_delay_level: 0.8 }, 100);
+  assert.ok(on.every((s) => s.active_faults.includes("duct_delay") && s.latency_ms > 100));
+  assert.deepStrictEqual(simulate({ duct_delay_level: 0.8 }, 100), on);
+
+  const sim = new CommLinkSimulator(9);
+  sim.setFaultConfig(Object.assign(new FaultConfig(), { duct_delay_level: 0.8 }));
+  for (let i = 0; i < 10; i++) sim.step();
+  assert.strictEqual(sim.plugin_state.duct_delay.ticks, 10);
+  sim.reset();
+  assert.deepStrictEqual(sim.plugin_state, {}, "a reset kept the plugin's state");
+});
+
+check("it is diagnosed, and scored by the evaluation", () => {
+  const diag = new DiagnosticEngine().diagnose(windowFrom(simulate({ duct_delay_level: 0.8 }, 60), 20));
+  assert.strictEqual(diag.primary_cause, "duct_delay");
+  const scenario = DEFAULT_SCENARIOS.find((s) => s.expected[0] === "duct_delay");
+  assert.deepStrictEqual([scenario.name, scenario.faults], ["duct delay", { duct_delay_level: 0.8 }]);
+  const run = runScenario(scenario, { ticks: 60 });
+  assert.ok(run.time_to_detect !== null, "the evaluation never detected the plugin's fault");
+});
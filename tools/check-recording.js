@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Checks that a recorded session replays to the diagnoses recorded live, and regenerates from
+// its seed and config changes.
+const assert = require("assert");
+const { check } = require("./check");
+
+const JAMMER = Object.assign(new FaultConfig(), { jammer_level: 0.6, sync_loss_prob: 0.05 });
+
+// Runs a simulator through the live pipeline, recording ticks startRec+1..stopRec the way the
+// page does: with the lead-in from its history. `faultsAt(t)` gives the fault config for tick t.
+function recordLive(seed, startRec, stopRec, faultsAt) {
+  const sim = new CommLinkSimulator(seed);
+  const engine = new DiagnosticEngine();
+  const stream = new DiagnosisStream(engine, new ChangePointDetector());
+  const recorder = new SessionRecorder();
+  const history = [];
+  while (sim.t < stopRec) {
+    if (sim.t === startRec) {
+      const leadIn = history.slice(1 - featureSpan(20, engine.feature_config));
+      recorder.start(sim.seed, sim.t, sim.fault_config, sim.channel_config, leadIn);
+    }
+    const faults = faultsAt(sim.t + 1);
+    if (faults !== sim.fault_config) {
+      sim.setFaultConfig(faults);
+      recorder.recordConfig(sim.t + 1, sim.fault_config, sim.channel_config);
+    }
+    const sample = sim.step();
+    history.push(sample);
+    recorder.recordStep(sample, stream.observe(sample).entry);
+  }
+  return parseSession(recorder.toJSON());
+}
+
+// Whether the replay reproduced the recorded diagnosis. Change points are left out: the replay's
+// detector takes its reference from the lead-in, not from the start of the live run. Confidences
+// may differ in the last digits, as the live RollingWindow rounds differently from windowFrom().
+function sameDiagnosis(recorded, replayed) {
+  const close = (a, b) => Math.abs(a - b) <= 1e-9;
+  return (
+    recorded.primary_cause === replayed.primary_cause &&
+    close(recorded.confidence, replayed.confidence) &&
+    recorded.ranked_causes.length === replayed.ranked_causes.length &&
+    recorded.ranked_causes.every(([cause, p], i) => {
+      const [replayedCause, replayedP] = replayed.ranked_causes[i];
+      return cause === replayedCause && close(p, replayedP);
+    }) &&
+    recorded.active_causes.join() === replayed.active_causes.join()
+  );
+}
+
+function differingTicks(session) {
+  const replayer = new SessionReplayer(session, new DiagnosticEngine());
+  return session.diagnoses
+    .filter((recorded, i) => !sameDiagnosis(recorded, replayer.diagnosisAt(i)))
+    .map((recorded) => recorded.t);
+}
+
+check("a replay started mid-fault reproduces the live diagnoses", () => {
+  const session = recordLive(5, 130, 330, (t) => (t > 100 && t <= 250 ? JAMMER : new FaultConfig()));
+  assert.strictEqual(session.samples.length, 200);
+  assert.deepStrictEqual(differingTicks(session), []);
+});
+
+check("without its lead-in the replay's first windows differ", () => {
+  const session = recordLive(5, 130, 330, (t) => (t > 100 && t <= 250 ? JAMMER : new FaultConfig()));
+  session.lead_in = [];
+  const differing = differingTicks(session);
+  assert.ok(differing.length > 0, "the lead-in made no difference");
+  assert.ok(differing.every((t) => t <= 130 + featureSpan(20)), `ticks ${differing}`);
+});
+
+check("a recording from a reset regenerates from its seed and config changes", () => {
+  const session = recordLive(8, 0, 250, (t) => (t > 60 && t <= 180 ? JAMMER : new FaultConfig()));
+  assert.strictEqual(session.config_changes.length, 3);
+  const sim = new CommLinkSimulator(session.seed);
+  const regenerated = session.samples.map((recorded) => {
+    const change = session.config_changes.find((c) => c.t === recorded.t);
+    if (change) {
+      const faults = Object.keys(new FaultConfig()).map((field) => [field, change.config[field]]);
+      sim.setFaultConfig(Object.assign(new FaultConfig(), Object.fromEntries(faults)));
+    }
+    return sim.step();
+  });
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(regenerated)), session.samples);
+});
@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+// Checks that RollingWindow, the streaming window of the engine and fast-forward, gives the
+// features windowFrom() computes from scratch, and that it keeps its O(1) per-tick cost.
+const assert = require("assert");
+const { check } = require("./check");
+
+// Running sums round differently from a fresh reduction.
+function assertSameFeatures(actual, expected, where) {
+  assert.deepStrictEqual(Object.keys(actual), Object.keys(expected), `${where}: feature names`);
+  for (const [name, want] of Object.entries(expected)) {
+    const got = actual[name];
+    if (Number.isNaN(want)) {
+      assert.ok(Number.isNaN(got), `${where}: ${name} is ${got}, expected NaN`);
+      continue;
+    }
+    const tolerance = 1e-7 * Math.max(1, Math.abs(want));
+    assert.ok(Math.abs(got - want) <= tolerance, `${where}: ${name} is ${got}, expected ${want}`);
+  }
+}
+
+function compareRun(samples, windowSize, features, label) {
+  const rolling = new RollingWindow(windowSize, features);
+  samples.forEach((sample, i) => {
+    const expected = windowFrom(samples.slice(0, i + 1), windowSize, features);
+    assertSameFeatures(rolling.push(sample), expected, `${label}, tick ${i + 1}`);
+  });
+}
+
+function simulate(scenario, ticks, seed) {
+  const sim = new CommLinkSimulator(seed);
+  if (scenario.channel) sim.setChannelConfig(Object.assign(new ChannelConfig(), scenario.channel));
+  const faults = Object.assign(new FaultConfig(), scenario.faults);
+  return Array.from({ length: ticks }, (_, i) => {
+    sim.setFaultConfig(i < 50 ? new FaultConfig() : faults);
+    return sim.step();
+  });
+}
+
+check("matches windowFrom() on every evaluation scenario", () => {
+  DEFAULT_SCENARIOS.forEach((scenario, i) => {
+    compareRun(simulate(scenario, 400, 20 + i), 20, DEFAULT_FEATURE_CONFIG, scenario.name);
+  });
+});
+
+check("matches windowFrom() with another feature config and window", () => {
+  const features = validateFeatureConfig({
+    windows: { short: 4, long: 30 },
+    ewma: { enabled: true, metrics: ["ber", "retries"] },
+    slope: { enabled: true, metrics: ["latency_ms"] },
+    percentiles: { enabled: true, metrics: ["snr_db"], levels: [10, 90] },
+    ber_fraction: { enabled: false, levels: {} },
+    outages: { enabled: true, min_ber: 1e-3 },
+    jitter: { enabled: false },
+  });
+  const faults = { sync_loss_prob: 0.3, telemetry_stuck_level: 1, telemetry_nan_level: 0.5 };
+  compareRun(simulate({ faults }, 400, 5), 45, features, "custom config");
+});
+
+check("matches windowFrom() on a timestamped log with gaps", () => {
+  const samples = simulate({ faults: { jammer_level: 0.6, telemetry_gap_level: 1 } }, 300, 8);
+  samples.forEach((sample, i) => {
+    sample.time_s = 0.1 * (i + (i > 150 ? 40 : 0));
+  });
+  compareRun(samples, 20, DEFAULT_FEATURE_CONFIG, "timestamped log");
+});
+
+check("per-tick cost does not grow with the long window", () => {
+  const samples = simulate({ faults: { noise_spike_level: 0.5 } }, 5000, 2);
+  // Ticks per ms once the long window is full, best of three runs. Filling it costs more: each
+  // new reading changes the EWMA weights.
+  const ticksPerMs = (long) => {
+    const features = Object.assign({}, DEFAULT_FEATURE_CONFIG, { windows: { short: 10, long } });
+    let best = 0;
+    for (let run = 0; run < 3; run++) {
+      const rolling = new RollingWindow(20, features);
+      samples.slice(0, long).forEach((sample) => rolling.push(sample));
+      const start = process.hrtime.bigint();
+      samples.slice(long).forEach((sample) => rolling.push(sample));
+      const ms = Number(process.hrtime.bigint() - start) / 1e6;
+      best = Math.max(best, (samples.length - long) / ms);
+    }
+    return best;
+  };
+  const short = ticksPerMs(100);
+  const long = ticksPerMs(1000);
+  assert.ok(long > short / 2, `${long.toFixed(1)} ticks/ms with a long window of 1000, ${short.toFixed(1)} with 100`);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// Checks of rule bases loaded as data (rules.js): the errors a broken rule file gets, and how the
+// engine keeps its thresholds apart from its own fields and from the window features.
+const assert = require("assert");
+const { check } = require("./check");
+
+// A copy of the default rule base with `edit` applied to it.
+function edited(edit) {
+  const ruleBase = JSON.parse(JSON.stringify(DEFAULT_RULE_BASE));
+  edit(ruleBase);
+  return ruleBase;
+}
+
+function healthyWindow(seed = 2) {
+  const sim = new CommLinkSimulator(seed);
+  return windowFrom(Array.from({ length: 60 }, () => sim.step()), 20);
+}
+
+check("a broken rule base is rejected with the path of the problem", () => {
+  const engine = new DiagnosticEngine();
+  const broken = [
+    [(rb) => delete rb.rules, /"rules" must be a list/],
+    [(rb) => (rb.rules[1].id = rb.rules[0].id), /rules\[1\]: duplicate id/],
+    [(rb) => (rb.rules[0].conditions[0].feature = "snr_avg"), /rules\[0\]\.conditions\[0\]: unknown feature "snr_avg"/],
+    [(rb) => (rb.rules[0].conditions[0].op = "=>"), /rules\[0\]\.conditions\[0\]: unknown operator "=>"/],
+    [(rb) => (rb.rules[0].conditions[0].value = "good_snr"), /unknown threshold "good_snr"/],
+    [(rb) => (rb.rules[0].score = "0.5 + "), /rules\[0\]\.score: unexpected end of expression/],
+    [(rb) => (rb.rules[0].score = "process.exit(1)"), /rules\[0\]\.score: unexpected character "\."/],
+    [(rb) => (rb.rules[0].score = "exp(snr_mean)"), /rules\[0\]\.score: unknown function "exp"/],
+    [(rb) => (rb.rules[0].score = "snr_mean / snr_floor"), /rules\[0\]\.score: unknown name "snr_floor"/],
+    [(rb) => (rb.rules[0].mitigations = ["reboot"]), /rules\[0\]\.mitigations: unknown mitigation "reboot"/],
+    [(rb) => (rb.decision_thresholds.sync_loss = 1.5), /decision_thresholds\.sync_loss: must be a number/],
+    [(rb) => (rb.thresholds.good_snr_db = "20"), /thresholds\.good_snr_db: must be a number/],
+  ];
+  for (const [edit, message] of broken) {
+    assert.throws(() => engine.setRuleBase(edited(edit)), message, edit.toString());
+  }
+  assert.strictEqual(engine.ruleBase, DEFAULT_RULE_BASE, "a rejected rule base replaced the engine's");
+});
+
+check("threshold names must be identifiers, and not window features or inherited names", () => {
+  const engine = new DiagnosticEngine();
+  for (const name of ["a-b", "1st", "", "snr max"]) {
+    const ruleBase = edited((rb) => (rb.thresholds[name] = 1));
+    assert.throws(() => engine.setRuleBase(ruleBase), /name must be an identifier/, JSON.stringify(name));
+  }
+  for (const name of ["snr_mean", "ber_max", "stuck_frac"]) {
+    const ruleBase = edited((rb) => (rb.thresholds[name] = 1));
+    assert.throws(() => engine.setRuleBase(ruleBase), /name is taken by a window feature/, name);
+  }
+  // As parsed from a rule file: an assignment to "__proto__" would not add the key.
+  for (const name of ["constructor", "toString", "__proto__"]) {
+    const text = JSON.stringify(DEFAULT_RULE_BASE).replace('"thresholds":{', `"thresholds":{"${name}":1,`);
+    assert.throws(() => engine.setRuleBase(JSON.parse(text)), /name is reserved/, name);
+  }
+});
+
+check("rule-file thresholds stay out of the engine's own fields", () => {
+  const engine = new DiagnosticEngine();
+  const names = ["diagnose", "rules", "feature_config", "baseline", "thresholds", "setRuleBase"];
+  engine.setRuleBase(
+    edited((rb) => {
+      for (const name of names) rb.thresholds[name] = 0.25;
+      rb.rules[0].score = `${rb.rules[0].score} + 0 * (${names.join(" + ")})`;
+    })
+  );
+  assert.strictEqual(typeof engine.diagnose, "function");
+  assert.ok(Array.isArray(engine.rules));
+  assert.strictEqual(engine.feature_config, DEFAULT_FEATURE_CONFIG);
+  for (const name of names) assert.strictEqual(engine.thresholds[name], 0.25, name);
+  assert.ok(engine.diagnose(healthyWindow()).active_causes.includes(RootCause.HEALTHY));
+});
+
+check("a rule file's thresholds apply until the next rule base, and a baseline overrides them", () => {
+  const engine = new DiagnosticEngine();
+  const window = healthyWindow();
+  const healthyConfidence = () => engine.diagnose(window).causes.find((c) => c.cause === RootCause.HEALTHY);
+  assert.ok(healthyConfidence(), "the healthy rule does not fire on a healthy window");
+
+  // Asking for more SNR than the link has keeps the healthy rule from firing.
+  engine.setRuleBase(edited((rb) => (rb.thresholds.good_snr_db = 60)));
+  assert.strictEqual(engine.thresholds.good_snr_db, 60);
+  assert.ok(!healthyConfidence(), "the rule file's good_snr_db was not used");
+
+  const baseline = { thresholds: { good_snr_db: 15 } };
+  engine.setBaseline(baseline);
+  assert.strictEqual(engine.thresholds.good_snr_db, 15);
+  engine.setBaseline(null);
+  assert.strictEqual(engine.thresholds.good_snr_db, 60);
+
+  engine.setRuleBase(edited((rb) => (rb.thresholds.site_margin_db = 3)));
+  engine.setRuleBase(DEFAULT_RULE_BASE);
+  assert.strictEqual(engine.thresholds.good_snr_db, DEFAULT_THRESHOLDS.good_snr_db);
+  assert.ok(!("site_margin_db" in engine.thresholds), "a previous rule file's threshold carried over");
+  assert.ok(healthyConfidence());
+});
+
+check("rules may name only known causes, and only compound rules explain away", () => {
+  const engine = new DiagnosticEngine();
+  const compound = (rb) => rb.rules.find((rule) => rule.id === "jammer_explains_retries");
+  const broken = [
+    [(rb) => (rb.rules[0].cause = "gremlins"), /rules\[0\]\.cause: unknown cause "gremlins"/],
+    [(rb) => (compound(rb).explains_away = ["congestion", "gremlins"]), /explains_away: unknown cause "gremlins"/],
+    [(rb) => (compound(rb).explains_away = "congestion"), /explains_away: must be a list of cause names/],
+    [(rb) => (compound(rb).conditions[1].cause = "gremlins"), /conditions\[1\]: unknown cause "gremlins"/],
+    [(rb) => (rb.rules[0].explains_away = ["congestion"]), /rules\[0\]\.explains_away: only compound rules/],
+    [(rb) => rb.rules[0].conditions.push({ cause: "congestion", op: ">", value: 0 }), /only allowed in compound rules/],
+  ];
+  for (const [edit, message] of broken) {
+    assert.throws(() => engine.setRuleBase(edited(edit)), message, edit.toString());
+  }
+});
+
+check("a compound rule that fires explains its causes away", () => {
+  const always = [{ feature: "snr_mean", op: ">", value: -100 }];
+  const ruleBase = (jammerScore) => ({
+    thresholds: {},
+    rules: [
+      { id: "queueing", cause: "congestion", conditions: always, score: "0.6" },
+      { id: "jamming", cause: "wideband_jammer", conditions: always, score: String(jammerScore) },
+      {
+        id: "jammer_explains_queueing",
+        stage: "compound",
+        cause: "wideband_jammer",
+        conditions: [{ cause: "wideband_jammer", op: ">=", value: 0.5 }],
+        score: "0.1",
+        explains_away: ["congestion"],
+      },
+    ],
+  });
+  const window = healthyWindow();
+
+  const diag = new DiagnosticEngine(ruleBase(0.7)).diagnose(window);
+  assert.deepStrictEqual(diag.active_causes, [RootCause.WIDEBAND_JAMMER]);
+  assert.ok(!diag.causes.some((c) => c.cause === RootCause.CONGESTION), "congestion kept a confidence");
+  assert.deepStrictEqual(diag.explained_away, { congestion: RootCause.WIDEBAND_JAMMER });
+  assert.strictEqual(diag.cause_checks.congestion[0].explained_by, RootCause.WIDEBAND_JAMMER);
+  assert.strictEqual(explainRejection(diag, RootCause.CONGESTION).status, "explained_away");
+
+  // Below the compound rule's cause condition both causes stand.
+  const both = new DiagnosticEngine(ruleBase(0.3)).diagnose(window);
+  assert.deepStrictEqual(both.explained_away, {});
+  assert.ok(both.active_causes.includes(RootCause.CONGESTION), `active causes: ${both.active_causes}`);
+});
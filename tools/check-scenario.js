@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Checks of scenario timelines (scenario.js): segment validation, segment values by tick, and
+// that a scenario keeps the segments it was validated with.
+const assert = require("assert");
+const { check } = require("./check");
+
+const step = (extra) =>
+  Object.assign({ field: "jammer_level", type: SegmentType.STEP, start: 10, end: 20, value: 0.5 }, extra);
+
+check("invalid segments are rejected with the offending field", () => {
+  const invalid = [
+    [{ field: "no_such_field" }, /Unknown fault field "no_such_field"/],
+    [{ type: "sine" }, /Unknown segment type "sine"/],
+    [{ start: -1 }, /start must be a tick >= 0/],
+    [{ end: 10 }, /end must be after start/],
+    [{ type: SegmentType.RAMP, end: null, from: 0, to: 1 }, /a ramp needs an end tick/],
+    [{ value: "0.5" }, /needs a numeric "value"/],
+    [{ type: SegmentType.BURST, period: 0, width: 2 }, /burst period and width must be positive/],
+    [{ type: SegmentType.RANDOM, prob: 0.5, hold: 0 }, /hold must be positive/],
+  ];
+  for (const [extra, message] of invalid) {
+    assert.throws(() => new FaultScenario([step(), step(extra)]), message, JSON.stringify(extra));
+  }
+  for (const preset of Object.values(SCENARIO_PRESETS)) new FaultScenario(preset.segments);
+});
+
+check("segments give their values by tick, later segments winning", () => {
+  const scenario = new FaultScenario([
+    step({ start: 0, end: null, value: 0.2 }),
+    { field: "jammer_level", type: SegmentType.RAMP, start: 10, end: 20, from: 0, to: 1 },
+    { field: "noise_spike_level", type: SegmentType.BURST, start: 5, end: 30, value: 0.8, period: 10, width: 3 },
+  ]);
+  const at = (t) => [scenario.valueAt("jammer_level", t, 0), scenario.valueAt("noise_spike_level", t, -1)];
+  assert.deepStrictEqual(at(4), [0.2, -1]);
+  assert.deepStrictEqual(at(15), [0.5, 0.8]);
+  assert.deepStrictEqual(at(18), [0.8, 0]);
+  assert.deepStrictEqual(at(20), [0.2, 0]);
+  assert.deepStrictEqual(at(30), [0.2, -1]);
+  assert.strictEqual(scenario.configAt(16, { sync_loss_prob: 0.1 }).sync_loss_prob, 0.1);
+});
+
+check("random segments replay from the scenario's seed", () => {
+  const segments = [
+    { field: "sync_loss_prob", type: SegmentType.RANDOM, start: 0, end: null, value: 0.3, prob: 0.5, hold: 5 },
+  ];
+  const profile = (seed) => {
+    const scenario = new FaultScenario(segments, seed);
+    return Array.from({ length: 200 }, (_, t) => scenario.valueAt("sync_loss_prob", t, 0));
+  };
+  assert.deepStrictEqual(profile(3), profile(3));
+  assert.notDeepStrictEqual(profile(3), profile(4));
+  const values = profile(3);
+  assert.ok(values.every((value, t) => value === values[t - (t % 5)]), "a value changes within its hold");
+});
+
+check("edits to the caller's segments do not reach a scenario", () => {
+  const segments = [step()];
+  const scenario = new FaultScenario(segments);
+  // The scenario editor edits its rows in place and validates them only afterwards.
+  segments[0].value = -3;
+  segments[0].end = 5;
+  segments.push(step({ field: "no_such_field" }));
+  assert.deepStrictEqual(scenario.segments, [step()]);
+  assert.strictEqual(scenario.valueAt("jammer_level", 15, 0), 0.5);
+  assert.throws(() => new FaultScenario(segments), /end must be after start/);
+});
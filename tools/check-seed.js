@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Checks that a run replays exactly from its seed, and that only 32-bit seeds are accepted.
+const assert = require("assert");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { check } = require("./check");
+
+const FAULTS = {
+  noise_spike_level: 0.4,
+  jammer_level: 0.3,
+  fading_severity: 0.6,
+  sync_loss_prob: 0.1,
+  oscillator_drift_level: 0.5,
+  telemetry_dropout_level: 0.3,
+};
+
+function configured(seed) {
+  const sim = new CommLinkSimulator(seed);
+  sim.setChannelConfig(Object.assign(new ChannelConfig(), { model: ChannelModel.GILBERT_ELLIOTT }));
+  sim.setFaultConfig(Object.assign(new FaultConfig(), FAULTS));
+  return sim;
+}
+
+function run(sim, ticks) {
+  return Array.from({ length: ticks }, () => sim.step());
+}
+
+check("the same seed gives the same samples", () => {
+  assert.deepStrictEqual(run(configured(1234), 300), run(configured(1234), 300));
+});
+
+check("a reset replays the run from its seed", () => {
+  const sim = configured(99);
+  const first = run(sim, 200);
+  sim.reset();
+  assert.deepStrictEqual(run(sim, 200), first, "reset() to the same seed");
+  sim.reset(7);
+  assert.deepStrictEqual(run(sim, 200), run(configured(7), 200), "reset() to another seed");
+});
+
+check("different seeds, including both ends of the range, give different runs", () => {
+  const runs = [0, 1, 2, MAX_SEED - 1, MAX_SEED].map((seed) => JSON.stringify(run(configured(seed), 100)));
+  assert.strictEqual(new Set(runs).size, runs.length);
+});
+
+check("random seeds lie in the 32-bit range", () => {
+  for (let i = 0; i < 1000; i++) {
+    const seed = randomSeed();
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED, `seed ${seed}`);
+  }
+});
+
+check("the evaluation rejects seeds past the 32-bit range", () => {
+  const evaluate = path.join(__dirname, "evaluate.js");
+  const tooLarge = spawnSync(process.execPath, [evaluate, "--seed", String(MAX_SEED + 1)], { encoding: "utf8" });
+  assert.strictEqual(tooLarge.status, 2, tooLarge.stderr);
+  assert.match(tooLarge.stderr, /32-bit seed/);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Self-checks of the core logic.
+//
+//   node tools/check.js [monitoring rolling ...]
+//
+// Runs every tools/check-<name>.js (or the named ones) and exits non-zero if any check failed.
+// Each of those scripts also runs on its own; they load the core through this file and report
+// with check(name, fn), which prints one line per check and marks the process failed on a throw.
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+require("./load-core");
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`ok    ${name}`);
+  } catch (err) {
+    process.exitCode = 1;
+    console.log(`FAIL  ${name}\n      ${err.message.split("\n").filter(Boolean).join("\n      ")}`);
+  }
+}
+
+function main() {
+  const available = fs
+    .readdirSync(__dirname)
+    .map((file) => /^check-(.+)\.js$/.exec(file))
+    .filter(Boolean)
+    .map((match) => match[1]);
+  const names = process.argv.length > 2 ? process.argv.slice(2) : available;
+  const unknown = names.filter((name) => !available.includes(name));
+  if (unknown.length) {
+    console.error(`Unknown check: ${unknown.join(", ")} (available: ${available.join(", ")})`);
+    process.exit(2);
+  }
+  let failed = 0;
+  for (const name of names) {
+    console.log(`# ${name}`);
+    const run = spawnSync(process.execPath, [path.join(__dirname, `check-${name}.js`)], { stdio: "inherit" });
+    if (run.status !== 0) failed += 1;
+  }
+  const total = names.length;
+  console.log(failed ? `${failed} of ${total} check scripts failed` : `all ${total} check scripts passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+module.exports = { check };
+
+if (require.main === module) main();
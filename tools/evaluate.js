@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Headless batch evaluation of the diagnostic engine.
+//
+//   node tools/evaluate.js [--ticks 300] [--warmup 50] [--seed 1] [--window 20] [--model rules|bayes] [--json]
+//                           [--plugin plugins/wired-packet-loss.js ...]
+//
+// Runs every default scenario with its own seed (seed + scenario index) and prints the
+// confusion matrix, per-cause precision/recall, calibration, false-alarm rate and time to detect.
+// `--model bayes` trains the naive-Bayes confidence model on separately seeded runs first.
+// Each `--plugin` script registers a fault plugin (see plugins.js) before the run, adding its
+// cause to the report and its evaluation scenario, if it has one.
+const path = require("path");
+require("./load-core");
+
+function parseArgs(argv) {
+  const opts = { ticks: 300, warmup: 50, seed: 1, windowSize: 20, model: "rules", json: false, plugins: [] };
+  const numeric = { "--ticks": "ticks", "--warmup": "warmup", "--seed": "seed", "--window": "windowSize" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--json") {
+      opts.json = true;
+    } else if (arg === "--plugin") {
+      if (!argv[i + 1]) throw new Error("--plugin expects a script path");
+      opts.plugins.push(argv[++i]);
+    } else if (arg === "--model") {
+      opts.model = argv[++i];
+      if (opts.model !== "rules" && opts.model !== "bayes") throw new Error("--model expects rules or bayes");
+    } else if (numeric[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} expects a non-negative integer`);
+      opts[numeric[arg]] = value;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (opts.seed > MAX_SEED) throw new Error(`--seed expects a 32-bit seed, at most ${MAX_SEED}`);
+  return opts;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+    for (const file of opts.plugins) require(path.resolve(file));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  const engine = new DiagnosticEngine();
+  if (opts.model === "bayes") engine.setBayesModel(trainNaiveBayes({ windowSize: opts.windowSize }));
+  const result = evaluateScenarios(Object.assign({ engine }, opts));
+  console.log(opts.json ? JSON.stringify(result, null, 2) : formatReport(result));
+}
+
+main();
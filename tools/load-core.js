@@ -0,0 +1,32 @@
+// Loads the browser scripts into Node for headless use. They publish their API on `window`,
+// so point it at the Node global before requiring them in dependency order.
+const path = require("path");
+
+globalThis.window = globalThis;
+
+const CORE_SCRIPTS = [
+  "channel.js",
+  "packet.js",
+  "phy.js",
+  "simulator.js",
+  "rules.js",
+  "rolling.js",
+  "diagnostics.js",
+  "changepoint.js",
+  "scenario.js",
+  "recorder.js",
+  "telemetry.js",
+  "evaluation.js",
+  "bayes.js",
+  "baseline.js",
+  "incidents.js",
+  "alerts.js",
+  "mitigation.js",
+  "network.js",
+  "plugins.js",
+  "engine.js",
+];
+
+for (const file of CORE_SCRIPTS) {
+  require(path.join(__dirname, "..", file));
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// Test feed for the dashboard's live telemetry source, standing in for a real modem.
+//
+//   node tools/telemetry-server.js [--port 8788] [--rate 12] [--seed 1] [--scenario jammer-ramp]
+//                                  [--units canonical|modem] [--truth] [--ticks 0]
+//
+// Serves Server-Sent Events at /telemetry: one JSON sample per event from a simulated link,
+// `--rate` samples per second, driven by a scenario preset from scenario.js if given. The link
+// only advances while a client is connected. `--units modem` renames and rescales the fields
+// (linear SNR, latency in seconds, throughput in kbps, a timestamp) to exercise the dashboard's
+// unit handling. Samples carry ground truth only with `--truth`. `--ticks N` exits after N samples.
+const http = require("http");
+require("./load-core");
+
+function parseArgs(argv) {
+  const opts = { port: 8788, rate: 12, seed: 1, scenario: null, units: "canonical", truth: false, ticks: 0 };
+  const numeric = { "--port": "port", "--rate": "rate", "--seed": "seed", "--ticks": "ticks" };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--truth") {
+      opts.truth = true;
+    } else if (arg === "--scenario") {
+      opts.scenario = argv[++i];
+      if (!(opts.scenario in SCENARIO_PRESETS)) {
+        throw new Error(`--scenario expects one of ${Object.keys(SCENARIO_PRESETS).join(", ")}`);
+      }
+    } else if (arg === "--units") {
+      opts.units = argv[++i];
+      if (opts.units !== "canonical" && opts.units !== "modem") throw new Error("--units expects canonical or modem");
+    } else if (numeric[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} expects a non-negative integer`);
+      opts[numeric[arg]] = value;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (!opts.rate) throw new Error("--rate must be at least 1 sample per second");
+  return opts;
+}
+
+function formatSample(sample, opts) {
+  const out =
+    opts.units === "modem"
+      ? {
+          time_s: sample.t / opts.rate,
+          snr_linear: 10 ** (sample.snr_db / 10),
+          ber: sample.ber,
+          latency_s: sample.latency_ms / 1000,
+          retries: sample.retries,
+          throughput_kbps: sample.throughput_mbps * 1000,
+          goodput_kbps: sample.goodput_mbps * 1000,
+        }
+      : {
+          snr_db: sample.snr_db,
+          ber: sample.ber,
+          latency_ms: sample.latency_ms,
+          retries: sample.retries,
+          throughput_mbps: sample.throughput_mbps,
+          goodput_mbps: sample.goodput_mbps,
+        };
+  if (opts.truth) out.active_faults = sample.active_faults;
+  return out;
+}
+
+function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(2);
+  }
+  const simulator = new CommLinkSimulator(opts.seed);
+  const scenario = opts.scenario ? new FaultScenario(SCENARIO_PRESETS[opts.scenario].segments, opts.seed) : null;
+  const base = new FaultConfig();
+  const clients = new Set();
+  let sent = 0;
+  let timer = null;
+
+  const tick = () => {
+    if (scenario) simulator.setFaultConfig(scenario.configAt(simulator.t + 1, base));
+    const data = JSON.stringify(formatSample(simulator.step(), opts));
+    for (const res of clients) res.write(`data: ${data}\n\n`);
+    sent += 1;
+    if (opts.ticks && sent >= opts.ticks) {
+      for (const res of clients) res.end();
+      server.close();
+      clearInterval(timer);
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.url !== "/telemetry") {
+      res.writeHead(404, { "Access-Control-Allow-Origin": "*" });
+      return res.end("Use /telemetry.\n");
+    }
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+    });
+    clients.add(res);
+    console.log(`client connected (${clients.size})`);
+    if (!timer) timer = setInterval(tick, 1000 / opts.rate);
+    req.on("close", () => {
+      clients.delete(res);
+      console.log(`client disconnected (${clients.size})`);
+      if (!clients.size) {
+        clearInterval(timer);
+        timer = null;
+      }
+    });
+  });
+  server.listen(opts.port, () => console.log(`Streaming on http://localhost:${opts.port}/telemetry`));
+}
+
+main();